@@ -0,0 +1,139 @@
+// =====================================================
+// cart.js - Reading and rewriting the cart
+// =====================================================
+//
+// A customer's cart is a Shopify draft order (context.draftOrderId).
+// Shopify replaces a draft order's line_items wholesale on update, so every
+// change here rebuilds the whole list from the current lines.
+
+// Also used by dialogue-manager.js for "the second one" list replies
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10 };
+
+// "item 2", "line 3", "#2", "the second one"
+const POSITION_PATTERN = /\b(?:item|line|product|number|no\.?)\s*#?(\d{1,2})\b|#(\d{1,2})\b|\b(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last)\b/i;
+
+// "change it to 3", "make it 2", "set the hoodie to 0"
+const TARGET_QUANTITY_PATTERN = /\b(?:to|make it|make that|only want|just want)\s+(\d{1,3})\b/i;
+
+// Words that say what to do with the cart rather than which line
+const CART_WORDS = new Set([
+  "remove", "delete", "take", "out", "drop", "rid", "get", "of", "from", "my", "the", "a", "an",
+  "cart", "basket", "bag", "change", "update", "set", "quantity", "qty", "to", "make", "it",
+  "item", "items", "line", "want", "only", "just", "i", "please", "one", "ones", "that", "this",
+  "in", "how", "many", "number", "and", "me", "can", "you", "don't", "dont", "need", "anymore"
+]);
+
+// Crude plural folding, so "hoodies" finds "Hoodie" and "boxes" finds "Box"
+function stem(word) {
+  return word.replace(/s$/, '').replace(/e$/, '');
+}
+
+function toWords(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+/**
+ * "Hoodie - Large / Blue", or just the title for single-variant products
+ */
+function getLineLabel(line) {
+  return line.variant_title && line.variant_title !== 'Default Title'
+    ? `${line.title} - ${line.variant_title}`
+    : line.title;
+}
+
+/**
+ * Price of a whole line after any line discount, as a "12.50" string
+ */
+function getLineTotal(line) {
+  const gross = Number(line.price || 0) * line.quantity;
+  const discount = Number(line.applied_discount?.amount || 0);
+  return Math.max(gross - discount, 0).toFixed(2);
+}
+
+/**
+ * A draft order line in the shape Shopify accepts back on update.
+ * Custom lines (no variant) need their title and price resent.
+ */
+function toLineItemInput(line) {
+  const input = line.variant_id
+    ? { variant_id: line.variant_id, quantity: line.quantity }
+    : { title: line.title, price: line.price, quantity: line.quantity, custom: true };
+
+  if (line.applied_discount) {
+    input.applied_discount = line.applied_discount;
+  }
+  return input;
+}
+
+/**
+ * All lines with one line's quantity changed; 0 removes the line
+ */
+function setLineQuantity(lines, index, quantity) {
+  return lines
+    .map((line, i) => (i === index ? { ...line, quantity } : line))
+    .filter(line => line.quantity > 0)
+    .map(toLineItemInput);
+}
+
+/**
+ * Which cart lines a message is about, as 0-based positions.
+ * Tries the variant id (card buttons), then a position ("item 2",
+ * "the last one"), then words from the line names ("the blue hoodie").
+ * Returns { indices, byPosition } - byPosition tells callers that a number in
+ * the message was a position, not a quantity.
+ */
+function findLines(lines, { variantId = null, text = '' } = {}) {
+  if (variantId) {
+    const index = lines.findIndex(line => String(line.variant_id) === String(variantId));
+    return { indices: index >= 0 ? [index] : [], byPosition: false };
+  }
+
+  const position = String(text).match(POSITION_PATTERN);
+  if (position) {
+    const word = position[3]?.toLowerCase();
+    const number = word === 'last' ? lines.length : ORDINALS[word] || parseInt(position[1] || position[2], 10);
+    if (number >= 1 && number <= lines.length) {
+      return { indices: [number - 1], byPosition: true };
+    }
+  }
+
+  const wanted = toWords(text).filter(word => !CART_WORDS.has(word) && !/^\d+$/.test(word)).map(stem);
+  if (wanted.length === 0) {
+    return { indices: [], byPosition: false };
+  }
+
+  const scores = lines.map(line => {
+    const lineWords = new Set(toWords(getLineLabel(line)).map(stem));
+    return wanted.filter(word => lineWords.has(word)).length;
+  });
+
+  const best = Math.max(...scores);
+  return {
+    indices: best > 0 ? scores.flatMap((score, i) => (score === best ? [i] : [])) : [],
+    byPosition: false
+  };
+}
+
+/**
+ * The quantity a line should be changed to, or null if the message
+ * doesn't say. "to 0" is allowed and means remove.
+ */
+function readTargetQuantity(text, entities, { byPosition = false } = {}) {
+  const target = String(text).match(TARGET_QUANTITY_PATTERN);
+  if (target) {
+    return parseInt(target[1], 10);
+  }
+
+  // "item 2" was read as a position, so its number isn't a quantity
+  return byPosition ? null : entities.quantity ?? null;
+}
+
+export default {
+  ORDINALS,
+  getLineLabel,
+  getLineTotal,
+  toLineItemInput,
+  setLineQuantity,
+  findLines,
+  readTargetQuantity
+};
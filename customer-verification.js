@@ -0,0 +1,195 @@
+// =====================================================
+// customer-verification.js - Proving a chat visitor owns an email
+// =====================================================
+//
+// Order data is only shown once the visitor has proved they own the email
+// it was placed with, either by:
+//   - entering a one-time code mailed to that address, or
+//   - giving the number and shipping ZIP/postcode of one of its orders
+//
+// State lives in ConversationMemory.context:
+//   verificationChallenge  { email, codeHash, salt, issuedAt, expiresAt, attempts }
+//   verifiedCustomer       { email, method, verifiedAt, expiresAt }
+//
+// Wrong order number + ZIP answers are counted per store and email rather
+// than per conversation, so a new chat doesn't reset them. The count
+// ({ attempts, firstFailedAt }) is kept in Supabase by persistence.js so
+// every server process sees the same lockout.
+
+import crypto from "crypto";
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const CODE_RESEND_INTERVAL_MS = 60 * 1000;
+const VERIFIED_TTL_MS = 60 * 60 * 1000;
+const MAX_ZIP_ATTEMPTS = 5;
+const ZIP_LOCKOUT_MS = 30 * 60 * 1000;
+
+const METHODS = {
+  EMAIL_CODE: "email_code",
+  ORDER_ZIP: "order_zip"
+};
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function hashCode(code, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+}
+
+// =====================================================
+// ONE-TIME CODES
+// =====================================================
+
+/**
+ * Create a code for an email. The code goes in the email; only the
+ * challenge (which holds a salted hash) is kept.
+ */
+function issueCode(email, now = Date.now()) {
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  return {
+    code,
+    challenge: {
+      email: normalizeEmail(email),
+      codeHash: hashCode(code, salt),
+      salt,
+      issuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CODE_TTL_MS).toISOString(),
+      attempts: 0
+    }
+  };
+}
+
+/**
+ * Check a code against a challenge. Counts the attempt on the challenge.
+ * Returns "ok" | "invalid" | "expired" | "locked"
+ */
+function checkCode(challenge, code, now = Date.now()) {
+  if (!challenge) return "expired";
+  if (now > new Date(challenge.expiresAt).getTime()) return "expired";
+  if (challenge.attempts >= MAX_CODE_ATTEMPTS) return "locked";
+
+  challenge.attempts += 1;
+
+  const expected = Buffer.from(challenge.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code).trim(), challenge.salt), 'hex');
+
+  return crypto.timingSafeEqual(expected, actual) ? "ok" : "invalid";
+}
+
+/**
+ * Is there a live challenge for this email we can still check codes against?
+ */
+function hasOpenChallenge(challenge, email, now = Date.now()) {
+  return !!challenge &&
+    challenge.email === normalizeEmail(email) &&
+    challenge.attempts < MAX_CODE_ATTEMPTS &&
+    now <= new Date(challenge.expiresAt).getTime();
+}
+
+/**
+ * Codes can't be re-sent more than once a minute, so the chat can't be
+ * used to flood someone's inbox
+ */
+function canResend(challenge, now = Date.now()) {
+  return !challenge?.issuedAt || now - new Date(challenge.issuedAt).getTime() >= CODE_RESEND_INTERVAL_MS;
+}
+
+function buildCodeEmail(code, shopName) {
+  return {
+    subject: `Your ${shopName} verification code: ${code}`,
+    text: `Your verification code is ${code}.\n\n` +
+      `Enter it in the chat to see your order details. It expires in ${CODE_TTL_MS / 60000} minutes.\n\n` +
+      `If you didn't ask for this, you can ignore this email.`
+  };
+}
+
+// =====================================================
+// ORDER NUMBER + ZIP
+// =====================================================
+
+// Failures older than the lockout window are forgotten
+function currentZipFailures(failures, now) {
+  return failures && now - failures.firstFailedAt < ZIP_LOCKOUT_MS ? failures : null;
+}
+
+/**
+ * Too many wrong order number + ZIP answers for this email lately?
+ */
+function isZipLocked(failures, now = Date.now()) {
+  return (currentZipFailures(failures, now)?.attempts || 0) >= MAX_ZIP_ATTEMPTS;
+}
+
+/**
+ * The failure count after one more wrong answer (to be saved)
+ */
+function recordZipFailure(failures, now = Date.now()) {
+  const current = currentZipFailures(failures, now) || { attempts: 0, firstFailedAt: now };
+  return { attempts: current.attempts + 1, firstFailedAt: current.firstFailedAt };
+}
+
+function normalizeZip(zip) {
+  return String(zip || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * True when the order was placed with this email and ships to this ZIP
+ */
+function orderMatchesZip(order, email, zip) {
+  if (!order || !zip) return false;
+  if (normalizeEmail(order.email) !== normalizeEmail(email)) return false;
+
+  const orderZip = normalizeZip(order.shipping_address?.zip);
+  return orderZip.length > 0 && orderZip === normalizeZip(zip);
+}
+
+// =====================================================
+// VERIFIED STATE
+// =====================================================
+
+function markVerified(email, method, now = Date.now()) {
+  return {
+    email: normalizeEmail(email),
+    method,
+    verifiedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + VERIFIED_TTL_MS).toISOString()
+  };
+}
+
+/**
+ * Has this conversation proved ownership of this email recently?
+ */
+function isVerified(verifiedCustomer, email, now = Date.now()) {
+  return !!verifiedCustomer &&
+    verifiedCustomer.email === normalizeEmail(email) &&
+    now < new Date(verifiedCustomer.expiresAt).getTime();
+}
+
+/**
+ * "j***@example.com" - enough for the customer to recognise their address
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  if (!domain) return email;
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+export default {
+  METHODS,
+  CODE_LENGTH,
+  issueCode,
+  checkCode,
+  hasOpenChallenge,
+  canResend,
+  buildCodeEmail,
+  orderMatchesZip,
+  isZipLocked,
+  recordZipFailure,
+  markVerified,
+  isVerified,
+  maskEmail
+};
@@ -0,0 +1,312 @@
+// =====================================================
+// dialogue-manager.js - Slot filling across turns
+// =====================================================
+//
+// When an action needs something it doesn't have (needsInfo), the bot asks
+// for it and ConversationMemory holds a pending dialogue:
+//
+//   { state: "awaiting_slot", intent, slot, entities, userMessage,
+//     question, inputType, choices, optional, attempts, askedAt }
+//
+// An action can pass values it will need when it resumes (carry), e.g. which
+// product a variant is being picked for; they're added to the entities.
+//
+// An action can also reply normally and still expect a slot next
+// (expects: { slot, choices }), e.g. a list of orders to pick from. Those
+// are optional: a reply that doesn't fill the slot is handled as a fresh
+// message instead of being re-asked.
+//
+// The next message is read as the answer. Once the slot is filled the
+// original intent runs again with the original message and entities, so
+// "track my order" → "What's your email?" → "me@x.com" ends in a tracked
+// order rather than a greeting.
+
+import entityExtractor from "./entity-extractor.js";
+import returns from "./returns.js";
+import orderChanges from "./order-changes.js";
+import productSearch from "./product-search.js";
+import cart from "./cart.js";
+
+const DIALOGUE_TTL_MS = 30 * 60 * 1000;
+const MAX_SLOT_ATTEMPTS = 3;
+
+const AWAITING_SLOT = "awaiting_slot";
+
+// Only the whole reply counts, so "cancel order #1002" is a request, not a way out
+const CANCEL_PATTERN = /^\s*(cancel|stop|never\s*mind|nevermind|forget it|no thanks|skip)\s*[.!]*\s*$/i;
+
+const YES_PATTERN = /^\s*(y|yes|yeah|yep|sure|ok|okay|confirm|confirmed|go ahead|do it|please do|correct)\b/i;
+const NO_PATTERN = /^\s*(n|no|nope|nah|don'?t|do not|keep it|leave it)\b/i;
+
+// How to read each slot out of an answer, and where a filled value lives
+const SLOT_TYPES = {
+  email: {
+    read: entities => entities.email,
+    contextKey: "email",
+    retryQuestion: "📧 That doesn't look like an email address. Could you type it again? (e.g. name@example.com)"
+  },
+  phone: {
+    read: entities => entities.phone,
+    contextKey: "phone",
+    retryQuestion: "📱 That doesn't look like a phone number. Please include the country code if you have one."
+  },
+  orderName: {
+    read: (entities, text, dialogue) =>
+      entities.orderName || matchChoice(text, dialogue.choices) || matchBareOrderNumber(text),
+    retryQuestion: "🧾 I couldn't spot an order number there. It looks like #1001 and is in your confirmation email."
+  },
+  quantity: {
+    read: (entities, text) => entities.quantity || matchBareQuantity(text),
+    retryQuestion: "🔢 How many would you like? Please reply with a number."
+  },
+  // Which of the offered items: "1", "1 and 3", "all", or part of an item name
+  returnItems: {
+    read: (entities, text, dialogue) => matchChoices(text, dialogue.choices),
+    retryQuestion: "📦 Which items would you like to return? Reply with their numbers (e.g. \"1 and 3\") or \"all\"."
+  },
+  returnReason: {
+    read: (entities, text) => {
+      const parsed = returns.parseReturnReason(text);
+      return parsed ? { ...parsed, note: String(text).trim() } : null;
+    },
+    retryQuestion: "📝 What's the reason for the return? Damaged, wrong item, not as described, wrong size, or changed your mind?"
+  },
+  // One cart line, by position or name; the value is its 0-based position
+  cartItem: {
+    read: (entities, text, dialogue) => {
+      const positions = matchChoices(text, dialogue.choices);
+      return positions?.length === 1 ? positions[0] : null;
+    },
+    retryQuestion: "🛒 Which item do you mean? Reply with its number in the list or part of its name."
+  },
+  // What a cart line's quantity should become; 0 removes it
+  newQuantity: {
+    read: (entities, text) => {
+      const match = String(text).trim().match(/^(\d{1,3})$/);
+      return match ? parseInt(match[1], 10) : null;
+    },
+    retryQuestion: "🔢 How many would you like? Reply with a number, or 0 to remove it."
+  },
+  // One value of the product option being asked about ("L", "Blue", "2")
+  variantOption: {
+    read: (entities, text, dialogue) => matchOptionValue(text, dialogue.choices),
+    retryQuestion: "👕 Please pick one of the options shown, by name or number."
+  },
+  discountCode: {
+    read: (entities, text) => entities.discountCode || matchBareDiscountCode(text),
+    retryQuestion: "🏷️ That doesn't look like a discount code. Please type just the code (e.g. SAVE10)."
+  },
+  // "yes" / "no" to a change we're about to make
+  confirmation: {
+    read: (entities, text) => YES_PATTERN.test(text) ? "yes" : NO_PATTERN.test(text) ? "no" : null,
+    retryQuestion: "Please reply \"yes\" to go ahead or \"no\" to leave things as they are."
+  },
+  // Kept as typed; the action parses it against the order's current address
+  shippingAddress: {
+    read: (entities, text) => orderChanges.parseAddress(text) ? String(text).trim() : null,
+    retryQuestion: "🏠 I couldn't read that as an address. Please send it on one line, separated by commas: street, city, state/province, ZIP/postcode (and country if it's changing)."
+  },
+  // A one-time code, an order number plus ZIP, or a request for a new code
+  verification: {
+    read: (entities, text) => readVerificationAnswer(entities, text),
+    retryQuestion: "🔐 Please enter the 6-digit code from your email, or an order number and its shipping ZIP/postcode (e.g. \"#1001 94107\"). Reply \"resend\" for a new code."
+  }
+};
+
+const RESEND_PATTERN = /\b(resend|new code|another code|send (?:it )?again)\b/i;
+const ZIP_FILLER_PATTERN = /\b(zip|zipcode|postcode|postal|code|pin|pincode|and|is)\b|[,:]/gi;
+
+function readVerificationAnswer(entities, text) {
+  if (RESEND_PATTERN.test(text)) {
+    return { resend: true };
+  }
+
+  if (entities.orderName) {
+    const zip = String(text)
+      .replace(/#\s?[a-z]{0,4}\d{3,10}\b/i, ' ')
+      .replace(/\border\s*(?:number|num|no\.?)?\s*:?\s*[a-z]{0,4}\d{3,10}\b/i, ' ')
+      .replace(ZIP_FILLER_PATTERN, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return /^[a-z0-9][a-z0-9 -]{2,9}$/i.test(zip) && /\d/.test(zip)
+      ? { orderName: entities.orderName, zip }
+      : null;
+  }
+
+  const code = String(text).match(/\b(\d{6})\b/);
+  return code ? { code: code[1] } : null;
+}
+
+// "2", "the second one", "last" - a position in the list we offered
+function matchChoice(text, choices) {
+  if (!choices?.length) return null;
+
+  const match = String(text).trim().toLowerCase()
+    .match(/^(?:the\s+|number\s+|no\.?\s*)?(\d{1,2}|first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last)(?:\s+one)?$/);
+  if (!match) return null;
+
+  const position = match[1] === 'last' ? choices.length : cart.ORDINALS[match[1]] || parseInt(match[1], 10);
+  return choices[position - 1] || null;
+}
+
+/**
+ * Several positions or names from the offered list: "1 and 3", "2, 4",
+ * "all", "the hoodie". Returns 0-based positions, or null.
+ */
+function matchChoices(text, choices) {
+  if (!choices?.length) return null;
+  const normalized = String(text).trim().toLowerCase();
+
+  if (/^(all|everything|all of them|both)$/.test(normalized)) {
+    return choices.map((choice, i) => i);
+  }
+
+  const positions = new Set();
+
+  for (const part of normalized.split(/\s*(?:,|&|\band\b|\s)\s*/).filter(Boolean)) {
+    const position = part === 'last' ? choices.length : cart.ORDINALS[part] || parseInt(part, 10);
+    if (position >= 1 && position <= choices.length) {
+      positions.add(position - 1);
+    }
+  }
+
+  if (positions.size === 0) {
+    choices.forEach((choice, i) => {
+      if (normalized.length > 2 && choice.toLowerCase().includes(normalized)) {
+        positions.add(i);
+      }
+    });
+  }
+
+  return positions.size ? Array.from(positions).sort((a, b) => a - b) : null;
+}
+
+// "large" for an "L" choice, "2" for the second choice (unless "2" is
+// itself a choice, as with shoe sizes), "the navy blue one" for "Navy Blue"
+function matchOptionValue(text, choices) {
+  if (!choices?.length) return null;
+  const normalized = String(text).trim().toLowerCase();
+  const canonical = productSearch.canonicalOptionValue(normalized);
+
+  return choices.find(choice => choice.toLowerCase() === normalized) ||
+    choices.find(choice => productSearch.canonicalOptionValue(choice) === canonical) ||
+    matchChoice(text, choices) ||
+    choices.find(choice => new RegExp(`\\b${choice.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(normalized)) ||
+    null;
+}
+
+// "1001" on its own is an order number when that's what we asked for
+function matchBareOrderNumber(text) {
+  const match = String(text).trim().match(/^#?\s*([a-z]{0,4}\d{3,10})$/i);
+  return match ? `#${match[1].toUpperCase()}` : null;
+}
+
+// "save10" on its own is a code when that's what we asked for
+function matchBareDiscountCode(text) {
+  const match = String(text).trim().match(/^["]?([a-z0-9][a-z0-9_-]{2,29})["]?$/i);
+  return match && /[a-z]/i.test(match[1]) ? match[1].toUpperCase() : null;
+}
+
+function matchBareQuantity(text) {
+  const match = String(text).trim().match(/^(\d{1,3})$/);
+  return match ? parseInt(match[1], 10) || null : null;
+}
+
+function getSlotType(slot) {
+  return SLOT_TYPES[slot] || {
+    read: (entities, text) => String(text).trim() || null,
+    retryQuestion: "Sorry, I didn't catch that. Could you answer again?"
+  };
+}
+
+/**
+ * Build the pending dialogue for an action result that asked a question
+ */
+function createPendingDialogue({ intent, entities, userMessage, actionResult }) {
+  const { expects } = actionResult;
+
+  return {
+    state: AWAITING_SLOT,
+    intent,
+    slot: actionResult.fieldNeeded || expects.slot,
+    entities: { ...entities, ...(actionResult.carry || {}) },
+    userMessage,
+    question: actionResult.question || null,
+    inputType: actionResult.inputType || null,
+    choices: actionResult.choices || expects?.choices || null,
+    optional: !actionResult.needsInfo,
+    attempts: 0,
+    askedAt: new Date().toISOString()
+  };
+}
+
+function isExpired(dialogue, now = Date.now()) {
+  return !dialogue?.askedAt || now - new Date(dialogue.askedAt).getTime() > DIALOGUE_TTL_MS;
+}
+
+/**
+ * The answer SalesIQ collected for a context question. SalesIQ sends
+ * answers keyed by question name, either as strings or { text }.
+ * Without a slot name, the first answer is returned.
+ */
+function readContextAnswer(body, slot = null) {
+  const answers = body?.answers;
+  if (!answers || typeof answers !== 'object') return null;
+
+  const answer = slot ? answers[slot] : Object.values(answers)[0];
+  if (answer === undefined || answer === null) return null;
+
+  const text = typeof answer === 'object' ? (answer.text ?? answer.value) : answer;
+  return text === undefined || text === null ? null : String(text);
+}
+
+/**
+ * Read a reply to a pending question.
+ * Returns { status: "filled", value } | { status: "cancelled" } | { status: "invalid" }
+ */
+function resolveAnswer(dialogue, answerText) {
+  if (CANCEL_PATTERN.test(answerText)) {
+    return { status: "cancelled" };
+  }
+
+  const entities = entityExtractor.extractEntities(answerText);
+  const value = getSlotType(dialogue.slot).read(entities, answerText, dialogue);
+
+  // 0 is a real answer for position and quantity slots
+  return value === null || value === undefined ? { status: "invalid" } : { status: "filled", value };
+}
+
+/**
+ * The question to send again after an answer we couldn't use, or null
+ * once the customer has had MAX_SLOT_ATTEMPTS tries
+ */
+function buildRetryQuestion(dialogue) {
+  if (dialogue.attempts >= MAX_SLOT_ATTEMPTS) {
+    return null;
+  }
+
+  return {
+    needsInfo: true,
+    fieldNeeded: dialogue.slot,
+    question: getSlotType(dialogue.slot).retryQuestion,
+    inputType: dialogue.inputType
+  };
+}
+
+/**
+ * Where a filled slot should also be remembered in conversation context
+ * (e.g. email), or null if it only matters to the resumed action
+ */
+function getContextKey(slot) {
+  return SLOT_TYPES[slot]?.contextKey || null;
+}
+
+export default {
+  createPendingDialogue,
+  isExpired,
+  readContextAnswer,
+  resolveAnswer,
+  buildRetryQuestion,
+  getContextKey
+};
@@ -0,0 +1,230 @@
+// =====================================================
+// discounts.js - Discount codes in chat
+// =====================================================
+//
+// Codes are checked against the store's price rules and applied to the cart
+// (a draft order) as applied_discount. Shopify doesn't validate a draft
+// order's applied_discount, so the rules a code carries are checked here:
+// dates, usage limit, who may use it, minimum subtotal and quantity, and
+// which items it covers. Rules that depend on something the chat can't see
+// (one use per customer, the shipping country) are left to checkout.
+//
+// settings.discounts { discloseCodes } decides whether the bot may list the
+// store's active codes when asked about promotions (off unless enabled).
+
+import cart from "./cart.js";
+
+const DEFAULT_DISCOUNT_SETTINGS = {
+  discloseCodes: false
+};
+
+function getDiscountSettings(business) {
+  return { ...DEFAULT_DISCOUNT_SETTINGS, ...(business?.settings?.discounts || {}) };
+}
+
+function isActive(priceRule, now = Date.now()) {
+  return (!priceRule.starts_at || new Date(priceRule.starts_at).getTime() <= now) &&
+    (!priceRule.ends_at || new Date(priceRule.ends_at).getTime() > now);
+}
+
+/**
+ * Not limited to certain customers or customer segments
+ */
+function isForEveryone(priceRule) {
+  return (!priceRule.customer_selection || priceRule.customer_selection === 'all') &&
+    !priceRule.prerequisite_customer_ids?.length &&
+    !priceRule.customer_segment_prerequisite_ids?.length &&
+    !priceRule.prerequisite_saved_search_ids?.length;
+}
+
+/**
+ * Only checkout can tell whether this customer already used the code or
+ * where the order ships
+ */
+function needsCheckout(priceRule) {
+  return !!priceRule.once_per_customer ||
+    !!priceRule.entitled_country_ids?.length ||
+    !!priceRule.prerequisite_shipping_price_range?.less_than_or_equal_to;
+}
+
+function getMinimumSubtotal(priceRule) {
+  const minimum = Number(priceRule.prerequisite_subtotal_range?.greater_than_or_equal_to);
+  return Number.isFinite(minimum) && minimum > 0 ? minimum : null;
+}
+
+/**
+ * Line items the rule's discount covers: every line, or only the entitled
+ * products/variants. null when the rule targets something a draft order
+ * discount can't express (shipping, collections, buy X get Y).
+ */
+function getEntitledLines(priceRule, lines) {
+  if (priceRule.target_type !== 'line_item' ||
+    priceRule.entitled_collection_ids?.length ||
+    priceRule.prerequisite_product_ids?.length ||
+    priceRule.prerequisite_variant_ids?.length ||
+    priceRule.prerequisite_collection_ids?.length) {
+    return null;
+  }
+
+  if (priceRule.target_selection === 'all') {
+    return lines;
+  }
+
+  const products = new Set((priceRule.entitled_product_ids || []).map(String));
+  const variants = new Set((priceRule.entitled_variant_ids || []).map(String));
+
+  return lines.filter(line =>
+    products.has(String(line.product_id)) || variants.has(String(line.variant_id)));
+}
+
+function getMinimumQuantity(priceRule) {
+  const minimum = Number(priceRule.prerequisite_quantity_range?.greater_than_or_equal_to);
+  return Number.isFinite(minimum) && minimum > 0 ? minimum : null;
+}
+
+function getGrossSubtotal(lines) {
+  return lines.reduce((sum, line) => sum + Number(line.price || 0) * line.quantity, 0);
+}
+
+/**
+ * Can this code be applied to this cart?
+ * Returns { valid: true, lines } with the lines it covers, or
+ * { valid: false, reason } with reason one of
+ * not_started | expired | used_up | customer_only | checkout_only | minimum |
+ * minimum_quantity | no_matching_items.
+ */
+function checkDiscount(priceRule, discountCode, draftOrder, now = Date.now()) {
+  if (priceRule.starts_at && new Date(priceRule.starts_at).getTime() > now) {
+    return { valid: false, reason: "not_started" };
+  }
+
+  if (priceRule.ends_at && new Date(priceRule.ends_at).getTime() <= now) {
+    return { valid: false, reason: "expired" };
+  }
+
+  if (priceRule.usage_limit && discountCode.usage_count >= priceRule.usage_limit) {
+    return { valid: false, reason: "used_up" };
+  }
+
+  if (!isForEveryone(priceRule)) {
+    return { valid: false, reason: "customer_only" };
+  }
+
+  if (needsCheckout(priceRule)) {
+    return { valid: false, reason: "checkout_only" };
+  }
+
+  const minimum = getMinimumSubtotal(priceRule);
+  if (minimum && getGrossSubtotal(draftOrder.line_items) < minimum) {
+    return { valid: false, reason: "minimum", minimum };
+  }
+
+  const minimumQuantity = getMinimumQuantity(priceRule);
+  if (minimumQuantity && draftOrder.line_items.reduce((sum, line) => sum + line.quantity, 0) < minimumQuantity) {
+    return { valid: false, reason: "minimum_quantity", minimumQuantity };
+  }
+
+  const lines = getEntitledLines(priceRule, draftOrder.line_items);
+  if (!lines) {
+    return { valid: false, reason: "checkout_only" };
+  }
+
+  if (lines.length === 0) {
+    return { valid: false, reason: "no_matching_items" };
+  }
+
+  return { valid: true, lines };
+}
+
+/**
+ * The applied_discount for a code. Price rule values are negative
+ * ("-10.0"); applied_discount values are positive.
+ */
+function buildAppliedDiscount(priceRule, code) {
+  return {
+    title: code,
+    description: priceRule.title || code,
+    value_type: priceRule.value_type,
+    value: Math.abs(Number(priceRule.value)).toFixed(2)
+  };
+}
+
+/**
+ * The draft order update for a valid code: an order-level discount when it
+ * covers everything, otherwise a discount on each entitled line
+ */
+function buildDiscountUpdate(priceRule, code, draftOrder, entitledLines) {
+  const discount = buildAppliedDiscount(priceRule, code);
+
+  if (priceRule.target_selection === 'all' && priceRule.allocation_method !== 'each') {
+    return { applied_discount: discount };
+  }
+
+  const entitled = new Set(entitledLines.map(line => line.id));
+
+  // A fixed amount "across" the items is spent once, line by line
+  let remaining = Number(discount.value);
+
+  return {
+    line_items: draftOrder.line_items.map(line => {
+      const input = cart.toLineItemInput(line);
+      if (!entitled.has(line.id)) {
+        return input;
+      }
+
+      if (priceRule.value_type !== 'fixed_amount') {
+        return { ...input, applied_discount: discount };
+      }
+
+      // Line discounts in fixed amounts are per unit
+      const unitPrice = Number(line.price);
+      let perUnit;
+      if (priceRule.allocation_method === 'each') {
+        perUnit = Math.min(Number(discount.value), unitPrice);
+      } else {
+        perUnit = Math.min(remaining / line.quantity, unitPrice);
+        remaining -= perUnit * line.quantity;
+      }
+
+      return perUnit > 0
+        ? { ...input, applied_discount: { ...discount, value: perUnit.toFixed(2) } }
+        : input;
+    })
+  };
+}
+
+/**
+ * "10% off", "$5 off each item", "15% off orders over 50.00"
+ */
+function describePriceRule(priceRule, currency = '') {
+  const amount = Math.abs(Number(priceRule.value));
+  let text = priceRule.value_type === 'percentage'
+    ? `${amount}% off`
+    : `${amount.toFixed(2)}${currency ? ` ${currency}` : ''} off`;
+
+  if (priceRule.target_type === 'shipping_line') {
+    text = amount === 100 && priceRule.value_type === 'percentage' ? 'Free shipping' : `${text} shipping`;
+  } else if (priceRule.target_selection === 'entitled') {
+    text += ' selected items';
+  } else if (priceRule.allocation_method === 'each') {
+    text += ' each item';
+  } else {
+    text += ' your order';
+  }
+
+  const minimum = getMinimumSubtotal(priceRule);
+  if (minimum) {
+    text += ` over ${minimum.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+  }
+
+  return text;
+}
+
+export default {
+  getDiscountSettings,
+  isActive,
+  isForEveryone,
+  checkDiscount,
+  buildDiscountUpdate,
+  describePriceRule
+};
@@ -0,0 +1,367 @@
+// =====================================================
+// entity-extractor.js - Typed slots from a customer message
+// =====================================================
+//
+// Runs once per turn, before the action. Produces:
+//   quantity    2 for "2x", "qty 2", "two shirts", "a pair of"
+//   options     { size, color, ...catalog option names } ("large" → "L")
+//   orderName   "#1001" for "#1001" or "order 1001"
+//   email, phone
+//   priceRange  { min, max } for "under $50", "between 20 and 40"
+//   variantId   Shopify variant ids (long bare numbers from card buttons)
+//   discountCode "SUMMER10" for "code summer10", "apply SUMMER10"
+//   remainder   the message with the non-product entities cut out, for
+//               product search
+
+import productSearch from "./product-search.js";
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
+
+const QUANTITY_PHRASES = [
+  [/\ba\s+dozen\b/, 12],
+  [/\ba\s+pair\s+of\b/, 2],
+  [/\ba\s+couple\s+of\b/, 2]
+];
+
+const MAX_QUANTITY = 999;
+
+const COLORS = [
+  "black", "white", "red", "blue", "navy", "green", "yellow", "orange", "purple",
+  "pink", "brown", "grey", "gray", "beige", "cream", "gold", "silver", "maroon",
+  "teal", "olive", "khaki", "tan", "ivory", "charcoal", "burgundy", "turquoise",
+  "lavender", "mint", "coral", "multicolor"
+];
+
+const COLOR_MODIFIERS = ["light", "dark", "pale", "bright", "navy", "sky", "royal", "forest"];
+
+// Option names that mean the same slot
+const OPTION_NAME_ALIASES = {
+  colour: "color",
+  colours: "color",
+  colors: "color",
+  sizes: "size"
+};
+
+const CURRENCY = String.raw`(?:[$£€₹]|rs\.?|inr|usd)?\s?`;
+const AMOUNT = String.raw`(\d+(?:[.,]\d{1,2})?)`;
+const CURRENCY_SUFFIX = String.raw`(?:\s?(?:dollars|bucks|usd|rs|rupees|inr|euros?|pounds))?`;
+const PRICE = `${CURRENCY}${AMOUNT}${CURRENCY_SUFFIX}`;
+
+const PRICE_PATTERNS = [
+  { pattern: new RegExp(String.raw`\b(?:between|from)\s+${PRICE}\s+(?:and|to|-)\s+${PRICE}`, 'i'), bounds: ['min', 'max'] },
+  { pattern: new RegExp(String.raw`[$£€₹]\s?${AMOUNT}\s?(?:-|to)\s?[$£€₹]?\s?${AMOUNT}`, 'i'), bounds: ['min', 'max'] },
+  { pattern: new RegExp(String.raw`\b(?:under|below|less\s+than|cheaper\s+than|up\s+to|within|max(?:imum)?|no\s+more\s+than)\s+${PRICE}`, 'i'), bounds: ['max'] },
+  { pattern: new RegExp(String.raw`\b(?:over|above|more\s+than|at\s+least|min(?:imum)?)\s+${PRICE}`, 'i'), bounds: ['min'] }
+];
+
+const PHONE_PATTERNS = [
+  /\+\d[\d\s().-]{8,}\d/,
+  /\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/,
+  /\b\d{5}[\s-]\d{5}\b/,
+  /\b\d{10}\b/
+];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const ORDER_NAME_PATTERNS = [
+  /#\s?([a-z]{0,4}\d{3,10})\b/i,
+  /\border\s*(?:number|num|no\.?)?\s*:?\s*([a-z]{0,4}\d{3,10})\b/i
+];
+const VARIANT_ID_PATTERN = /\b(\d{11,})\b/;
+
+// "discount code: summer10", "coupon SAVE-20", "promo code is WELCOME"
+const DISCOUNT_CODE_PATTERN = /\b(?:(?:discount|promo|promotion|coupon|voucher|gift)\s*)?(?:code|coupon|voucher)\s*(?:is|:|=)?\s*["]?([a-z0-9][a-z0-9_-]{2,29})\b/i;
+// "apply SUMMER10" - without the word "code", only capitals count
+const BARE_DISCOUNT_CODE_PATTERN = /\b(?:apply|use|redeem|try)\s+["]?([A-Z0-9][A-Z0-9_-]{2,29})\b/;
+// What follows "code" in a sentence that isn't giving one
+const NOT_DISCOUNT_CODES = new Set([
+  "please", "for", "the", "that", "this", "you", "have", "has", "work", "works", "working", "isnt",
+  "doesnt", "not", "now", "here", "and", "with", "from", "apply", "to", "on", "any", "available"
+]);
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’']/g, '');
+}
+
+function words(text) {
+  return text.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean);
+}
+
+/**
+ * Run a pattern against the working text, blank out what it matched so
+ * later extractors don't see it, and return the match
+ */
+function take(state, pattern) {
+  const match = state.working.match(pattern);
+  if (match) {
+    state.working = state.working.slice(0, match.index) + ' ' + state.working.slice(match.index + match[0].length);
+  }
+  return match;
+}
+
+function parseAmount(value) {
+  return parseFloat(value.replace(',', '.'));
+}
+
+// =====================================================
+// EXTRACTORS
+// =====================================================
+
+function extractEmail(state) {
+  const match = take(state, EMAIL_PATTERN);
+  return match ? match[0].toLowerCase() : null;
+}
+
+function extractPhone(state) {
+  for (const pattern of PHONE_PATTERNS) {
+    const match = take(state, pattern);
+    if (match) {
+      const digits = match[0].replace(/\D/g, '');
+      return match[0].trim().startsWith('+') ? `+${digits}` : digits;
+    }
+  }
+  return null;
+}
+
+function extractVariantId(state) {
+  const match = take(state, VARIANT_ID_PATTERN);
+  return match ? match[1] : null;
+}
+
+function extractDiscountCode(state) {
+  for (const pattern of [DISCOUNT_CODE_PATTERN, BARE_DISCOUNT_CODE_PATTERN]) {
+    const code = state.working.match(pattern)?.[1];
+    if (!code || NOT_DISCOUNT_CODES.has(code.toLowerCase())) continue;
+
+    // Letters, or a number long enough not to be a quantity
+    if (/[a-z]/i.test(code) || /^\d{4,}$/.test(code)) {
+      take(state, pattern);
+      return code.toUpperCase();
+    }
+  }
+  return null;
+}
+
+function extractOrderName(state) {
+  for (const pattern of ORDER_NAME_PATTERNS) {
+    const match = take(state, pattern);
+    if (match) {
+      return `#${match[1].toUpperCase()}`;
+    }
+  }
+  return null;
+}
+
+function extractPriceRange(state) {
+  for (const { pattern, bounds } of PRICE_PATTERNS) {
+    const match = take(state, pattern);
+    if (match) {
+      const range = { min: null, max: null };
+      bounds.forEach((bound, i) => {
+        range[bound] = parseAmount(match[i + 1]);
+      });
+      if (range.min !== null && range.max !== null && range.min > range.max) {
+        [range.min, range.max] = [range.max, range.min];
+      }
+      return range;
+    }
+  }
+  return null;
+}
+
+function extractQuantity(state) {
+  // "size 10" is a size, not ten of something
+  const text = state.working.toLowerCase().replace(/\bsize\s+\w+/g, ' ');
+
+  const explicit =
+    text.match(/\b(?:qty|quantity)\s*(?:of\s*)?:?\s*(\d{1,3})\b/) ||
+    text.match(/\b(\d{1,3})\s*(?:x|pcs|pieces|units|of)\b/) ||
+    text.match(/\bx\s?(\d{1,3})\b/);
+
+  if (explicit) {
+    take(state, new RegExp(explicit[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+    return Math.min(parseInt(explicit[1], 10), MAX_QUANTITY) || null;
+  }
+
+  for (const [pattern, quantity] of QUANTITY_PHRASES) {
+    if (take(state, new RegExp(pattern.source, 'i'))) {
+      return quantity;
+    }
+  }
+
+  // A bare number in front of another word or at the end: "3 large blue", "add 2"
+  const bare = text.match(/(?<![#$£€₹.\d])\b(\d{1,3})\b(?!\s*(?:%|off\b|[$£€₹]|dollars|bucks))(?=\s+[a-z]|\s*$)/);
+  if (bare) {
+    take(state, new RegExp(String.raw`(?<![#$£€₹.\d])\b${bare[1]}\b`));
+    return Math.min(parseInt(bare[1], 10), MAX_QUANTITY) || null;
+  }
+
+  // Number words only before another word, so "the blue one" isn't a quantity
+  const numberWord = text.match(new RegExp(
+    String.raw`(?<!\b(?:the|this|that|which|other|another)\s)\b(${Object.keys(NUMBER_WORDS).join('|')})\b(?=\s+[a-z])`
+  ));
+  if (numberWord) {
+    take(state, new RegExp(String.raw`\b${numberWord[1]}\b`, 'i'));
+    return NUMBER_WORDS[numberWord[1]];
+  }
+
+  return null;
+}
+
+function canonicalOptionName(name) {
+  const normalized = String(name || '').toLowerCase().trim();
+  return OPTION_NAME_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Option values the store actually sells, matched as whole words
+ * (longest first, so "Navy Blue" wins over "Blue")
+ */
+function matchCatalogOptions(text, productOptions) {
+  const options = {};
+  const haystack = ` ${words(text).join(' ')} `;
+
+  const candidates = productOptions
+    .flatMap(option => (option.values || []).map(value => ({ name: canonicalOptionName(option.name), value })))
+    .filter(({ name }) => name && name !== 'title')
+    .sort((a, b) => b.value.length - a.value.length);
+
+  for (const { name, value } of candidates) {
+    if (options[name]) continue;
+    const valueWords = words(normalizeText(value));
+    if (valueWords.length === 0) continue;
+
+    // Single letters ("S", "M") are too easy to hit by accident - leave those to the size rules
+    if (valueWords.length === 1 && valueWords[0].length === 1) continue;
+
+    if (haystack.includes(` ${valueWords.join(' ')} `)) {
+      options[name] = value;
+    }
+  }
+
+  return options;
+}
+
+function matchSize(originalText) {
+  const sizeWords = words(originalText);
+
+  // "size 10", "size m"
+  const explicit = originalText.match(/\bsize\s*:?\s*([a-z0-9]{1,4})\b/i);
+  if (explicit) {
+    return productSearch.canonicalOptionValue(explicit[1]).toUpperCase();
+  }
+
+  for (let i = 0; i < sizeWords.length; i++) {
+    const pair = `${sizeWords[i]} ${sizeWords[i + 1]}`;
+    if (productSearch.SIZE_LOOKUP.has(pair)) {
+      return productSearch.SIZE_LOOKUP.get(pair).toUpperCase();
+    }
+
+    const canonical = productSearch.SIZE_LOOKUP.get(sizeWords[i]);
+    if (!canonical) continue;
+
+    // A lone "s" or "m" only counts when written as a size ("M", not "i'm")
+    if (sizeWords[i].length === 1 && !new RegExp(String.raw`\b${sizeWords[i].toUpperCase()}\b`).test(originalText)) {
+      continue;
+    }
+
+    return canonical.toUpperCase();
+  }
+
+  return null;
+}
+
+function matchColor(text) {
+  const colorWords = words(text);
+
+  for (let i = 0; i < colorWords.length; i++) {
+    if (!COLORS.includes(colorWords[i])) continue;
+
+    const previous = colorWords[i - 1];
+    if (previous && COLOR_MODIFIERS.includes(previous) && previous !== colorWords[i]) {
+      return `${previous} ${colorWords[i]}`;
+    }
+    return colorWords[i];
+  }
+
+  return null;
+}
+
+// =====================================================
+// PUBLIC API
+// =====================================================
+
+/**
+ * Pull every entity out of one message.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {Array<{name: string, values: string[]}>} options.productOptions
+ *   The store's option names and values, so store-specific values
+ *   ("Heather Grey", "Oat Milk") are recognised too
+ */
+function extractEntities(text, { productOptions = [] } = {}) {
+  const original = normalizeText(text);
+  const state = { working: original };
+
+  // Order matters: each extractor blanks out what it took
+  const email = extractEmail(state);
+  const discountCode = extractDiscountCode(state);
+  const phone = extractPhone(state);
+  const variantId = extractVariantId(state);
+  const orderName = extractOrderName(state);
+  const priceRange = extractPriceRange(state);
+  const quantity = extractQuantity(state);
+
+  const options = matchCatalogOptions(state.working, productOptions);
+  if (!options.size) {
+    const size = matchSize(state.working);
+    if (size) options.size = size;
+  }
+  if (!options.color) {
+    const color = matchColor(state.working);
+    if (color) options.color = color;
+  }
+
+  return {
+    quantity,
+    options,
+    orderName,
+    email,
+    phone,
+    priceRange,
+    variantId,
+    discountCode,
+    remainder: state.working.replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * One-line summary for logs
+ */
+function describeEntities(entities) {
+  const parts = [];
+  if (entities.quantity) parts.push(`qty=${entities.quantity}`);
+  for (const [name, value] of Object.entries(entities.options || {})) parts.push(`${name}=${value}`);
+  if (entities.orderName) parts.push(`order=${entities.orderName}`);
+  if (entities.email) parts.push(`email=${entities.email}`);
+  if (entities.phone) parts.push('phone=✓');
+  if (entities.priceRange) parts.push(`price=${entities.priceRange.min ?? ''}-${entities.priceRange.max ?? ''}`);
+  if (entities.variantId) parts.push(`variant=${entities.variantId}`);
+  if (entities.discountCode) parts.push(`code=${entities.discountCode}`);
+  return parts.join(', ') || 'none';
+}
+
+export default {
+  extractEntities,
+  describeEntities
+};
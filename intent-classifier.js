@@ -0,0 +1,160 @@
+// =====================================================
+// intent-classifier.js - Pluggable intent classification
+// =====================================================
+//
+// A classifier is any object with:
+//   train(examples)  examples: [{ text, intent }]
+//   classify(text)   → [{ intent, confidence }] sorted best first,
+//                      confidences summing to 1
+//
+// The default is a multinomial naive Bayes model over word unigrams and
+// bigrams, trained locally from intent-training-data.js. Raw naive Bayes
+// posteriors are close to 1 for nearly any message (every feature multiplies
+// the odds), so the summed log-likelihoods are divided by the square root of
+// the feature count and a temperature before the softmax - close calls then
+// look close. Other models can be
+// registered with registerClassifier() and picked with INTENT_CLASSIFIER.
+
+import trainingData from "./intent-training-data.js";
+
+const DEFAULT_CLASSIFIER = "naive_bayes";
+
+// =====================================================
+// FEATURES
+// =====================================================
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/\b\d{6,}\b/g, ' <id> ')
+    .replace(/#\d+/g, ' <order> ')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.]+/g, ' <email> ')
+    .split(/[^a-z0-9<>]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Unigrams plus bigrams, so "track order" and "return order" differ by
+ * more than one shared word
+ */
+function extractFeatures(text) {
+  const words = tokenize(text);
+  const features = [...words];
+
+  for (let i = 0; i < words.length - 1; i++) {
+    features.push(`${words[i]} ${words[i + 1]}`);
+  }
+
+  return features;
+}
+
+// =====================================================
+// NAIVE BAYES
+// =====================================================
+
+class NaiveBayesClassifier {
+  /**
+   * @param {object} options
+   * @param {number} options.alpha        Laplace smoothing
+   * @param {number} options.temperature  Softens the length-scaled log odds into usable confidences
+   */
+  constructor({ alpha = 0.1, temperature = 0.7 } = {}) {
+    this.alpha = alpha;
+    this.temperature = temperature;
+    this.intents = [];
+    this.vocabulary = new Set();
+    this.featureCounts = new Map(); // intent → Map<feature, count>
+    this.totalFeatures = new Map(); // intent → feature count
+    this.exampleCounts = new Map(); // intent → example count
+    this.exampleTotal = 0;
+  }
+
+  train(examples) {
+    for (const { text, intent } of examples) {
+      if (!this.featureCounts.has(intent)) {
+        this.intents.push(intent);
+        this.featureCounts.set(intent, new Map());
+        this.totalFeatures.set(intent, 0);
+        this.exampleCounts.set(intent, 0);
+      }
+
+      const counts = this.featureCounts.get(intent);
+      for (const feature of extractFeatures(text)) {
+        this.vocabulary.add(feature);
+        counts.set(feature, (counts.get(feature) || 0) + 1);
+        this.totalFeatures.set(intent, this.totalFeatures.get(intent) + 1);
+      }
+
+      this.exampleCounts.set(intent, this.exampleCounts.get(intent) + 1);
+      this.exampleTotal++;
+    }
+
+    return this;
+  }
+
+  classify(text) {
+    // Features never seen in training carry no evidence either way
+    const features = extractFeatures(text).filter(feature => this.vocabulary.has(feature));
+    const vocabularySize = this.vocabulary.size;
+    const scale = this.temperature * Math.sqrt(Math.max(features.length, 1));
+
+    const logScores = this.intents.map(intent => {
+      const counts = this.featureCounts.get(intent);
+      const denominator = this.totalFeatures.get(intent) + this.alpha * vocabularySize;
+      let logLikelihood = 0;
+
+      for (const feature of features) {
+        logLikelihood += Math.log(((counts.get(feature) || 0) + this.alpha) / denominator);
+      }
+
+      const logScore = Math.log(this.exampleCounts.get(intent) / this.exampleTotal) + logLikelihood / scale;
+      return { intent, logScore };
+    });
+
+    // Softmax over log scores
+    const maxScore = Math.max(...logScores.map(({ logScore }) => logScore));
+    const weights = logScores.map(({ intent, logScore }) => ({ intent, weight: Math.exp(logScore - maxScore) }));
+    const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+
+    return weights
+      .map(({ intent, weight }) => ({ intent, confidence: weight / total, knownFeatures: features.length }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+// =====================================================
+// REGISTRY
+// =====================================================
+
+const classifierFactories = new Map([
+  ["naive_bayes", () => new NaiveBayesClassifier()]
+]);
+
+/**
+ * Make another model available to createIntentClassifier()
+ */
+function registerClassifier(type, factory) {
+  classifierFactories.set(type, factory);
+}
+
+/**
+ * Build and train a classifier. type defaults to INTENT_CLASSIFIER or naive_bayes.
+ */
+function createIntentClassifier({ type = process.env.INTENT_CLASSIFIER || DEFAULT_CLASSIFIER, examples } = {}) {
+  const factory = classifierFactories.get(type);
+  if (!factory) {
+    throw new Error(`Unknown intent classifier "${type}"`);
+  }
+
+  const classifier = factory();
+  classifier.train(examples || trainingData.getTrainingExamples());
+  return classifier;
+}
+
+export default {
+  NaiveBayesClassifier,
+  registerClassifier,
+  createIntentClassifier,
+  extractFeatures
+};
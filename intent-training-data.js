@@ -0,0 +1,335 @@
+// =====================================================
+// intent-training-data.js - Labelled utterances for the intent classifier
+// =====================================================
+//
+// Add a few phrasings here whenever a new intent is introduced; the model
+// is trained from this list at startup.
+
+const TRAINING_DATA = {
+  track_order: [
+    "track my order",
+    "where is my order",
+    "where's my package",
+    "order status",
+    "what is the status of my order",
+    "has my order shipped",
+    "when will my order arrive",
+    "when will it be delivered",
+    "delivery status",
+    "check my order",
+    "shipping status",
+    "shipping status of my order",
+    "what is the shipping status of order #1001",
+    "tracking number",
+    "is my parcel on the way",
+    "my order hasn't arrived",
+    "i haven't received my order yet",
+    "show my orders",
+    "find my order",
+    "track shipment",
+    "track order",
+    "view details",
+    "order details",
+    "my orders",
+    "order #1001",
+    "track order #1001",
+    "show me order #1002"
+  ],
+
+  browse_deals: [
+    "show deals",
+    "show me deals",
+    "what deals do you have",
+    "browse products",
+    "show me your products",
+    "what do you sell",
+    "what do you have",
+    "show me the catalog",
+    "show collection",
+    "any discounts today",
+    "what's on sale",
+    "best sellers",
+    "new arrivals",
+    "i want to see products",
+    "let me browse",
+    "browse deals",
+    "browse more",
+    "show more",
+    "show me more products",
+    "next page",
+    "show me something",
+    "what's new"
+  ],
+
+  add_cart: [
+    "add to cart",
+    "add this to my cart",
+    "add it to cart",
+    "put this in my cart",
+    "add the blue hoodie to my cart",
+    "i want to buy the red mug",
+    "i'd like to buy this shirt",
+    "get me two of those",
+    "add 2 shirts",
+    "i'll take the large one",
+    "buy a coffee mug",
+    "purchase the sneakers",
+    "add one more",
+    "can i get the black jacket",
+    "i want this",
+    "add item",
+    "add 42650178125921 to cart",
+    "i want a medium t-shirt"
+  ],
+
+  buy_now: [
+    "checkout",
+    "i want to checkout",
+    "proceed to checkout",
+    "buy now",
+    "pay now",
+    "complete my purchase",
+    "ready to pay",
+    "how do i pay",
+    "take me to payment",
+    "place my order",
+    "finish my order",
+    "i'm done shopping",
+    "go to checkout",
+    "payment",
+    "email me the invoice",
+    "send me the checkout link",
+    "buy it now",
+    "i'll buy it"
+  ],
+
+  apply_discount: [
+    "apply a code",
+    "apply code SAVE10",
+    "i have a discount code",
+    "use my coupon",
+    "apply coupon WELCOME15",
+    "can i use a promo code",
+    "add discount code to my cart",
+    "redeem voucher",
+    "my promo code is SUMMER20",
+    "use code FREESHIP",
+    "enter a coupon code",
+    "apply my discount"
+  ],
+
+  show_promotions: [
+    "promotions",
+    "show promotions",
+    "any promo codes",
+    "do you have any coupons",
+    "are there any discount codes",
+    "current promotions",
+    "what promotions are running",
+    "got any coupon codes",
+    "is there a promo code i can use",
+    "any offers right now",
+    "what vouchers are available",
+    "special offers"
+  ],
+
+  notify_restock: [
+    "notify me",
+    "notify me when it's back",
+    "notify me when 8234567890123 is back in stock",
+    "let me know when it's back in stock",
+    "email me when it's available again",
+    "tell me when you restock",
+    "alert me when this is in stock",
+    "when will it be back in stock",
+    "can you tell me when the hoodie is back",
+    "back in stock alert",
+    "restock notification",
+    "ping me when it comes back"
+  ],
+
+  view_cart: [
+    "view cart",
+    "show my cart",
+    "what's in my cart",
+    "what is in my basket",
+    "see my cart",
+    "open my cart",
+    "my cart",
+    "show me my basket",
+    "what did i add",
+    "how much is my cart",
+    "cart total",
+    "list my cart items"
+  ],
+
+  update_quantity: [
+    "change quantity",
+    "change the quantity of the hoodie",
+    "change the hoodie to 3",
+    "make it 2 mugs instead",
+    "update the quantity in my cart",
+    "set the shirt quantity to 4",
+    "i only want 1 of those",
+    "change quantity of 42650178125921 in cart",
+    "increase the quantity",
+    "reduce the quantity",
+    "can i change how many i ordered in my cart",
+    "change item 2 to 5"
+  ],
+
+  remove_item: [
+    "remove item",
+    "remove the mug from my cart",
+    "take the hoodie out of my cart",
+    "delete this from my cart",
+    "remove 42650178125921 from cart",
+    "i don't want the shirt anymore",
+    "remove one of the hoodies",
+    "drop the jacket",
+    "get rid of the second item",
+    "remove the last item",
+    "delete item 2",
+    "take it out of my basket"
+  ],
+
+  clear_cart: [
+    "clear cart",
+    "clear my cart",
+    "empty my cart",
+    "empty the basket",
+    "remove everything from my cart",
+    "delete all items in my cart",
+    "start my cart over",
+    "reset my cart",
+    "remove all items",
+    "throw out everything in my cart"
+  ],
+
+  return_order: [
+    "i want to return my order",
+    "return an item",
+    "how do i return this",
+    "i want a refund",
+    "refund my order",
+    "can i get my money back",
+    "the item arrived damaged",
+    "i received the wrong item",
+    "it's not as described",
+    "the product is broken",
+    "i need to send it back",
+    "return policy",
+    "start a return",
+    "exchange this item",
+    "return order",
+    "this doesn't fit, can i return it",
+    "return it",
+    "return an item",
+    "return status",
+    "where is my return",
+    "status of my return",
+    "has my return been approved",
+    "it's too small",
+    "wrong size"
+  ],
+
+  cancel_order: [
+    "cancel my order",
+    "i want to cancel my order",
+    "cancel order #1001",
+    "please cancel order 1002",
+    "can i cancel my order",
+    "i ordered by mistake",
+    "i don't want this order anymore",
+    "stop my order",
+    "cancel it",
+    "cancel the order",
+    "how do i cancel an order",
+    "i changed my mind, cancel the order"
+  ],
+
+  change_address: [
+    "change my shipping address",
+    "change address",
+    "i entered the wrong address",
+    "update my delivery address",
+    "can you ship it to a different address",
+    "wrong shipping address on my order",
+    "i moved, change the address for order #1001",
+    "send my order to another address",
+    "edit the delivery address",
+    "update shipping address on order 1002",
+    "the address on my order is wrong",
+    "change where my order is delivered",
+    "i want to change my address",
+    "i need to change the address"
+  ],
+
+  product_info: [
+    "tell me about the red mug",
+    "what is this made of",
+    "product details for the hoodie",
+    "describe the blue shirt",
+    "what material is it",
+    "what are the dimensions",
+    "how big is it",
+    "how do i wash this",
+    "care instructions",
+    "specifications of the laptop bag",
+    "is it waterproof",
+    "more info about this product",
+    "what size should i get",
+    "does it come in other colours",
+    "tell me more about it",
+    "does the mug ship internationally",
+    "do you ship to canada",
+    "do you ship internationally",
+    "how much is shipping",
+    "how much is shipping for the hoodie",
+    "what does shipping cost",
+    "shipping cost for this",
+    "delivery cost",
+    "how much is delivery",
+    "is there free shipping on this",
+    "how long does delivery take",
+    "how long does shipping take for this",
+    "can this be shipped abroad"
+  ],
+
+  general_query: [
+    "hi",
+    "hello",
+    "hey there",
+    "good morning",
+    "help",
+    "help me",
+    "what can you do",
+    "who are you",
+    "thanks",
+    "thank you",
+    "ok",
+    "bye",
+    "can i talk to a human",
+    "contact support",
+    "what are your opening hours",
+    "try again",
+    "retry",
+    "let me try again",
+    "try that again",
+    "start over"
+  ]
+};
+
+/**
+ * Flatten to [{ text, intent }] for training
+ */
+function getTrainingExamples() {
+  return Object.entries(TRAINING_DATA).flatMap(([intent, utterances]) =>
+    utterances.map(text => ({ text, intent }))
+  );
+}
+
+export default {
+  TRAINING_DATA,
+  getTrainingExamples
+};
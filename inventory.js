@@ -0,0 +1,82 @@
+// =====================================================
+// inventory.js - Stock levels in chat
+// =====================================================
+//
+// A variant is limited when Shopify tracks its inventory and won't sell past
+// zero (inventory_policy "deny"); anything else can always be added to a
+// cart. Limited variants show "Only 3 left" once stock drops to the store's
+// threshold, and can't be added beyond what's on hand.
+//
+//   settings.inventory  { lowStockThreshold }
+
+const DEFAULT_INVENTORY_SETTINGS = {
+  lowStockThreshold: 5
+};
+
+function getInventorySettings(business) {
+  return { ...DEFAULT_INVENTORY_SETTINGS, ...(business?.settings?.inventory || {}) };
+}
+
+function isLimited(variant) {
+  return variant.inventory_tracked !== false &&
+    variant.inventory_policy === 'deny' &&
+    Number.isFinite(variant.inventory_quantity);
+}
+
+/**
+ * How many can still be sold, or null when there's no limit
+ */
+function getStockLimit(variant) {
+  if (variant.available === false) return 0;
+  return isLimited(variant) ? Math.max(variant.inventory_quantity, 0) : null;
+}
+
+function isInStock(variant) {
+  return getStockLimit(variant) !== 0;
+}
+
+function isSoldOut(product) {
+  return !(product?.variants || []).some(isInStock);
+}
+
+/**
+ * "Sold out", "Only 3 left", or null when there's plenty
+ */
+function describeStock(variant, settings = DEFAULT_INVENTORY_SETTINGS) {
+  const limit = getStockLimit(variant);
+  if (limit === 0) return "Sold out";
+  if (limit !== null && limit <= settings.lowStockThreshold) return `Only ${limit} left`;
+  return null;
+}
+
+/**
+ * How many of the wanted quantity can go into the cart, given how many are
+ * already in it. Returns { quantity, limit } - quantity is less than wanted
+ * (possibly 0) when stock runs short; limit is null when there's no limit.
+ */
+function capQuantity(variant, wanted, inCart = 0) {
+  const limit = getStockLimit(variant);
+  if (limit === null) {
+    return { quantity: wanted, limit };
+  }
+  return { quantity: Math.max(Math.min(wanted, limit - inCart), 0), limit };
+}
+
+function buildRestockEmail(title, productUrl, shopName) {
+  return {
+    subject: `${title} is back in stock at ${shopName}`,
+    text: `Good news - ${title} is back in stock.\n\n` +
+      `Get yours before it sells out again: ${productUrl}\n\n` +
+      `You're getting this because you asked ${shopName} to let you know when it was back.`
+  };
+}
+
+export default {
+  getInventorySettings,
+  getStockLimit,
+  isInStock,
+  isSoldOut,
+  describeStock,
+  capQuantity,
+  buildRestockEmail
+};
@@ -0,0 +1,120 @@
+// =====================================================
+// mailer.js - Pluggable outgoing email
+// =====================================================
+//
+// MAIL_TRANSPORT picks how mail leaves the server:
+//   console  log the message (default; for local development)
+//   file     append each message as a JSON line to MAIL_OUTBOX_FILE
+//   http     POST { from, to, subject, text } as JSON to MAIL_HTTP_URL
+//            (with MAIL_HTTP_TOKEN as a bearer token if set), for relays
+//            such as a transactional email provider's send endpoint
+//
+// console and file never reach the recipient, so mailers using them report
+// deliverable: false and callers decide what to switch off.
+//
+// Other transports can be added with registerTransport().
+
+import { appendFile } from "fs/promises";
+import fetch from "node-fetch";
+
+const DEFAULT_TRANSPORT = "console";
+const DEFAULT_OUTBOX_FILE = "mail-outbox.log";
+const DEFAULT_FROM = "no-reply@zocie.app";
+
+// Transports that keep messages on this server instead of sending them
+const LOG_ONLY_TRANSPORTS = new Set(["console", "file"]);
+
+// =====================================================
+// TRANSPORTS
+// =====================================================
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`📧 [console mailer] To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(`   ${message.text.replace(/\n/g, '\n   ')}`);
+    }
+  };
+}
+
+function createFileTransport({ path = process.env.MAIL_OUTBOX_FILE || DEFAULT_OUTBOX_FILE } = {}) {
+  return {
+    async send(message) {
+      await appendFile(path, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+      console.log(`📧 Mail to ${message.to} written to ${path}`);
+    }
+  };
+}
+
+function createHttpTransport({ url = process.env.MAIL_HTTP_URL, token = process.env.MAIL_HTTP_TOKEN } = {}) {
+  if (!url) {
+    throw new Error("MAIL_HTTP_URL is required for the http mail transport");
+  }
+
+  return {
+    async send(message) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mail relay responded ${response.status}`);
+      }
+    }
+  };
+}
+
+const transportFactories = new Map([
+  ["console", createConsoleTransport],
+  ["file", createFileTransport],
+  ["http", createHttpTransport]
+]);
+
+/**
+ * Make another transport available to createMailer().
+ * factory(options) must return { send(message) } where send returns a promise.
+ */
+function registerTransport(name, factory) {
+  transportFactories.set(name, factory);
+}
+
+// =====================================================
+// MAILER
+// =====================================================
+
+/**
+ * Build a mailer. transport defaults to MAIL_TRANSPORT or console.
+ * mailer.send({ to, subject, text }) fills in MAIL_FROM as the sender.
+ * mailer.deliverable is false when messages are only logged or written
+ * to a local file.
+ */
+function createMailer({ transport = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT, from = process.env.MAIL_FROM || DEFAULT_FROM, ...options } = {}) {
+  const factory = transportFactories.get(transport);
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${transport}"`);
+  }
+
+  const instance = factory(options);
+
+  return {
+    transport,
+    deliverable: !LOG_ONLY_TRANSPORTS.has(transport),
+    async send({ to, subject, text }) {
+      if (!to || !subject || !text) {
+        throw new Error("to, subject and text are required");
+      }
+      await instance.send({ from, to, subject, text });
+    }
+  };
+}
+
+export default {
+  createMailer,
+  registerTransport
+};
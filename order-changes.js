@@ -0,0 +1,203 @@
+// =====================================================
+// order-changes.js - Cancellation and address change policy
+// =====================================================
+//
+// Customers can cancel an order or change its shipping address while it is
+// unfulfilled, within limits each business sets in settings:
+//
+//   settings.cancellation   { enabled, windowHours, refund, restock }
+//   settings.addressChange  { enabled, windowHours, sameCountryOnly }
+//
+// windowHours counts from when the order was placed; null means "until it
+// ships". Anything not set falls back to DEFAULT_POLICIES.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Order fulfillment_status values that mean nothing has left the warehouse
+const UNSHIPPED_STATUSES = [null, "open", "unfulfilled", "scheduled", "on hold"];
+
+const DEFAULT_POLICIES = {
+  cancellation: {
+    enabled: true,
+    windowHours: 24,
+    refund: true,
+    restock: true
+  },
+  addressChange: {
+    enabled: true,
+    windowHours: 24,
+    sameCountryOnly: true
+  }
+};
+
+// Trailing postcode of a line: US ZIP(+4), UK, Canadian, or 3-6 digit codes
+const POSTCODE_PATTERN = /([A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}|[A-Z]\d[A-Z]\s?\d[A-Z]\d|\d{3,6}(?:-\d{4})?)\s*$/i;
+
+function getPolicy(business, name) {
+  return { ...DEFAULT_POLICIES[name], ...(business?.settings?.[name] || {}) };
+}
+
+function getCancellationPolicy(business) {
+  return getPolicy(business, 'cancellation');
+}
+
+function getAddressChangePolicy(business) {
+  return getPolicy(business, 'addressChange');
+}
+
+/**
+ * Shared rules: allowed by the store, not cancelled, nothing shipped,
+ * inside the window.
+ * Returns { allowed: true, deadline } or { allowed: false, reason, deadline }
+ * with reason one of disabled | cancelled | fulfilled | window_closed.
+ */
+function checkChangeAllowed(order, policy, now = Date.now()) {
+  if (!policy.enabled) {
+    return { allowed: false, reason: "disabled", deadline: null };
+  }
+
+  if (order.cancelled_at) {
+    return { allowed: false, reason: "cancelled", deadline: null };
+  }
+
+  if (!UNSHIPPED_STATUSES.includes(order.fulfillment_status) || order.fulfillments.length > 0) {
+    return { allowed: false, reason: "fulfilled", deadline: null };
+  }
+
+  const deadline = policy.windowHours === null || policy.windowHours === undefined
+    ? null
+    : new Date(new Date(order.created_at).getTime() + policy.windowHours * HOUR_MS);
+
+  if (deadline && now > deadline.getTime()) {
+    return { allowed: false, reason: "window_closed", deadline };
+  }
+
+  return { allowed: true, deadline };
+}
+
+function checkCancellation(order, policy, now = Date.now()) {
+  return checkChangeAllowed(order, policy, now);
+}
+
+// Address changes also need a shipping address to change (not e.g. digital orders)
+function checkAddressChange(order, policy, now = Date.now()) {
+  if (!order.shipping_address) {
+    return { allowed: false, reason: "no_shipping", deadline: null };
+  }
+  return checkChangeAllowed(order, policy, now);
+}
+
+// =====================================================
+// ADDRESSES
+// =====================================================
+
+/**
+ * Read "street, [apt,] city, [state,] ZIP[, country]" into an address.
+ * Anything the customer leaves out (names, phone, country) is kept from the
+ * current address. Returns null when there isn't a street, city and postcode.
+ */
+function parseAddress(text, currentAddress = {}) {
+  const parts = String(text || '')
+    .split(/\n|,/)
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  if (parts.length < 3) return null;
+
+  // The last part with a digit holds the postcode ("IL 62704" carries the state too)
+  let postcodeIndex = -1;
+  for (let i = parts.length - 1; i > 0; i--) {
+    if (POSTCODE_PATTERN.test(parts[i])) {
+      postcodeIndex = i;
+      break;
+    }
+  }
+  if (postcodeIndex < 2) return null;
+
+  const postcodePart = parts[postcodeIndex];
+  const zip = postcodePart.match(POSTCODE_PATTERN)[1].toUpperCase();
+  const provinceFromPostcode = postcodePart.slice(0, postcodePart.length - postcodePart.match(POSTCODE_PATTERN)[0].length).trim();
+
+  const before = parts.slice(0, postcodeIndex);
+  const country = parts.slice(postcodeIndex + 1).join(', ') || null;
+
+  let province = provinceFromPostcode || null;
+  if (!province && before.length >= 3) {
+    province = before.pop();
+  }
+
+  const [address1, ...rest] = before;
+  const city = rest.pop();
+  if (!address1 || !city) return null;
+
+  return {
+    firstName: currentAddress.firstName || null,
+    lastName: currentAddress.lastName || null,
+    company: currentAddress.company || null,
+    phone: currentAddress.phone || null,
+    address1,
+    address2: rest.join(', ') || null,
+    city,
+    province: province || (country ? null : currentAddress.province) || null,
+    zip,
+    country: country || currentAddress.country || null,
+    countryCode: country ? null : currentAddress.countryCodeV2 || null
+  };
+}
+
+/**
+ * Does the new address stay in the current address's country?
+ */
+function isSameCountry(newAddress, currentAddress) {
+  if (newAddress.countryCode) return true;
+
+  const given = String(newAddress.country || '').trim().toLowerCase();
+  return given === String(currentAddress.country || '').toLowerCase() ||
+    given === String(currentAddress.countryCodeV2 || '').toLowerCase();
+}
+
+/**
+ * Shopify MailingAddressInput for a parsed address
+ */
+function toMailingAddressInput(address) {
+  const input = {
+    firstName: address.firstName,
+    lastName: address.lastName,
+    company: address.company,
+    phone: address.phone,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    zip: address.zip
+  };
+
+  if (address.countryCode) {
+    input.countryCode = address.countryCode;
+  } else {
+    input.country = address.country;
+  }
+
+  return Object.fromEntries(Object.entries(input).filter(([, value]) => value !== null && value !== undefined));
+}
+
+function formatAddress(address) {
+  return [
+    address.address1,
+    address.address2,
+    [address.city, address.province, address.zip].filter(Boolean).join(' '),
+    address.country || address.countryCodeV2
+  ].filter(Boolean).join(', ');
+}
+
+export default {
+  DEFAULT_POLICIES,
+  getCancellationPolicy,
+  getAddressChangePolicy,
+  checkCancellation,
+  checkAddressChange,
+  parseAddress,
+  isSameCountry,
+  toMailingAddressInput,
+  formatAddress
+};
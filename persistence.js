@@ -2,11 +2,13 @@
 // persistence.js - File-based data persistence layer
 // FULLY FIXED & VERIFIED
 // =====================================================
+// Table definitions: supabase-schema.sql
 
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import supabase from "./supabase.js";
+import tokenCrypto from "./token-crypto.js";
 // Fix for ES modules (since __dirname doesn't exist)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -76,6 +78,30 @@ function getConversationFilePath(businessId, userId) {
 // BUSINESS DATA OPERATIONS
 // =====================================================
 
+/**
+ * Convert a businesses row (snake_case) to the camelCase shape the server uses
+ */
+function toBusinessData(row) {
+  return {
+    businessId: row.business_id,
+    shopDomain: row.shop_domain,
+    shopName: row.shop_name,
+    shopEmail: row.shop_email,
+    adminToken: row.admin_token,
+    refreshToken: row.refresh_token,
+    scopes: row.scopes,
+    expiresAt: row.expires_at,
+    connectedAt: row.connected_at,
+    lastReconnected: row.last_reconnected,
+    status: row.status,
+    currency: row.currency,
+    timezone: row.timezone,
+    webhookUrl: row.webhook_url,
+    settings: row.settings || {},
+    lastUpdated: row.last_updated
+  };
+}
+
 /**
  * Save business data to JSON file
  * FIXED: Proper error handling and metadata
@@ -88,8 +114,10 @@ function getConversationFilePath(businessId, userId) {
       shop_domain: businessData.shopDomain,
       shop_name: businessData.shopName,
       shop_email: businessData.shopEmail,
-      admin_token: businessData.adminToken,
-      refresh_token: businessData.refreshToken || null,
+      // Tokens are stored encrypted; sealToken leaves sealed values as they are
+      admin_token: tokenCrypto.sealToken(businessData.adminToken),
+      refresh_token: tokenCrypto.sealToken(businessData.refreshToken || null),
+      scopes: businessData.scopes || null,
       expires_at: businessData.expiresAt || null,
       connected_at: businessData.connectedAt || new Date().toISOString(),
       last_reconnected: businessData.lastReconnected || null,
@@ -97,6 +125,7 @@ function getConversationFilePath(businessId, userId) {
       currency: businessData.currency || 'USD',
       timezone: businessData.timezone || null,
       webhook_url: businessData.webhookUrl,
+      settings: businessData.settings || {},
       last_updated: new Date().toISOString()
     };
 
@@ -117,15 +146,22 @@ function getConversationFilePath(businessId, userId) {
 /**
  * Load business data from JSON file
  * FIXED: Safe file reading with validation
- */async function loadBusinessData(businessId) {
+ * Only active businesses unless activeOnly is false (reconnects reuse
+ * uninstalled records).
+ */async function loadBusinessData(businessId, { activeOnly = true } = {}) {
   try {
     if (!businessId) throw new Error('businessId is required');
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('businesses')
       .select('*')
-      .eq('business_id', businessId)
-      .single();
+      .eq('business_id', businessId);
+
+    if (activeOnly) {
+      query = query.eq('status', 'active');
+    }
+
+    const { data, error } = await query.single();
 
     if (error) {
       if (error.code === 'PGRST116') { // Not found
@@ -137,23 +173,7 @@ function getConversationFilePath(businessId, userId) {
 
     console.log(`✓ Loaded business data for ${businessId}`);
     
-    // Convert snake_case to camelCase for compatibility
-    return {
-      businessId: data.business_id,
-      shopDomain: data.shop_domain,
-      shopName: data.shop_name,
-      shopEmail: data.shop_email,
-      adminToken: data.admin_token,
-      refreshToken: data.refresh_token,
-      expiresAt: data.expires_at,
-      connectedAt: data.connected_at,
-      lastReconnected: data.last_reconnected,
-      status: data.status,
-      currency: data.currency,
-      timezone: data.timezone,
-      webhookUrl: data.webhook_url,
-      lastUpdated: data.last_updated
-    };
+    return toBusinessData(data);
   } catch (error) {
     console.error(`❌ Error loading business data for ${businessId}:`, error);
     return null;
@@ -177,24 +197,7 @@ function getConversationFilePath(businessId, userId) {
     console.log(`📂 Found ${data.length} business(es)`);
     
     for (const row of data) {
-      const businessData = {
-        businessId: row.business_id,
-        shopDomain: row.shop_domain,
-        shopName: row.shop_name,
-        shopEmail: row.shop_email,
-        adminToken: row.admin_token,
-        refreshToken: row.refresh_token,
-        expiresAt: row.expires_at,
-        connectedAt: row.connected_at,
-        lastReconnected: row.last_reconnected,
-        status: row.status,
-        currency: row.currency,
-        timezone: row.timezone,
-        webhookUrl: row.webhook_url,
-        lastUpdated: row.last_updated
-      };
-      
-      businesses.set(row.business_id, businessData);
+      businesses.set(row.business_id, toBusinessData(row));
       console.log(`   ✓ Loaded: ${row.business_id} (${row.shop_name})`);
     }
     
@@ -228,6 +231,103 @@ function getConversationFilePath(businessId, userId) {
   }
 }
 
+/**
+ * Find the business connected to a shop domain, whatever its status
+ * (loadAllBusinesses only returns active ones)
+ */
+async function findBusinessByShopDomain(shopDomain) {
+  try {
+    if (!shopDomain) throw new Error('shopDomain is required');
+
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('*')
+      .eq('shop_domain', shopDomain)
+      .order('last_updated', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? toBusinessData(data) : null;
+  } catch (error) {
+    console.error(`❌ Error finding business for ${shopDomain}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Mark a business inactive and drop its tokens (on uninstall Shopify has
+ * already revoked them; a reconnect stores new ones)
+ */
+async function deactivateBusiness(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error } = await supabase
+      .from('businesses')
+      .update({
+        status: 'inactive',
+        admin_token: null,
+        refresh_token: null,
+        expires_at: null,
+        last_updated: new Date().toISOString()
+      })
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+
+    console.log(`✓ Business ${businessId} deactivated, tokens cleared`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deactivating ${businessId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Re-encrypt admin/refresh tokens of every business (any status) with the
+ * active TOKEN_ENCRYPTION_KEYS key. Plaintext tokens are encrypted, tokens
+ * under an older key are re-wrapped.
+ */
+async function reencryptBusinessTokens() {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('business_id, admin_token, refresh_token');
+
+  if (error) throw error;
+
+  const result = { total: data.length, updated: 0, failed: 0 };
+
+  for (const row of data) {
+    try {
+      if (!tokenCrypto.needsRotation(row.admin_token) && !tokenCrypto.needsRotation(row.refresh_token)) {
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from('businesses')
+        .update({
+          admin_token: tokenCrypto.rotateToken(row.admin_token),
+          refresh_token: tokenCrypto.rotateToken(row.refresh_token),
+          last_updated: new Date().toISOString()
+        })
+        .eq('business_id', row.business_id);
+
+      if (updateError) throw updateError;
+
+      result.updated++;
+      console.log(`   ✓ Re-encrypted tokens for ${row.business_id}`);
+    } catch (rowError) {
+      result.failed++;
+      console.error(`   ❌ Could not re-encrypt ${row.business_id}: ${rowError.message}`);
+    }
+  }
+
+  console.log(`✓ Re-encrypted ${result.updated}/${result.total} business(es), ${result.failed} failed`);
+  return result;
+}
+
 // =====================================================
 // CONVERSATION MEMORY OPERATIONS
 // =====================================================
@@ -370,6 +470,761 @@ function getConversationFilePath(businessId, userId) {
   }
 }
 
+/**
+ * Conversations belonging to a customer: keyed by their email, or where
+ * the bot remembered their email in context
+ */
+async function findCustomerConversationRows(businessId, email, columns = '*') {
+  const [byUserId, byContext] = await Promise.all([
+    supabase.from('conversations').select(columns).eq('business_id', businessId).eq('user_id', email),
+    supabase.from('conversations').select(columns).eq('business_id', businessId).eq('context->>email', email)
+  ]);
+
+  if (byUserId.error) throw byUserId.error;
+  if (byContext.error) throw byContext.error;
+
+  const rows = new Map();
+  for (const row of [...byUserId.data, ...byContext.data]) {
+    rows.set(row.user_id, row);
+  }
+  return Array.from(rows.values());
+}
+
+/**
+ * Export a customer's conversations (GDPR customers/data_request)
+ */
+async function exportCustomerConversations(businessId, email) {
+  try {
+    if (!businessId || !email) {
+      throw new Error('businessId and email are required');
+    }
+
+    const rows = await findCustomerConversationRows(businessId, email);
+
+    console.log(`✓ Exported ${rows.length} conversation(s) for ${businessId}:${email}`);
+
+    return rows.map(row => ({
+      userId: row.user_id,
+      messages: row.messages,
+      context: row.context,
+      messageCount: row.message_count,
+      lastUpdated: row.last_updated
+    }));
+  } catch (error) {
+    console.error(`❌ Error exporting conversations for ${businessId}:${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a customer's conversations (GDPR customers/redact).
+ * Returns the userIds that were removed.
+ */
+async function deleteCustomerConversations(businessId, email) {
+  try {
+    if (!businessId || !email) {
+      throw new Error('businessId and email are required');
+    }
+
+    const rows = await findCustomerConversationRows(businessId, email, 'user_id');
+    const userIds = rows.map(row => row.user_id);
+
+    if (userIds.length > 0) {
+      const { error } = await supabase
+        .from('conversations')
+        .delete()
+        .eq('business_id', businessId)
+        .in('user_id', userIds);
+
+      if (error) throw error;
+    }
+
+    console.log(`✓ Deleted ${userIds.length} conversation(s) for ${businessId}:${email}`);
+    return userIds;
+  } catch (error) {
+    console.error(`❌ Error deleting conversations for ${businessId}:${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete every conversation of a business (GDPR shop/redact)
+ */
+async function deleteAllConversations(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error, count } = await supabase
+      .from('conversations')
+      .delete({ count: 'exact' })
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted ${count || 0} conversation(s) for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting conversations for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+// =====================================================
+// PRODUCT CATALOG OPERATIONS
+// =====================================================
+// Table products: business_id, product_id (unique together), title, handle,
+// status, product (jsonb), shopify_updated_at, synced_at
+
+const PRODUCT_UPSERT_BATCH_SIZE = 100;
+const PRODUCT_LOAD_PAGE_SIZE = 1000; // PostgREST returns at most 1000 rows per request
+
+/**
+ * Upsert cached products for a business
+ */
+async function saveProducts(businessId, products) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const syncedAt = new Date().toISOString();
+    const rows = products.map(product => ({
+      business_id: businessId,
+      product_id: product.id,
+      title: product.title,
+      handle: product.handle,
+      status: product.status,
+      product,
+      shopify_updated_at: product.updated_at || null,
+      synced_at: syncedAt
+    }));
+
+    for (let i = 0; i < rows.length; i += PRODUCT_UPSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('products')
+        .upsert(rows.slice(i, i + PRODUCT_UPSERT_BATCH_SIZE), { onConflict: 'business_id,product_id' });
+
+      if (error) throw error;
+    }
+
+    console.log(`✓ Saved ${rows.length} product(s) for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error saving products for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Load every cached product of a business
+ */
+async function loadProducts(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const products = [];
+
+    for (let from = 0; ; from += PRODUCT_LOAD_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('products')
+        .select('product')
+        .eq('business_id', businessId)
+        .order('product_id')
+        .range(from, from + PRODUCT_LOAD_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      products.push(...data.map(row => row.product));
+      if (data.length < PRODUCT_LOAD_PAGE_SIZE) break;
+    }
+
+    console.log(`✓ Loaded ${products.length} cached product(s) for ${businessId}`);
+    return products;
+  } catch (error) {
+    console.error(`❌ Error loading products for ${businessId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Remove cached products by id
+ */
+async function deleteProducts(businessId, productIds) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+    if (!productIds.length) return true;
+
+    const { error } = await supabase
+      .from('products')
+      .delete()
+      .eq('business_id', businessId)
+      .in('product_id', productIds);
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted ${productIds.length} cached product(s) for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting products for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the whole cached catalog of a business
+ */
+async function deleteAllProducts(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error } = await supabase
+      .from('products')
+      .delete()
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted cached catalog for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting catalog for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * When the last completed catalog sync ran up to (the newest Shopify
+ * updated_at it fetched), or null before the first sync
+ */
+async function loadCatalogSyncedAt(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('catalog_synced_at')
+      .eq('business_id', businessId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data?.catalog_synced_at || null;
+  } catch (error) {
+    console.error(`❌ Error loading catalog sync time for ${businessId}:`, error);
+    return null;
+  }
+}
+
+async function saveCatalogSyncedAt(businessId, syncedAt) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error } = await supabase
+      .from('businesses')
+      .update({ catalog_synced_at: syncedAt })
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error(`❌ Error saving catalog sync time for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+// =====================================================
+// RETURN OPERATIONS
+// =====================================================
+// Table returns: business_id, return_id (Shopify GraphQL id, unique), email,
+// order_id, order_name, return_name, status, reason, line_items (jsonb),
+// created_at, updated_at
+
+function toReturnRecord(row) {
+  return {
+    returnId: row.return_id,
+    email: row.email,
+    orderId: row.order_id,
+    orderName: row.order_name,
+    returnName: row.return_name,
+    status: row.status,
+    reason: row.reason,
+    lineItems: row.line_items || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Record a return the bot requested for a customer
+ */
+async function saveReturnRecord(businessId, record) {
+  try {
+    if (!businessId || !record?.returnId) throw new Error('businessId and returnId are required');
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('returns')
+      .upsert({
+        business_id: businessId,
+        return_id: record.returnId,
+        email: record.email.toLowerCase(),
+        order_id: record.orderId,
+        order_name: record.orderName,
+        return_name: record.returnName,
+        status: record.status,
+        reason: record.reason,
+        line_items: record.lineItems,
+        created_at: record.createdAt || now,
+        updated_at: now
+      }, { onConflict: 'return_id' });
+
+    if (error) throw error;
+
+    console.log(`✓ Saved return ${record.returnName} for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error saving return for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * A customer's returns, newest first
+ */
+async function loadReturnRecords(businessId, email) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { data, error } = await supabase
+      .from('returns')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('email', email.toLowerCase())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(toReturnRecord);
+  } catch (error) {
+    console.error(`❌ Error loading returns for ${businessId}:${email}:`, error);
+    return [];
+  }
+}
+
+async function updateReturnStatus(businessId, returnId, status) {
+  try {
+    const { error } = await supabase
+      .from('returns')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('business_id', businessId)
+      .eq('return_id', returnId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error(`❌ Error updating return ${returnId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a customer's return records (GDPR customers/redact)
+ */
+async function deleteCustomerReturns(businessId, email) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { error, count } = await supabase
+      .from('returns')
+      .delete({ count: 'exact' })
+      .eq('business_id', businessId)
+      .eq('email', email.toLowerCase());
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted ${count || 0} return record(s) for ${businessId}:${email}`);
+    return count || 0;
+  } catch (error) {
+    console.error(`❌ Error deleting returns for ${businessId}:${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete every return record of a business (GDPR shop/redact)
+ */
+async function deleteAllReturns(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error } = await supabase
+      .from('returns')
+      .delete()
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted return records for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting returns for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+// =====================================================
+// RESTOCK SUBSCRIPTION OPERATIONS
+// =====================================================
+// Table restock_subscriptions: id, business_id, product_id, variant_id (null
+// = any variant of the product), email, product_title, created_at,
+// notified_at (null until the email goes out)
+
+function toRestockSubscription(row) {
+  return {
+    id: row.id,
+    productId: row.product_id,
+    variantId: row.variant_id,
+    email: row.email,
+    productTitle: row.product_title,
+    createdAt: row.created_at,
+    notifiedAt: row.notified_at
+  };
+}
+
+/**
+ * Ask to be emailed when a product (or one variant of it) is back in stock.
+ * Subscribing again replaces the earlier subscription, re-arming it if it
+ * was already notified.
+ */
+async function saveRestockSubscription(businessId, subscription) {
+  try {
+    if (!businessId || !subscription?.productId || !subscription?.email) {
+      throw new Error('businessId, productId and email are required');
+    }
+
+    const email = subscription.email.toLowerCase();
+    const variantId = subscription.variantId || null;
+
+    let existing = supabase
+      .from('restock_subscriptions')
+      .delete()
+      .eq('business_id', businessId)
+      .eq('product_id', subscription.productId)
+      .eq('email', email);
+    existing = variantId ? existing.eq('variant_id', variantId) : existing.is('variant_id', null);
+
+    const { error: deleteError } = await existing;
+    if (deleteError) throw deleteError;
+
+    const { error } = await supabase
+      .from('restock_subscriptions')
+      .insert({
+        business_id: businessId,
+        product_id: subscription.productId,
+        variant_id: variantId,
+        email,
+        product_title: subscription.productTitle,
+        created_at: new Date().toISOString(),
+        notified_at: null
+      });
+
+    if (error) throw error;
+
+    console.log(`✓ Saved restock subscription for product ${subscription.productId}${variantId ? ` variant ${variantId}` : ''} (${businessId})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error saving restock subscription for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Subscriptions still waiting for a notification that a restock of this
+ * variant answers: ones for the variant itself and ones for any variant
+ */
+async function loadPendingRestockSubscriptions(businessId, productId, variantId) {
+  try {
+    if (!businessId || !productId || !variantId) return [];
+
+    const { data, error } = await supabase
+      .from('restock_subscriptions')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('product_id', productId)
+      .or(`variant_id.is.null,variant_id.eq.${variantId}`)
+      .is('notified_at', null);
+
+    if (error) throw error;
+
+    return data.map(toRestockSubscription);
+  } catch (error) {
+    console.error(`❌ Error loading restock subscriptions for ${businessId}:`, error);
+    return [];
+  }
+}
+
+async function markRestockNotified(businessId, subscriptionIds) {
+  try {
+    if (!subscriptionIds?.length) return true;
+
+    const { error } = await supabase
+      .from('restock_subscriptions')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('business_id', businessId)
+      .in('id', subscriptionIds);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error(`❌ Error marking restock notifications for ${businessId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * A customer's restock subscriptions (GDPR customers/data_request)
+ */
+async function loadCustomerRestockSubscriptions(businessId, email) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { data, error } = await supabase
+      .from('restock_subscriptions')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('email', email.toLowerCase());
+
+    if (error) throw error;
+
+    return data.map(toRestockSubscription);
+  } catch (error) {
+    console.error(`❌ Error loading restock subscriptions for ${businessId}:${email}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Delete a customer's restock subscriptions (GDPR customers/redact)
+ */
+async function deleteCustomerRestockSubscriptions(businessId, email) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { error, count } = await supabase
+      .from('restock_subscriptions')
+      .delete({ count: 'exact' })
+      .eq('business_id', businessId)
+      .eq('email', email.toLowerCase());
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted ${count || 0} restock subscription(s) for ${businessId}:${email}`);
+    return count || 0;
+  } catch (error) {
+    console.error(`❌ Error deleting restock subscriptions for ${businessId}:${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete every restock subscription of a business (GDPR shop/redact)
+ */
+async function deleteAllRestockSubscriptions(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error } = await supabase
+      .from('restock_subscriptions')
+      .delete()
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted restock subscriptions for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting restock subscriptions for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+// =====================================================
+// VERIFICATION FAILURE OPERATIONS
+// =====================================================
+// Table verification_failures: business_id, email, attempts,
+// first_failed_at - wrong order number + ZIP answers (customer-verification.js)
+
+/**
+ * { attempts, firstFailedAt } for this customer, or null if none recorded
+ */
+async function loadVerificationFailures(businessId, email) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { data, error } = await supabase
+      .from('verification_failures')
+      .select('attempts, first_failed_at')
+      .eq('business_id', businessId)
+      .eq('email', email.toLowerCase())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return {
+      attempts: data.attempts,
+      firstFailedAt: Date.parse(data.first_failed_at)
+    };
+  } catch (error) {
+    console.error(`❌ Error loading verification failures for ${businessId}:${email}:`, error);
+    return null;
+  }
+}
+
+async function saveVerificationFailures(businessId, email, failures) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { error } = await supabase
+      .from('verification_failures')
+      .upsert({
+        business_id: businessId,
+        email: email.toLowerCase(),
+        attempts: failures.attempts,
+        first_failed_at: new Date(failures.firstFailedAt).toISOString()
+      }, { onConflict: 'business_id,email' });
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error(`❌ Error saving verification failures for ${businessId}:${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Forget a customer's failures (verified, or GDPR customers/redact)
+ */
+async function deleteVerificationFailures(businessId, email) {
+  try {
+    if (!businessId || !email) throw new Error('businessId and email are required');
+
+    const { error } = await supabase
+      .from('verification_failures')
+      .delete()
+      .eq('business_id', businessId)
+      .eq('email', email.toLowerCase());
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting verification failures for ${businessId}:${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete every verification failure of a business (GDPR shop/redact)
+ */
+async function deleteAllVerificationFailures(businessId) {
+  try {
+    if (!businessId) throw new Error('businessId is required');
+
+    const { error } = await supabase
+      .from('verification_failures')
+      .delete()
+      .eq('business_id', businessId);
+
+    if (error) throw error;
+
+    console.log(`✓ Deleted verification failures for ${businessId}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting verification failures for ${businessId}:`, error);
+    throw error;
+  }
+}
+
+// =====================================================
+// OAUTH STATE OPERATIONS
+// =====================================================
+// Table oauth_states: state (primary key), shop, created_at, expires_at
+
+/**
+ * Store a pending OAuth state so any instance can complete the callback
+ */
+async function saveOAuthState(state, shop, ttlMs) {
+  try {
+    if (!state || !shop) throw new Error('state and shop are required');
+
+    const createdAt = new Date();
+    const { error } = await supabase
+      .from('oauth_states')
+      .insert({
+        state,
+        shop,
+        created_at: createdAt.toISOString(),
+        expires_at: new Date(createdAt.getTime() + ttlMs).toISOString()
+      });
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error(`❌ Error saving OAuth state for ${shop}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Atomically delete and return a pending OAuth state, so it can only be used once.
+ * Returns { shop, timestamp, expiresAt } or null when the state is unknown.
+ */
+async function consumeOAuthState(state) {
+  try {
+    if (!state) return null;
+
+    const { data, error } = await supabase
+      .from('oauth_states')
+      .delete()
+      .eq('state', state)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return {
+      shop: data.shop,
+      timestamp: new Date(data.created_at).getTime(),
+      expiresAt: new Date(data.expires_at).getTime()
+    };
+  } catch (error) {
+    console.error('❌ Error consuming OAuth state:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove OAuth states whose TTL has passed
+ */
+async function sweepExpiredOAuthStates() {
+  try {
+    const { error, count } = await supabase
+      .from('oauth_states')
+      .delete({ count: 'exact' })
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+
+    if (count) {
+      console.log(`✓ Swept ${count} expired OAuth state(s)`);
+    }
+    return count || 0;
+  } catch (error) {
+    console.error('❌ Error sweeping OAuth states:', error);
+    return 0;
+  }
+}
+
 /**
  * Clear all data (cleanup utility)
  * FIXED: Safe cleanup with verification
@@ -416,12 +1271,52 @@ export default {
     loadBusinessData,
     loadAllBusinesses,
     deleteBusinessData,
+    findBusinessByShopDomain,
+    deactivateBusiness,
+    reencryptBusinessTokens,
 
     // Conversation operations
     saveConversationMemory,
     loadConversationMemory,
     loadAllConversations,
     deleteConversationMemory,
+    exportCustomerConversations,
+    deleteCustomerConversations,
+    deleteAllConversations,
+
+    // Product catalog operations
+    saveProducts,
+    loadProducts,
+    deleteProducts,
+    deleteAllProducts,
+    loadCatalogSyncedAt,
+    saveCatalogSyncedAt,
+
+    // Return operations
+    saveReturnRecord,
+    loadReturnRecords,
+    updateReturnStatus,
+    deleteCustomerReturns,
+    deleteAllReturns,
+
+    // Restock subscription operations
+    saveRestockSubscription,
+    loadPendingRestockSubscriptions,
+    markRestockNotified,
+    loadCustomerRestockSubscriptions,
+    deleteCustomerRestockSubscriptions,
+    deleteAllRestockSubscriptions,
+
+    // Verification failure operations
+    loadVerificationFailures,
+    saveVerificationFailures,
+    deleteVerificationFailures,
+    deleteAllVerificationFailures,
+
+    // OAuth state operations
+    saveOAuthState,
+    consumeOAuthState,
+    sweepExpiredOAuthStates,
 
     // Utility
     clearAllData,
@@ -0,0 +1,340 @@
+// =====================================================
+// product-catalog.js - Per-business product cache
+// =====================================================
+//
+// Built with a full sync when OAuth completes, kept fresh by products/* and
+// inventory_levels/update webhooks and a periodic reconcile, stored in
+// Supabase (products table) and held in memory so browse/search never wait
+// on Shopify.
+//
+// Incremental syncs fetch what changed after the last sync's watermark,
+// stored on the business row (catalog_synced_at).
+
+import persistence from "./persistence.js";
+import shopifyGraphql from "./shopify-graphql.js";
+import productSearch from "./product-search.js";
+
+// About 45 query-cost points per listed product keeps a page near 900 of
+// Shopify's 1000-point limit (getProducts shrinks it further if needed)
+const SYNC_PAGE_SIZE = 20;
+
+const catalogs = new Map(); // businessId → { products: Map<productId, product>, lastSyncedAt, searchIndex }
+
+// =====================================================
+// IN-MEMORY CATALOG
+// =====================================================
+
+function setCatalog(businessId, products, lastSyncedAt = null) {
+  const catalog = {
+    products: new Map(products.map(product => [Number(product.id), product])),
+    lastSyncedAt,
+    searchIndex: null
+  };
+  catalogs.set(businessId, catalog);
+  return catalog;
+}
+
+/**
+ * Get the cached catalog, loading it from Supabase on first use
+ */
+async function loadCatalog(businessId) {
+  let catalog = catalogs.get(businessId);
+
+  if (!catalog) {
+    const products = await persistence.loadProducts(businessId);
+    // Not derived from the products: webhook upserts would move it past
+    // updates a sync hasn't fetched yet
+    catalog = setCatalog(businessId, products, await persistence.loadCatalogSyncedAt(businessId));
+  }
+
+  return catalog;
+}
+
+function latestUpdatedAt(products) {
+  let latest = null;
+  for (const product of products) {
+    if (product.updated_at && (!latest || product.updated_at > latest)) {
+      latest = product.updated_at;
+    }
+  }
+  return latest;
+}
+
+/**
+ * All cached products for a business (active only unless told otherwise)
+ */
+async function getProducts(businessId, { activeOnly = true } = {}) {
+  const catalog = await loadCatalog(businessId);
+  const products = Array.from(catalog.products.values());
+  return activeOnly ? products.filter(product => product.status === 'active') : products;
+}
+
+async function getProduct(businessId, productId) {
+  const catalog = await loadCatalog(businessId);
+  return catalog.products.get(Number(productId)) || null;
+}
+
+/**
+ * Find the cached product that owns a variant id
+ */
+async function findProductByVariantId(businessId, variantId) {
+  const catalog = await loadCatalog(businessId);
+
+  for (const product of catalog.products.values()) {
+    const variant = product.variants?.find(v => String(v.id) === String(variantId));
+    if (variant) {
+      return { product, variant };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the cached product and variant stocked as an inventory item
+ * (inventory_levels/* webhooks only carry the inventory item id)
+ */
+async function findProductByInventoryItemId(businessId, inventoryItemId) {
+  const catalog = await loadCatalog(businessId);
+
+  for (const product of catalog.products.values()) {
+    const variant = product.variants?.find(v => String(v.inventory_item_id) === String(inventoryItemId));
+    if (variant) {
+      return { product, variant };
+    }
+  }
+  return null;
+}
+
+/**
+ * Full-text search over the cached catalog (active products only).
+ * The index is rebuilt lazily after any catalog change.
+ */
+async function searchCatalog(businessId, text, options = {}) {
+  const catalog = await loadCatalog(businessId);
+
+  if (!catalog.searchIndex) {
+    const activeProducts = Array.from(catalog.products.values()).filter(product => product.status === 'active');
+    catalog.searchIndex = productSearch.buildIndex(activeProducts);
+  }
+
+  return productSearch.search(catalog.searchIndex, text, options);
+}
+
+/**
+ * Every option name the store uses with all its values, merged across
+ * active products: [{ name, values }]
+ */
+async function getOptionValues(businessId) {
+  const valuesByName = new Map();
+
+  for (const product of await getProducts(businessId)) {
+    for (const option of product.options || []) {
+      if (!valuesByName.has(option.name)) valuesByName.set(option.name, new Set());
+      for (const value of option.values || []) {
+        valuesByName.get(option.name).add(value);
+      }
+    }
+  }
+
+  return Array.from(valuesByName, ([name, values]) => ({ name, values: Array.from(values) }));
+}
+
+async function getCatalogSize(businessId) {
+  return (await getProducts(businessId)).length;
+}
+
+function evictCatalog(businessId) {
+  catalogs.delete(businessId);
+}
+
+// =====================================================
+// SYNC
+// =====================================================
+
+async function fetchProducts(business, query) {
+  const products = [];
+  let after = null;
+
+  do {
+    const page = await shopifyGraphql.getProducts(business.shopDomain, business.adminToken, {
+      first: SYNC_PAGE_SIZE,
+      query,
+      after
+    });
+    products.push(...await shopifyGraphql.completeProducts(business.shopDomain, business.adminToken, page.products));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return products;
+}
+
+/**
+ * Pull products from Shopify into the cache.
+ * full: replace everything; otherwise only products updated since the last sync.
+ * Returns the number of products fetched.
+ */
+async function syncCatalog(business, { full = false } = {}) {
+  const { businessId } = business;
+  const catalog = full ? null : await loadCatalog(businessId);
+  const since = catalog?.lastSyncedAt;
+
+  const query = since ? `updated_at:>'${since}'` : null;
+  const products = await fetchProducts(business, query);
+
+  if (products.length > 0) {
+    await persistence.saveProducts(businessId, products);
+  }
+
+  // Only what this sync fetched moves the watermark
+  const syncedAt = latestUpdatedAt([...products, { updated_at: since }]);
+  if (syncedAt !== since) {
+    await persistence.saveCatalogSyncedAt(businessId, syncedAt);
+  }
+
+  if (full) {
+    setCatalog(businessId, products, syncedAt);
+  } else {
+    for (const product of products) {
+      catalog.products.set(Number(product.id), product);
+    }
+    if (products.length > 0) {
+      catalog.searchIndex = null;
+    }
+    catalog.lastSyncedAt = syncedAt;
+  }
+
+  console.log(`🗂️ Catalog ${full ? 'full' : 'incremental'} sync for ${businessId}: ${products.length} product(s)`);
+  return products.length;
+}
+
+/**
+ * Incremental sync plus removal of products that no longer exist in Shopify
+ * (covers missed products/* webhooks)
+ */
+async function reconcileCatalog(business) {
+  const { businessId } = business;
+  const catalog = await loadCatalog(businessId);
+
+  if (catalog.products.size === 0) {
+    return syncCatalog(business, { full: true });
+  }
+
+  const updated = await syncCatalog(business);
+
+  const liveIds = new Set(await shopifyGraphql.getAllProductIds(business.shopDomain, business.adminToken));
+  const removedIds = Array.from(catalog.products.keys()).filter(id => !liveIds.has(id));
+
+  if (removedIds.length > 0) {
+    await persistence.deleteProducts(businessId, removedIds);
+    for (const id of removedIds) {
+      catalog.products.delete(id);
+    }
+    catalog.searchIndex = null;
+  }
+
+  console.log(`🗂️ Catalog reconciled for ${businessId}: ${updated} updated, ${removedIds.length} removed`);
+  return updated + removedIds.length;
+}
+
+// =====================================================
+// WEBHOOK UPDATES
+// =====================================================
+
+/**
+ * Convert a products/create|update webhook payload (REST shape) to the
+ * cached product shape produced by shopify-graphql.js. Payloads carry no
+ * storefront URL, so online_store_url is left out (upsertProduct keeps the
+ * cached one).
+ */
+function normalizeWebhookProduct(payload) {
+  const imagesById = new Map((payload.images || []).map(image => [image.id, image.src]));
+
+  return {
+    id: Number(payload.id),
+    admin_graphql_api_id: payload.admin_graphql_api_id,
+    title: payload.title,
+    handle: payload.handle,
+    status: payload.status,
+    vendor: payload.vendor,
+    product_type: payload.product_type,
+    tags: payload.tags || '',
+    body_html: payload.body_html,
+    created_at: payload.created_at,
+    updated_at: payload.updated_at,
+    total_inventory: (payload.variants || []).reduce((sum, variant) => sum + (variant.inventory_quantity || 0), 0),
+    options: (payload.options || []).map(option => ({ name: option.name, values: option.values })),
+    images: (payload.images || []).map(image => ({ src: image.src, alt: image.alt })),
+    variants: (payload.variants || []).map(variant => {
+      const tracked = !!variant.inventory_management;
+      return {
+        id: Number(variant.id),
+        product_id: Number(payload.id),
+        title: variant.title,
+        sku: variant.sku,
+        price: variant.price,
+        compare_at_price: variant.compare_at_price,
+        available: !tracked || variant.inventory_policy === 'continue' || variant.inventory_quantity > 0,
+        inventory_quantity: variant.inventory_quantity,
+        inventory_policy: variant.inventory_policy,
+        inventory_item_id: variant.inventory_item_id ? Number(variant.inventory_item_id) : null,
+        inventory_tracked: tracked,
+        option1: variant.option1 ?? null,
+        option2: variant.option2 ?? null,
+        option3: variant.option3 ?? null,
+        image_src: imagesById.get(variant.image_id) || null
+      };
+    })
+  };
+}
+
+async function upsertProduct(businessId, product) {
+  const catalog = await loadCatalog(businessId);
+
+  if (!('online_store_url' in product)) {
+    product = { ...product, online_store_url: catalog.products.get(Number(product.id))?.online_store_url ?? null };
+  }
+
+  await persistence.saveProducts(businessId, [product]);
+  catalog.products.set(Number(product.id), product);
+  catalog.searchIndex = null;
+}
+
+/**
+ * Re-fetch one product from Shopify into the cache. Returns the fresh
+ * product, or null if it no longer exists (it is dropped from the cache).
+ */
+async function refreshProduct(business, productId) {
+  const product = await shopifyGraphql.getProduct(business.shopDomain, business.adminToken, productId);
+
+  if (!product) {
+    await removeProduct(business.businessId, productId);
+    return null;
+  }
+
+  await upsertProduct(business.businessId, product);
+  return product;
+}
+
+async function removeProduct(businessId, productId) {
+  const catalog = await loadCatalog(businessId);
+  await persistence.deleteProducts(businessId, [Number(productId)]);
+  catalog.products.delete(Number(productId));
+  catalog.searchIndex = null;
+}
+
+export default {
+  getProducts,
+  getProduct,
+  findProductByVariantId,
+  findProductByInventoryItemId,
+  searchCatalog,
+  getOptionValues,
+  getCatalogSize,
+  evictCatalog,
+  syncCatalog,
+  reconcileCatalog,
+  normalizeWebhookProduct,
+  upsertProduct,
+  removeProduct,
+  refreshProduct
+};
@@ -0,0 +1,244 @@
+// =====================================================
+// product-qa.js - Answering product questions from the product page
+// =====================================================
+//
+// Answers come only from what the store wrote: the description (body_html),
+// tags and metafields. These are cut into short passages, and the passages
+// that best match the question - its own words plus the topic it is about
+// (materials, dimensions, care, shipping, options) - are returned as the
+// answer. Nothing is made up; when no passage matches, the caller says so
+// and points to the product page.
+
+import productSearch from "./product-search.js";
+
+const MAX_PASSAGES = 3;
+const OVERVIEW_PASSAGES = 3;
+const MAX_PASSAGE_LENGTH = 300;
+
+// Checked in order - "what sizes does it come in" is about options, and "how
+// long does delivery take" about shipping, not dimensions
+const TOPIC_PATTERNS = [
+  ["options", /\b(colou?rs|sizes|variants|options|come in|available in)\b/i],
+  ["care", /\b(care|wash\w*|clean\w*|dry|dryer|drying|iron\w*|dishwasher|microwave|bleach|maintain\w*)\b/i],
+  ["materials", /\b(materials?|made|fabrics?|cotton|wool|leather|polyester|linen|silk|metal|wood|plastic|ceramic|steel|composition|ingredients?|vegan|organic)\b/i],
+  ["shipping", /\b(ship\w*|deliver\w*|arrive|dispatch\w*|postage|courier)\b/i],
+  ["dimensions", /\b(dimensions?|size|measure\w*|big|tall|wide|width|height|length|long|deep|depth|weight|weigh\w*|heavy|fit|fits|capacity|volume|cm|mm|inch\w*)\b/i]
+];
+
+// Metafield keys ("custom.material", "specs.width_cm") that belong to a topic
+const TOPIC_METAFIELD_KEYS = {
+  materials: /material|fabric|composition|ingredient|origin|made_in/i,
+  dimensions: /dimension|size|width|height|length|depth|weight|capacity|volume|measure/i,
+  care: /care|wash|clean/i,
+  shipping: /ship|deliver|dispatch/i
+};
+
+const MEASUREMENT_PATTERN = /\d+(\.\d+)?\s?(cm|mm|m|in|inch(es)?|"|kg|g|lbs?|oz|ml|l)\b/i;
+
+// Question wording that says nothing about which product or what about it
+const QUESTION_WORDS = new Set([
+  "what", "whats", "what's", "how", "does", "do", "is", "are", "can", "could", "tell", "me", "about",
+  "this", "that", "it", "its", "it's", "the", "a", "an", "of", "more", "info", "information", "details",
+  "detail", "product", "describe", "explain", "should", "i", "get", "any", "there", "have", "has", "much",
+  "many", "which", "will", "would", "you", "your", "please", "know", "want", "to", "for", "on", "in", "be"
+]);
+
+// =====================================================
+// TEXT
+// =====================================================
+
+const HTML_ENTITIES = { amp: "&", nbsp: " ", quot: '"', apos: "'", lt: "<", gt: ">", "#39": "'" };
+
+/**
+ * Description HTML as plain text, one line per paragraph, list item or row
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<\s*(br|\/p|\/li|\/h[1-6]|\/tr|\/div)\s*\/?>/gi, '\n')
+    .replace(/<\s*\/t[dh]\s*>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|nbsp|quot|apos|lt|gt|#39);/g, (match, name) => HTML_ENTITIES[name])
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function truncate(text) {
+  return text.length > MAX_PASSAGE_LENGTH ? `${text.slice(0, MAX_PASSAGE_LENGTH - 1).trimEnd()}…` : text;
+}
+
+// "width_cm" → "Width cm"
+function humanizeKey(key) {
+  const words = String(key).replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * A metafield's value as text, or null for types that can't be shown
+ * (references to files, products, metaobjects...)
+ */
+function formatMetafieldValue(metafield) {
+  const { type, value } = metafield;
+  if (value === null || value === undefined || value === '') return null;
+  if (/reference/.test(type)) return null;
+
+  try {
+    if (type.startsWith('list.')) {
+      return JSON.parse(value)
+        .map(item => formatMetafieldValue({ type: type.slice(5), value: typeof item === 'string' ? item : JSON.stringify(item) }))
+        .filter(Boolean)
+        .join(', ') || null;
+    }
+
+    if (['dimension', 'weight', 'volume'].includes(type)) {
+      const { value: amount, unit } = JSON.parse(value);
+      return `${amount} ${String(unit).toLowerCase()}`;
+    }
+
+    if (type === 'rich_text_field') {
+      const collect = node => (node.value || '') + (node.children || []).map(collect).join(' ');
+      return collect(JSON.parse(value)).replace(/\s+/g, ' ').trim() || null;
+    }
+
+    if (type === 'json') return null;
+  } catch {
+    return null;
+  }
+
+  return type === 'multi_line_text_field' ? value.replace(/\s*\n\s*/g, '; ') : String(value);
+}
+
+// =====================================================
+// PASSAGES
+// =====================================================
+
+/**
+ * The product's description sentences, metafields and tags as passages:
+ * [{ text, source: description|metafield|tag, key }]
+ */
+function buildPassages(product, metafields = []) {
+  const passages = [];
+
+  for (const line of htmlToText(product.body_html).split('\n')) {
+    // Long paragraphs are split into sentences; short lines ("Material: Cotton") stay whole
+    const sentences = line.length > 160 ? line.split(/(?<=[.!?])\s+/) : [line];
+    for (const sentence of sentences) {
+      passages.push({ text: truncate(sentence), source: "description", key: null });
+    }
+  }
+
+  for (const metafield of metafields) {
+    const value = formatMetafieldValue(metafield);
+    if (value) {
+      passages.push({ text: truncate(`${humanizeKey(metafield.key)}: ${value}`), source: "metafield", key: `${metafield.namespace}.${metafield.key}` });
+    }
+  }
+
+  const tags = Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(',');
+  for (const tag of tags.map(tag => tag.trim()).filter(Boolean)) {
+    passages.push({ text: tag.replace(/[_-]+/g, ' '), source: "tag", key: null });
+  }
+
+  return passages;
+}
+
+function detectTopic(question) {
+  const match = TOPIC_PATTERNS.find(([, pattern]) => pattern.test(question));
+  return match ? match[0] : null;
+}
+
+function getTopicPattern(topic) {
+  return TOPIC_PATTERNS.find(([name]) => name === topic)?.[1] || null;
+}
+
+/**
+ * The words of a message that could name a product, once question wording
+ * and topic words are taken out: "is the red mug dishwasher safe" → "red mug safe"
+ */
+function getProductWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9'%-]+/)
+    .filter(word => word && !QUESTION_WORDS.has(word) && !detectTopic(word))
+    .join(' ');
+}
+
+/**
+ * How well a passage answers: question words it shares (the product's own
+ * name aside), topic words, and for topic questions, metafields filed
+ * under the topic and measurements for dimensions
+ */
+function scorePassage(passage, queryTerms, topic) {
+  const terms = new Set(productSearch.tokenize(passage.text));
+  let score = queryTerms.filter(term => terms.has(term)).length * 2;
+
+  const topicPattern = getTopicPattern(topic);
+  if (topicPattern) {
+    if (topicPattern.test(passage.text)) score += 2;
+    if (passage.key && TOPIC_METAFIELD_KEYS[topic]?.test(passage.key)) score += 3;
+    if (topic === 'dimensions' && MEASUREMENT_PATTERN.test(passage.text)) score += 2;
+  }
+
+  return score;
+}
+
+/**
+ * The option values still in stock: "Size: S, M, L"
+ */
+function describeOptions(product) {
+  return (product.options || []).flatMap((option, i) => {
+    // Single-variant products have a placeholder "Title" option
+    if (option.name === 'Title' && option.values.length <= 1) return [];
+
+    const inStock = option.values.filter(value =>
+      product.variants?.some(variant => variant.available !== false && variant[`option${i + 1}`] === value));
+    return [`${option.name}: ${(inStock.length ? inStock : option.values).join(', ')}`];
+  });
+}
+
+/**
+ * Answer a question about a product from its page.
+ * Returns { topic, passages, overview } - passages are the best matching
+ * texts (empty when nothing on the page answers it); overview is true when
+ * the question was just "tell me about it" and passages summarise the product.
+ */
+function answerQuestion(product, question, metafields = []) {
+  const topic = detectTopic(question);
+
+  if (topic === 'options') {
+    return { topic, passages: describeOptions(product), overview: false };
+  }
+
+  const passages = buildPassages(product, metafields);
+  const titleTerms = new Set(productSearch.tokenize(product.title));
+  const queryTerms = productSearch.tokenize(question)
+    .filter(term => !QUESTION_WORDS.has(term) && !titleTerms.has(term));
+
+  // "tell me about the red mug" - nothing specific asked
+  if (!topic && queryTerms.length === 0) {
+    return {
+      topic,
+      passages: passages.filter(passage => passage.source === 'description').slice(0, OVERVIEW_PASSAGES).map(passage => passage.text),
+      overview: true
+    };
+  }
+
+  const best = passages
+    .map((passage, i) => ({ passage, i, score: scorePassage(passage, queryTerms, topic) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, MAX_PASSAGES)
+    .map(({ passage }) => passage.text);
+
+  return { topic, passages: best, overview: false };
+}
+
+export default {
+  htmlToText,
+  detectTopic,
+  getProductWords,
+  buildPassages,
+  describeOptions,
+  answerQuestion
+};
@@ -0,0 +1,313 @@
+// =====================================================
+// product-search.js - Typo-tolerant full-text product search
+// =====================================================
+//
+// Titles, tags, product types, vendors and variant option values are
+// tokenized, stemmed and indexed. Queries are ranked with BM25 (fields
+// weighted, title highest); words that aren't in the index are expanded
+// to similar indexed words by trigram overlap, so "hoody" still finds
+// "hoodie". Each hit comes back with the variant its option words point to.
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  options: 1.5,
+  tags: 1.5,
+  productType: 1.5,
+  vendor: 1
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TRIGRAM_MIN_SIMILARITY = 0.4;
+const MAX_FUZZY_EXPANSIONS = 3;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "the", "of", "for", "to", "in", "on", "with", "me", "my",
+  "i", "you", "it", "is", "please", "some", "one", "size", "color", "colour"
+]);
+
+// Size spellings that should match each other: "large" finds a "L" variant
+const SIZE_SYNONYMS = {
+  xs: ["xs", "extra small", "x-small", "xsmall"],
+  s: ["s", "small", "sm"],
+  m: ["m", "medium", "med"],
+  l: ["l", "large", "lg"],
+  xl: ["xl", "extra large", "x-large", "xlarge"],
+  xxl: ["xxl", "2xl", "xx-large", "xxlarge"]
+};
+
+const SIZE_LOOKUP = new Map(
+  Object.entries(SIZE_SYNONYMS).flatMap(([canonical, spellings]) => spellings.map(spelling => [spelling, canonical]))
+);
+
+// =====================================================
+// TEXT PROCESSING
+// =====================================================
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function splitWords(text) {
+  return normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function stripSuffix(word) {
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(x|ch|sh|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Light suffix stripping so plurals and simple verb forms meet. A final
+ * -ie or -y becomes -i, so both spellings of a plural land together:
+ * hoodies/hoodie → hoodi, berries/berry → berri, dresses → dress,
+ * running → runn
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+  const stripped = stripSuffix(word);
+  return stripped.length > 3 ? stripped.replace(/(ie|y)$/, 'i') : stripped;
+}
+
+function tokenize(text) {
+  return splitWords(text)
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function trigrams(term) {
+  const padded = `  ${term} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+function trigramSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++;
+  }
+  return shared / (gramsA.size + gramsB.size - shared);
+}
+
+// =====================================================
+// INDEXING
+// =====================================================
+
+function getProductFields(product) {
+  const optionValues = (product.options || []).flatMap(option => option.values || []);
+
+  return {
+    title: product.title,
+    options: optionValues.join(' '),
+    tags: Array.isArray(product.tags) ? product.tags.join(' ') : product.tags,
+    productType: product.product_type,
+    vendor: product.vendor
+  };
+}
+
+/**
+ * Build a search index over a list of (cached) products
+ */
+function buildIndex(products) {
+  const docs = [];
+  const postings = new Map();      // term → Map<docIndex, weighted tf>
+  const trigramIndex = new Map();  // trigram → Set<term>
+  let totalLength = 0;
+
+  products.forEach((product, docIndex) => {
+    const weightedTf = new Map();
+    let length = 0;
+
+    for (const [field, text] of Object.entries(getProductFields(product))) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const term of tokenize(text)) {
+        weightedTf.set(term, (weightedTf.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    for (const [term, tf] of weightedTf) {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+        for (const gram of trigrams(term)) {
+          if (!trigramIndex.has(gram)) trigramIndex.set(gram, new Set());
+          trigramIndex.get(gram).add(term);
+        }
+      }
+      postings.get(term).set(docIndex, tf);
+    }
+
+    docs.push({ product, length });
+    totalLength += length;
+  });
+
+  return {
+    docs,
+    postings,
+    trigramIndex,
+    averageLength: docs.length ? totalLength / docs.length : 0
+  };
+}
+
+// =====================================================
+// QUERYING
+// =====================================================
+
+/**
+ * Indexed terms to look up for one query term: the term itself when it's
+ * indexed, otherwise its closest indexed neighbours by trigram similarity
+ */
+function expandTerm(index, term) {
+  if (index.postings.has(term)) {
+    return [{ term, boost: 1 }];
+  }
+
+  const candidates = new Set();
+  for (const gram of trigrams(term)) {
+    for (const candidate of index.trigramIndex.get(gram) || []) {
+      candidates.add(candidate);
+    }
+  }
+
+  return Array.from(candidates)
+    .map(candidate => ({ term: candidate, boost: trigramSimilarity(term, candidate) }))
+    .filter(({ boost }) => boost >= TRIGRAM_MIN_SIMILARITY)
+    .sort((a, b) => b.boost - a.boost)
+    .slice(0, MAX_FUZZY_EXPANSIONS);
+}
+
+function idf(index, term) {
+  const docCount = index.docs.length;
+  const docFrequency = index.postings.get(term)?.size || 0;
+  return Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+}
+
+function canonicalOptionValue(value) {
+  const normalized = normalizeText(value).trim();
+  return SIZE_LOOKUP.get(normalized) || normalized;
+}
+
+/**
+ * Option words in the query, canonicalised ("large" → "l"), including
+ * two-word spellings like "extra large"
+ */
+function getQueryOptionWords(text) {
+  const words = splitWords(text);
+  const found = new Set();
+
+  for (let i = 0; i < words.length; i++) {
+    const pair = `${words[i]} ${words[i + 1]}`;
+    if (SIZE_LOOKUP.has(pair)) {
+      // "extra large" is XL, not "extra" + L
+      found.add(SIZE_LOOKUP.get(pair));
+      i++;
+    } else {
+      found.add(canonicalOptionValue(words[i]));
+    }
+  }
+
+  return found;
+}
+
+function optionValueMatches(value, queryOptionWords) {
+  const canonical = canonicalOptionValue(value);
+  if (queryOptionWords.has(canonical)) return true;
+
+  // Multi-word values ("Navy Blue") need every word present
+  const parts = splitWords(value);
+  return parts.length > 1 && parts.every(part => queryOptionWords.has(part));
+}
+
+/**
+ * Pick the variant whose option values best match the query's option words.
+ * Returns { variant, matchedOptions } or null when the query names no option.
+ */
+function resolveVariant(product, queryOptionWords) {
+  const optionNames = (product.options || []).map(option => option.name);
+  let best = null;
+
+  for (const variant of product.variants || []) {
+    const matchedOptions = {};
+    [variant.option1, variant.option2, variant.option3].forEach((value, i) => {
+      if (value && optionValueMatches(value, queryOptionWords)) {
+        matchedOptions[optionNames[i] || `Option ${i + 1}`] = value;
+      }
+    });
+
+    const matchCount = Object.keys(matchedOptions).length;
+    if (matchCount === 0) continue;
+
+    const available = variant.available !== false;
+    const rank = matchCount * 2 + (available ? 1 : 0);
+    if (!best || rank > best.rank) {
+      best = { variant, matchedOptions, rank };
+    }
+  }
+
+  return best ? { variant: best.variant, matchedOptions: best.matchedOptions } : null;
+}
+
+/**
+ * Rank products for a free-text query.
+ * Returns [{ product, score, variant, matchedOptions }], best first;
+ * variant is null when the query doesn't mention any option value.
+ */
+function search(index, text, { limit = 5 } = {}) {
+  const queryTerms = Array.from(new Set(tokenize(text)));
+  if (queryTerms.length === 0 || index.docs.length === 0) {
+    return [];
+  }
+
+  const scores = new Map();
+
+  for (const queryTerm of queryTerms) {
+    for (const { term, boost } of expandTerm(index, queryTerm)) {
+      const termIdf = idf(index, term);
+
+      for (const [docIndex, tf] of index.postings.get(term)) {
+        const lengthNorm = 1 - BM25_B + BM25_B * (index.docs[docIndex].length / index.averageLength);
+        const termScore = termIdf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + termScore * boost);
+      }
+    }
+  }
+
+  const queryOptionWords = getQueryOptionWords(text);
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([docIndex, score]) => {
+      const { product } = index.docs[docIndex];
+      const resolved = resolveVariant(product, queryOptionWords);
+      return {
+        product,
+        score,
+        variant: resolved?.variant || null,
+        matchedOptions: resolved?.matchedOptions || {}
+      };
+    });
+}
+
+export default {
+  tokenize,
+  stem,
+  buildIndex,
+  search,
+  resolveVariant,
+  getQueryOptionWords,
+  canonicalOptionValue,
+  SIZE_LOOKUP
+};
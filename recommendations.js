@@ -0,0 +1,226 @@
+// =====================================================
+// recommendations.js - "You may also like"
+// =====================================================
+//
+// Recommendations start from seed products - the ones the customer added
+// to the cart or asked about in this conversation (context.previousActions)
+// - and come from three sources, in this order:
+//
+//   bought together  products that share orders with the seeds
+//   similar          products sharing title words, tags or product type
+//                    with the seeds
+//   bestsellers      most units sold, to fill up (or when there are no seeds)
+//
+// Order statistics are computed from each store's last ORDER_SAMPLE_SIZE
+// orders and held in memory; stale ones keep answering while they are
+// refreshed in the background.
+
+import shopifyGraphql from "./shopify-graphql.js";
+import productSearch from "./product-search.js";
+import inventory from "./inventory.js";
+
+const ORDER_SAMPLE_SIZE = 100;
+const STATS_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_SEEDS = 5;
+const MIN_SIMILARITY = 0.15;
+
+// How strongly each action marks its products as something the customer wants
+const SEED_WEIGHTS = {
+  add_cart: 2,
+  product_info: 1,
+  notify_restock: 1
+};
+
+const orderStats = new Map(); // businessId → { boughtTogether: Map<productId, Map<productId, orders>>, unitsSold: Map<productId, units>, computedAt }
+const refreshes = new Map(); // businessId → in-flight refresh
+
+// =====================================================
+// ORDER STATISTICS
+// =====================================================
+
+function emptyStats() {
+  return { boughtTogether: new Map(), unitsSold: new Map(), computedAt: Date.now() };
+}
+
+/**
+ * Units sold per product, and for each product how many orders it shared
+ * with each other product
+ */
+function computeOrderStats(orders) {
+  const stats = emptyStats();
+
+  for (const lines of orders) {
+    const productIds = Array.from(new Set(lines.map(line => line.productId)));
+
+    for (const line of lines) {
+      stats.unitsSold.set(line.productId, (stats.unitsSold.get(line.productId) || 0) + line.quantity);
+    }
+
+    for (const a of productIds) {
+      for (const b of productIds) {
+        if (a === b) continue;
+        if (!stats.boughtTogether.has(a)) stats.boughtTogether.set(a, new Map());
+        const pairs = stats.boughtTogether.get(a);
+        pairs.set(b, (pairs.get(b) || 0) + 1);
+      }
+    }
+  }
+
+  return stats;
+}
+
+function refreshOrderStats(business) {
+  const { businessId } = business;
+
+  if (!refreshes.has(businessId)) {
+    const refresh = shopifyGraphql.getRecentOrderProducts(business.shopDomain, business.adminToken, { limit: ORDER_SAMPLE_SIZE })
+      .then(orders => {
+        const stats = computeOrderStats(orders);
+        console.log(`📈 Order stats for ${businessId}: ${orders.length} order(s), ${stats.unitsSold.size} product(s) sold`);
+        return stats;
+      })
+      .catch(error => {
+        // Keep recommending from similarity alone until the next refresh
+        console.error(`❌ Could not load order stats for ${businessId}: ${error.message}`);
+        return orderStats.get(businessId) || emptyStats();
+      })
+      .then(stats => {
+        stats.computedAt = Date.now();
+        orderStats.set(businessId, stats);
+        refreshes.delete(businessId);
+        return stats;
+      });
+
+    refreshes.set(businessId, refresh);
+  }
+
+  return refreshes.get(businessId);
+}
+
+/**
+ * The store's order statistics. Only the very first load is waited for.
+ * business needs businessId, shopDomain and a plaintext adminToken.
+ */
+async function getOrderStats(business) {
+  const stats = orderStats.get(business.businessId);
+
+  if (stats && Date.now() - stats.computedAt < STATS_TTL_MS) {
+    return stats;
+  }
+
+  const refresh = refreshOrderStats(business);
+  return stats || refresh;
+}
+
+function getUnitsSold(stats, productId) {
+  return stats?.unitsSold.get(Number(productId)) || 0;
+}
+
+function evictStats(businessId) {
+  orderStats.delete(businessId);
+}
+
+// =====================================================
+// SEEDS
+// =====================================================
+
+/**
+ * The products to recommend from, strongest first: added beats asked
+ * about, and recent beats earlier in the conversation
+ */
+function getSeedProductIds(previousActions = []) {
+  const scores = new Map();
+
+  previousActions.forEach((action, i) => {
+    const weight = SEED_WEIGHTS[action.intent] || 0;
+    for (const productId of action.productIds || []) {
+      scores.set(Number(productId), (scores.get(Number(productId)) || 0) + weight * (i + 1));
+    }
+  });
+
+  return Array.from(scores)
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SEEDS)
+    .map(([productId]) => productId);
+}
+
+// =====================================================
+// SIMILARITY
+// =====================================================
+
+function getProductTerms(product) {
+  const tags = Array.isArray(product.tags) ? product.tags.join(' ') : product.tags;
+  return new Set(productSearch.tokenize([product.title, tags, product.product_type].join(' ')));
+}
+
+// Shared words over all words, with a nudge for the same product type
+function similarity(a, b) {
+  const termsA = getProductTerms(a);
+  const termsB = getProductTerms(b);
+  const shared = Array.from(termsA).filter(term => termsB.has(term)).length;
+  const total = new Set([...termsA, ...termsB]).size;
+
+  const sameType = a.product_type && a.product_type === b.product_type ? 0.2 : 0;
+  return (total ? shared / total : 0) + sameType;
+}
+
+// =====================================================
+// RECOMMEND
+// =====================================================
+
+/**
+ * Up to limit products to suggest: [{ product, reason }] with reason one of
+ * bought_together | similar | bestseller. Seeds, excluded ids (e.g. what's
+ * already in the cart), inactive and sold-out products are never suggested.
+ */
+function recommend(products, stats, { seedIds = [], excludeIds = [], limit = 3 } = {}) {
+  const allById = new Map(products.map(product => [Number(product.id), product]));
+  const candidates = new Map(products
+    .filter(product => product.status === 'active' && !inventory.isSoldOut(product))
+    .map(product => [Number(product.id), product]));
+  const skip = new Set([...seedIds, ...excludeIds].map(Number));
+
+  const picks = [];
+  const add = (productId, reason) => {
+    if (picks.length >= limit || skip.has(productId) || !candidates.has(productId)) return;
+    skip.add(productId);
+    picks.push({ product: candidates.get(productId), reason });
+  };
+
+  // Bought together, summed over every seed
+  const together = new Map();
+  for (const seedId of seedIds) {
+    for (const [productId, count] of stats?.boughtTogether.get(Number(seedId)) || []) {
+      together.set(productId, (together.get(productId) || 0) + count);
+    }
+  }
+  Array.from(together)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([productId]) => add(productId, "bought_together"));
+
+  // Similar to any seed
+  const seeds = seedIds.map(id => allById.get(Number(id))).filter(Boolean);
+  if (seeds.length > 0 && picks.length < limit) {
+    Array.from(candidates.values())
+      .map(product => ({ product, score: Math.max(...seeds.map(seed => similarity(seed, product))) }))
+      .filter(({ score }) => score >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ product }) => add(Number(product.id), "similar"));
+  }
+
+  // Bestsellers
+  Array.from(stats?.unitsSold || [])
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([productId]) => add(productId, "bestseller"));
+
+  return picks;
+}
+
+export default {
+  getOrderStats,
+  getUnitsSold,
+  evictStats,
+  getSeedProductIds,
+  recommend
+};
@@ -0,0 +1,24 @@
+// =====================================================
+// reencrypt-tokens.js - Rotate stored Shopify token encryption
+// Usage: TOKEN_ENCRYPTION_KEYS="new:<secret>,old:<secret>" npm run reencrypt-tokens
+// =====================================================
+
+import persistence from './persistence.js';
+import tokenCrypto from './token-crypto.js';
+
+async function main() {
+  if (!tokenCrypto.isConfigured()) {
+    console.error('❌ TOKEN_ENCRYPTION_KEYS is not set');
+    process.exit(1);
+  }
+
+  console.log('🔐 Re-encrypting business tokens with the active key...');
+  const result = await persistence.reencryptBusinessTokens();
+
+  process.exit(result.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Re-encryption failed:', error);
+  process.exit(1);
+});
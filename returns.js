@@ -0,0 +1,89 @@
+// =====================================================
+// returns.js - Return eligibility and reasons
+// =====================================================
+//
+// An order can be returned when it isn't cancelled, has shipped, still has
+// returnable items, and is inside the store's return window. The window is
+// counted from delivery (or from shipping when Shopify has no delivery date)
+// and set per business in settings.returnWindowDays.
+
+const DEFAULT_RETURN_WINDOW_DAYS = Number(process.env.DEFAULT_RETURN_WINDOW_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Suggestion shown to the customer → Shopify ReturnReason, plus the words
+// that mean the same thing when typed
+const RETURN_REASONS = [
+  { label: "Damaged", reason: "DEFECTIVE", pattern: /damag|broke|defect|fault|crack|torn|doesn.?t work|not working/ },
+  { label: "Wrong Item", reason: "WRONG_ITEM", pattern: /wrong|incorrect|not what i ordered|different item/ },
+  { label: "Not As Described", reason: "NOT_AS_DESCRIBED", pattern: /not as described|not as pictured|looks different|misleading/ },
+  { label: "Too Small", reason: "SIZE_TOO_SMALL", pattern: /too small|too tight|too short/ },
+  { label: "Too Big", reason: "SIZE_TOO_LARGE", pattern: /too (big|large|loose|long)/ },
+  { label: "Changed My Mind", reason: "UNWANTED", pattern: /changed my mind|don.?t (want|need|like)|no longer|unwanted/ },
+  { label: "Other", reason: "OTHER", pattern: /^other\b/ }
+];
+
+/**
+ * Map a customer's words to { label, reason }, or null
+ */
+function parseReturnReason(text) {
+  const normalized = String(text || '').toLowerCase().trim();
+  const match = RETURN_REASONS.find(({ pattern }) => pattern.test(normalized));
+  return match ? { label: match.label, reason: match.reason } : null;
+}
+
+function getReasonSuggestions() {
+  return RETURN_REASONS.map(({ label }) => label);
+}
+
+function getReturnWindowDays(business) {
+  const days = Number(business?.settings?.returnWindowDays);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETURN_WINDOW_DAYS;
+}
+
+/**
+ * When the return window started: the latest delivery, or the latest
+ * shipment if nothing has a delivery date
+ */
+function getWindowStart(order) {
+  const dates = order.fulfillments
+    .map(fulfillment => fulfillment.delivered_at || fulfillment.created_at)
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+
+  return dates.length ? Math.max(...dates) : null;
+}
+
+/**
+ * Can this order be returned?
+ * Returns { eligible: true, deadline } or { eligible: false, reason, deadline }
+ * with reason one of cancelled | not_shipped | window_closed | nothing_returnable.
+ */
+function checkReturnEligibility(order, returnableItems, { windowDays = DEFAULT_RETURN_WINDOW_DAYS, now = Date.now() } = {}) {
+  if (order.cancelled_at) {
+    return { eligible: false, reason: "cancelled", deadline: null };
+  }
+
+  const windowStart = getWindowStart(order);
+  if (!windowStart) {
+    return { eligible: false, reason: "not_shipped", deadline: null };
+  }
+
+  const deadline = new Date(windowStart + windowDays * DAY_MS);
+  if (now > deadline.getTime()) {
+    return { eligible: false, reason: "window_closed", deadline };
+  }
+
+  if (returnableItems.length === 0) {
+    return { eligible: false, reason: "nothing_returnable", deadline };
+  }
+
+  return { eligible: true, deadline };
+}
+
+export default {
+  DEFAULT_RETURN_WINDOW_DAYS,
+  parseReturnReason,
+  getReasonSuggestions,
+  getReturnWindowDays,
+  checkReturnEligibility
+};
@@ -3,13 +3,38 @@
 // Multi-Tenant AI-Powered E-Commerce Bot
 // =====================================================
 
+import crypto from "crypto";
 import express from "express";
 import fetch from "node-fetch";
 import dotenv from "dotenv";
 import persistence from './persistence.js';
+import shopifyAuth from './shopify-auth.js';
+import tokenCrypto from './token-crypto.js';
+import shopifyClient from './shopify-client.js';
+import shopifyGraphql from './shopify-graphql.js';
+import productCatalog from './product-catalog.js';
+import productSearch from './product-search.js';
+import intentClassifierModule from './intent-classifier.js';
+import entityExtractor from './entity-extractor.js';
+import dialogueManager from './dialogue-manager.js';
+import customerVerification from './customer-verification.js';
+import mailerModule from './mailer.js';
+import returns from './returns.js';
+import orderChanges from './order-changes.js';
+import cart from './cart.js';
+import discounts from './discounts.js';
+import variantPicker from './variant-picker.js';
+import inventory from './inventory.js';
+import productQa from './product-qa.js';
+import recommendations from './recommendations.js';
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around - Shopify webhook HMACs are computed over it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // CORS
 app.use((req, res, next) => {
@@ -30,21 +55,140 @@ dotenv.config();
 
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
-const API_VERSION = "2024-10";
+const { API_VERSION } = shopifyClient;
 const BASE_URL = "https://zocie.onrender.com";
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_STATE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const CATALOG_RECONCILE_INTERVAL_MS = 30 * 60 * 1000;
+const ORDER_LIST_SIZE = 5;
+const RETURN_STATUS_LIST_SIZE = 5;
+const INVOICE_RESEND_INTERVAL_MS = 5 * 60 * 1000;
+const PROMOTION_LIST_SIZE = 5;
+const BROWSE_PAGE_SIZE = 5;
+const BROWSE_SESSION_TTL_MS = 30 * 60 * 1000;
+const PREVIOUS_ACTIONS_LIMIT = 20;
+const ALSO_LIKE_LIMIT = 3;
+
+// Scopes requested at install time
+const SHOPIFY_SCOPES = [
+  "read_products", "write_products",
+  "read_orders", "write_orders",
+  "read_draft_orders", "write_draft_orders",
+  "read_customers", "write_customers",
+  "read_returns", "write_returns",
+  "read_price_rules", "read_discounts",
+  "read_inventory"
+];
+
+// Scopes each bot action needs from the store's token
+const INTENT_REQUIRED_SCOPES = {
+  track_order: ["read_orders"],
+  browse_deals: ["read_products"],
+  add_cart: ["read_products", "write_draft_orders"],
+  buy_now: ["write_draft_orders"],
+  view_cart: ["read_draft_orders"],
+  update_quantity: ["write_draft_orders"],
+  remove_item: ["write_draft_orders"],
+  clear_cart: ["write_draft_orders"],
+  apply_discount: ["read_price_rules", "write_draft_orders"],
+  show_promotions: ["read_price_rules"],
+  notify_restock: ["read_products"],
+  product_info: ["read_products"],
+  return_order: ["read_orders", "read_returns", "write_returns"],
+  cancel_order: ["read_orders", "write_orders"],
+  change_address: ["read_orders", "write_orders"],
+  general_query: []
+};
+
+const INTENT_LABELS = {
+  track_order: "track orders",
+  browse_deals: "show products",
+  add_cart: "manage your cart",
+  buy_now: "start checkout",
+  view_cart: "show your cart",
+  update_quantity: "manage your cart",
+  remove_item: "manage your cart",
+  clear_cart: "manage your cart",
+  apply_discount: "apply discount codes",
+  show_promotions: "show promotions",
+  notify_restock: "set up back-in-stock alerts",
+  product_info: "answer product questions",
+  return_order: "handle returns",
+  cancel_order: "cancel orders",
+  change_address: "change shipping addresses"
+};
+
+// Card button key → the message it stands for
+const CARD_BUTTON_MESSAGES = {
+  add_to_cart: variantId => `add ${variantId} to cart`,
+  view_order: orderName => `track order ${orderName}`,
+  change_cart_quantity: variantId => `change quantity of ${variantId} in cart`,
+  remove_from_cart: variantId => `remove ${variantId} from cart`,
+  notify_me: productId => `notify me when ${productId} is back in stock`
+};
+
+// Ask the customer to pick when the top two intents are this close
+const INTENT_CLARIFY_MARGIN = 0.15;
+
+// Below this the best guess is no better than small talk
+const INTENT_MIN_CONFIDENCE = 0.45;
+
+// A reply to a pending question that classifies this confidently as
+// another intent drops the question instead of being re-asked
+const DIALOGUE_TOPIC_SWITCH_CONFIDENCE = 0.8;
+
+// What each intent is called in a "Did you mean...?" question, and the
+// suggestion that leads back to it
+const INTENT_CLARIFY_OPTIONS = {
+  track_order: { label: "track an order", suggestion: "Track Order" },
+  browse_deals: { label: "browse products", suggestion: "Browse Deals" },
+  add_cart: { label: "add something to your cart", suggestion: "Add to Cart" },
+  buy_now: { label: "check out", suggestion: "Checkout" },
+  view_cart: { label: "see your cart", suggestion: "View Cart" },
+  update_quantity: { label: "change a quantity in your cart", suggestion: "Change Quantity" },
+  remove_item: { label: "remove something from your cart", suggestion: "Remove Item" },
+  clear_cart: { label: "empty your cart", suggestion: "Clear Cart" },
+  apply_discount: { label: "use a discount code", suggestion: "Apply a Code" },
+  show_promotions: { label: "see current promotions", suggestion: "Promotions" },
+  notify_restock: { label: "hear when something is back in stock", suggestion: "Notify Me" },
+  return_order: { label: "return an item", suggestion: "Return an Item" },
+  cancel_order: { label: "cancel an order", suggestion: "Cancel Order" },
+  change_address: { label: "change your shipping address", suggestion: "Change Address" },
+  product_info: { label: "learn about a product", suggestion: "Product Details" },
+  general_query: { label: "get help", suggestion: "Help" }
+};
+
+const intentClassifier = intentClassifierModule.createIntentClassifier();
+const mailer = mailerModule.createMailer();
+
+// In production a logged code would never reach the customer, so only
+// order number + ZIP verification is offered. Locally the code shows up
+// in the log and can be typed back in.
+const EMAIL_CODES_ENABLED = mailer.deliverable || process.env.NODE_ENV !== 'production';
+
+if (!mailer.deliverable) {
+  console.warn('⚠️ ==================================================');
+  console.warn(`⚠️ MAIL_TRANSPORT is "${mailer.transport}": verification codes and`);
+  console.warn('⚠️ back-in-stock emails are only logged, never sent.');
+  if (!EMAIL_CODES_ENABLED) {
+    console.warn('⚠️ Email verification codes are OFF - customers verify');
+    console.warn('⚠️ with an order number and ZIP only.');
+  }
+  console.warn('⚠️ ==================================================');
+}
 
 // Validate env vars
-if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET) {
+if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET || !tokenCrypto.isConfigured()) {
   console.error('❌ MISSING REQUIRED ENV VARS:');
   console.error('   SHOPIFY_API_KEY:', SHOPIFY_API_KEY ? '✓' : '❌ MISSING');
   console.error('   SHOPIFY_API_SECRET:', SHOPIFY_API_SECRET ? '✓' : '❌ MISSING');
+  console.error('   TOKEN_ENCRYPTION_KEYS:', tokenCrypto.isConfigured() ? '✓' : '❌ MISSING');
 }
 
 // =====================================================
 // DATABASES (In-Memory + Persistence)
 // =====================================================
 
-const oauthStates = new Map(); // state → { shop, timestamp }
 let businessDatabase = new Map(); // businessId → business data
 const shopToBusinessMap = new Map(); // shop domain → businessId
 const userSessions = new Map(); // "businessId_userId" → conversation memory
@@ -66,7 +210,8 @@ class ConversationMemory {
       userName: null,
       previousActions: [],
       lastIntent: null,
-      userData: {}
+      userData: {},
+      dialogue: null
     };
   }
 
@@ -95,6 +240,34 @@ class ConversationMemory {
     return this.context[key];
   }
 
+  // 🆕 Slot filling: the question the bot is waiting on (see dialogue-manager.js)
+  setPendingDialogue(dialogue) {
+    this.context.dialogue = dialogue;
+  }
+
+  getPendingDialogue() {
+    const dialogue = this.context.dialogue;
+    if (!dialogue) return null;
+
+    if (dialogueManager.isExpired(dialogue)) {
+      this.context.dialogue = null;
+      return null;
+    }
+    return dialogue;
+  }
+
+  clearPendingDialogue() {
+    this.context.dialogue = null;
+  }
+
+  // 🆕 What the customer did, with the products involved (feeds recommendations.js)
+  recordAction(intent, productIds = []) {
+    this.context.previousActions = [
+      ...(this.context.previousActions || []),
+      { intent, productIds, at: new Date().toISOString() }
+    ].slice(-PREVIOUS_ACTIONS_LIMIT);
+  }
+
   // FIXED: Complete context getter
   getContext() {
     return { ...this.context };
@@ -132,11 +305,17 @@ function generateBusinessId() {
   return 'biz_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-// FIXED: Made truly async and persists to file
+// Tokens are encrypted before they reach businessDatabase or Supabase
 async function saveBusinessData(businessData) {
   try {
-    businessDatabase.set(businessData.businessId, businessData);
-    await persistence.saveBusinessData(businessData.businessId, businessData);
+    const sealedData = {
+      ...businessData,
+      adminToken: tokenCrypto.sealToken(businessData.adminToken),
+      refreshToken: tokenCrypto.sealToken(businessData.refreshToken)
+    };
+
+    await persistence.saveBusinessData(sealedData.businessId, sealedData);
+    businessDatabase.set(sealedData.businessId, sealedData);
     console.log(`✅ Business data saved: ${businessData.businessId}`);
   } catch (error) {
     console.error(`❌ Error saving business data:`, error);
@@ -144,7 +323,8 @@ async function saveBusinessData(businessData) {
   }
 }
 
-// FIXED: Made async and loads from file if not in memory
+// The only place stored tokens are decrypted - callers get a copy with
+// plaintext tokens, the cached record stays encrypted
 async function getBusinessData(businessId) {
   let business = businessDatabase.get(businessId);
 
@@ -155,538 +335,2373 @@ async function getBusinessData(businessId) {
     }
   }
 
-  return business || null;
+  if (!business || business.status !== 'active') {
+    return null;
+  }
+
+  return {
+    ...business,
+    adminToken: tokenCrypto.openToken(business.adminToken),
+    refreshToken: tokenCrypto.openToken(business.refreshToken)
+  };
+}
+
+// Legacy single-store endpoints act on the first connected business
+async function getFirstBusiness() {
+  const first = Array.from(businessDatabase.values()).find(business => business.status === 'active');
+  return first ? getBusinessData(first.businessId) : null;
 }
 
 async function getBusinessIdByShop(shopDomain) {
   return shopToBusinessMap.get(shopDomain);
 }
 
-// =====================================================
-// SHOPIFY API HELPER - FIXED
-// =====================================================
+// Stored record for a shop (any status) so a reconnect can reuse it
+async function findExistingBusiness(shopDomain) {
+  const businessId = await getBusinessIdByShop(shopDomain);
+
+  if (businessId) {
+    const business = businessDatabase.get(businessId) ||
+      await persistence.loadBusinessData(businessId, { activeOnly: false });
+    if (business) {
+      return business;
+    }
+  }
+
+  return persistence.findBusinessByShopDomain(shopDomain);
+}
 
 // =====================================================
-// SIMILARITY CALCULATION FOR PRODUCT MATCHING
+// SCOPE CHECKS
 // =====================================================
 
-function calculateSimilarity(str1, str2) {
-  const longer = str1.length > str2.length ? str1 : str2;
-  const shorter = str1.length > str2.length ? str2 : str1;
+// intent → scopes the store's grant is missing, for every action the bot offers
+function getMissingScopesByIntent(business) {
+  const gaps = new Map();
+
+  for (const [intent, requiredScopes] of Object.entries(INTENT_REQUIRED_SCOPES)) {
+    const missing = shopifyAuth.getMissingScopes(business.scopes, requiredScopes);
+    if (missing.length > 0) {
+      gaps.set(intent, missing);
+    }
+  }
 
-  if (longer.length === 0) return 1.0;
+  return gaps;
+}
 
-  // Check if shorter string is contained in longer
-  if (longer.includes(shorter)) return 0.9;
+function buildReauthorizeResult(intent, missingScopes) {
+  const action = INTENT_LABELS[intent] || "do that";
 
-  // Calculate Levenshtein distance
-  const editDistance = levenshteinDistance(str1, str2);
-  return (longer.length - editDistance) / longer.length;
+  return {
+    message: `🔐 Sorry, I can't ${action} yet - this store hasn't granted the permission it needs (${missingScopes.join(', ')}).\n\n` +
+      `Store owner: please re-authorize the app at ${BASE_URL}/bot-installer`,
+    suggestions: ["Help"]
+  };
 }
 
-function levenshteinDistance(str1, str2) {
-  const matrix = [];
+// =====================================================
+// SHOPIFY API HELPER - FIXED
+// =====================================================
+
+// Throws the typed errors from shopify-client.js (ShopifyNotFoundError,
+// ShopifyAuthError, ShopifyThrottleError, ShopifyValidationError)
+async function shopifyApiCall(shopDomain, adminToken, endpoint, method = "GET", body = null) {
+  return shopifyClient.request(shopDomain, adminToken, endpoint, { method, body });
+}
 
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
+// Turn a Shopify failure into something the customer can act on
+function buildShopifyErrorResult(error) {
+  if (error instanceof shopifyClient.ShopifyAuthError) {
+    return {
+      message: "🔌 This store is currently disconnected from the bot.\n\n" +
+        `Store owner: please reconnect at ${BASE_URL}/bot-installer`,
+      suggestions: ["Help"]
+    };
   }
 
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
+  if (error instanceof shopifyClient.ShopifyThrottleError) {
+    return {
+      message: "⏳ The store is very busy right now. Please try again in a moment.",
+      suggestions: ["Try Again", "Help"]
+    };
   }
 
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
-    }
+  if (error instanceof shopifyClient.ShopifyNotFoundError) {
+    return {
+      message: "🔍 I couldn't find that in the store - it may have been removed.",
+      suggestions: ["Browse Deals", "Help"]
+    };
+  }
+
+  if (error instanceof shopifyClient.ShopifyValidationError) {
+    return {
+      message: "⚠️ The store couldn't accept that request. Please check the details and try again.",
+      suggestions: ["Try Again", "Help"]
+    };
   }
 
-  return matrix[str2.length][str1.length];
+  return null;
 }
 
+// =====================================================
+// INTENT DETECTION (NLP) - FIXED
+// =====================================================
 
-async function shopifyApiCall(shopDomain, adminToken, endpoint, method = "GET", body = null) {
-  if (!shopDomain || !adminToken) {
-    console.error('❌ Missing shopDomain or adminToken');
-    return null;
+/**
+ * Classify a message with the trained intent model.
+ * Returns { intent, confidence, alternatives, needsClarification };
+ * alternatives holds every intent with its confidence, best first.
+ */
+async function detectIntent(userMessage) {
+  const alternatives = intentClassifier
+    .classify(userMessage)
+    .map(({ intent, confidence, knownFeatures }) => ({ intent, confidence, knownFeatures }));
+
+  // Nothing the model has seen before - treat it as small talk
+  if (alternatives.length === 0 || alternatives[0].knownFeatures === 0) {
+    return { intent: "general_query", confidence: 0.5, alternatives: [], needsClarification: false };
   }
 
-  const url = `https://${shopDomain}/admin/api/${API_VERSION}${endpoint}`;
-  const options = {
-    method,
-    headers: {
-      "X-Shopify-Access-Token": adminToken,
-      "Content-Type": "application/json"
-    }
+  if (alternatives[0].confidence < INTENT_MIN_CONFIDENCE) {
+    console.log(`🤷 Best intent ${alternatives[0].intent} only ${(alternatives[0].confidence * 100).toFixed(1)}% - treating as general_query`);
+    return {
+      intent: "general_query",
+      confidence: alternatives[0].confidence,
+      alternatives: alternatives.map(({ intent, confidence }) => ({ intent, confidence })),
+      needsClarification: false
+    };
+  }
+
+  const [best, runnerUp] = alternatives;
+  const needsClarification = !!runnerUp && best.confidence - runnerUp.confidence < INTENT_CLARIFY_MARGIN;
+
+  return {
+    intent: best.intent,
+    confidence: best.confidence,
+    alternatives: alternatives.map(({ intent, confidence }) => ({ intent, confidence })),
+    needsClarification
   };
+}
 
-  if (body) {
-    options.body = JSON.stringify(body);
-  }
+function buildClarificationResult(alternatives) {
+  const options = alternatives
+    .slice(0, 2)
+    .map(({ intent }) => INTENT_CLARIFY_OPTIONS[intent])
+    .filter(Boolean);
 
-  try {
-    const response = await fetch(url, options);
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ Shopify API error: ${response.status} ${response.statusText}`);
-      console.error(`   Details: ${errorText}`);
-      return null;
-    }
-    return await response.json();
-  } catch (error) {
-    console.error(`❌ Shopify API call failed: ${error.message}`);
-    return null;
-  }
+  return {
+    message: `🤔 Sorry, I'm not sure what you meant. Did you want to ${options.map(option => option.label).join(' or ')}?`,
+    suggestions: [...options.map(option => option.suggestion), "Help"]
+  };
 }
 
 // =====================================================
-// INTENT DETECTION (NLP) - FIXED
+// DIALOGUE (SLOT FILLING)
 // =====================================================
 
-// FIXED: Returns object with intent AND confidence
-async function detectIntent(userMessage) {
-  const msg = userMessage.toLowerCase().trim();
-
-  const intents = {
-    track_order: {
-      patterns: /track|status|where|delivery|order|shipping/,
-      confidence: 0.95
-    },
-    browse_deals: {
-      patterns: /deal|product|browse|show|what.*sell|what.*have|catalog|collection/,
-      confidence: 0.9
-    },
-    add_cart: {
-      patterns: /add.*cart|add to cart|add this|add|buy|purchase|want to buy|interested|get me|i want|cart/,
-      confidence: 0.9
-    },
-    buy_now: {
-      patterns: /buy now|checkout|payment|complete purchase|pay now/,
-      confidence: 0.85
-    },
-    return_order: {
-      patterns: /return|refund|money back|cancel|issue|wrong|damaged|not good/,
-      confidence: 0.9
-    },
-    product_info: {
-      patterns: /tell|about|info|details|describe|specifications|spec/,
-      confidence: 0.8
+/**
+ * Read this message as the answer to a pending question, if there is one.
+ * Returns:
+ *   { resumed: { intent, entities, userMessage, slot } } - slot filled, rerun the original action
+ *   { reply }   - answer back directly (re-ask, cancelled, gave up)
+ *   null        - nothing pending, or the customer moved on to something else
+ */
+async function handlePendingDialogue(memory, body, messageText) {
+  const pending = memory.getPendingDialogue();
+  if (!pending) return null;
+
+  console.log(`\n🧩 PENDING DIALOGUE`);
+  console.log(`   Waiting for ${pending.slot} to resume ${pending.intent}`);
+
+  const isContextReply = body?.handler === 'context';
+  const answerText = dialogueManager.readContextAnswer(body, pending.slot) ?? messageText;
+  const answer = dialogueManager.resolveAnswer(pending, answerText);
+
+  if (answer.status === 'filled') {
+    console.log(`   ✅ ${pending.slot} filled`);
+    memory.clearPendingDialogue();
+
+    const contextKey = dialogueManager.getContextKey(pending.slot);
+    if (contextKey) {
+      memory.remember(contextKey, answer.value);
     }
-  };
 
-  for (const [intent, { patterns, confidence }] of Object.entries(intents)) {
-    if (patterns.test(msg)) {
-      return { intent, confidence };
+    return {
+      resumed: {
+        intent: pending.intent,
+        entities: { ...pending.entities, [pending.slot]: answer.value },
+        userMessage: pending.userMessage,
+        slot: pending.slot
+      }
+    };
+  }
+
+  if (answer.status === 'cancelled') {
+    console.log(`   🚫 Cancelled by customer`);
+    memory.clearPendingDialogue();
+    return {
+      reply: {
+        message: "👍 No problem. What would you like to do instead?",
+        suggestions: ["Browse Deals", "Track Order", "Help"]
+      }
+    };
+  }
+
+  // Soft questions (e.g. "which order?") don't insist on an answer
+  if (pending.optional) {
+    console.log(`   ↪️ Not a choice - handling as a new message`);
+    memory.clearPendingDialogue();
+    return null;
+  }
+
+  // Not an answer - a SalesIQ context reply always is one, but a typed
+  // message may be the customer moving on
+  if (!isContextReply) {
+    const detected = await detectIntent(messageText);
+    if (!detected.needsClarification &&
+      detected.intent !== 'general_query' &&
+      detected.confidence >= DIALOGUE_TOPIC_SWITCH_CONFIDENCE) {
+      console.log(`   ↪️ Customer moved on to ${detected.intent}, dropping the question`);
+      memory.clearPendingDialogue();
+      return null;
     }
   }
 
-  return { intent: "general_query", confidence: 0.5 };
+  pending.attempts += 1;
+  const retry = dialogueManager.buildRetryQuestion(pending);
+
+  if (!retry) {
+    console.log(`   ⏹️ Giving up after ${pending.attempts} attempts`);
+    memory.clearPendingDialogue();
+    return {
+      reply: {
+        message: "😕 Sorry, I still couldn't use that. Let's start over - what can I help you with?",
+        suggestions: ["Browse Deals", "Track Order", "Help"]
+      }
+    };
+  }
+
+  console.log(`   🔁 Re-asking (attempt ${pending.attempts})`);
+  memory.setPendingDialogue(pending);
+  return { reply: retry };
 }
 
 // =====================================================
-// ACTION EXECUTION (Business Logic) - FIXED
+// CUSTOMER VERIFICATION
 // =====================================================
 
-// FIXED: Made truly async, all shopifyCall operations awaited
-// =====================================================
-// ACTION EXECUTION (Business Logic) - FIXED
-// =====================================================
+function buildVerificationQuestion(intro, { offerOrderZip = true } = {}) {
+  return {
+    needsInfo: true,
+    fieldNeeded: "verification",
+    question: offerOrderZip
+      ? `${intro}\n\nYou can also reply with an order number and its shipping ZIP/postcode (e.g. "#1001 94107").`
+      : intro
+  };
+}
 
-async function executeAction(intent, userMessage, context, shopDomain, adminToken, memory) {
-  if (!shopDomain || !adminToken) {
-    console.error('❌ Missing shop or token');
-    return { message: "Configuration error. Please reconnect.", suggestions: ["Help"] };
+/**
+ * Ask for an order number + ZIP when email codes are turned off
+ */
+function buildOrderZipQuestion(intro) {
+  return {
+    needsInfo: true,
+    fieldNeeded: "verification",
+    question: `${intro}\n\nPlease reply with one of your order numbers and its shipping ZIP/postcode (e.g. "#1001 94107").`
+  };
+}
+
+/**
+ * Mail a fresh one-time code and ask for it
+ */
+async function sendVerificationCode(email, memory) {
+  const { code, challenge } = customerVerification.issueCode(email);
+  const shopName = businessDatabase.get(memory.businessId)?.shopName || "our store";
+
+  try {
+    await mailer.send({ to: email, ...customerVerification.buildCodeEmail(code, shopName) });
+  } catch (error) {
+    console.error(`❌ Could not send verification code: ${error.message}`);
+    return buildVerificationQuestion("🔐 To keep your orders private I need to check it's you, but I couldn't send a code by email just now.");
   }
 
-  const shopifyCall = (endpoint, method = "GET", body = null) =>
-    shopifyApiCall(shopDomain, adminToken, endpoint, method, body);
+  memory.remember('verificationChallenge', challenge);
+  console.log(`🔐 Verification code sent to ${customerVerification.maskEmail(email)}`);
 
-  switch (intent) {
-    case 'track_order': {
-      let email = context.email; // ✅ Check context first
+  return buildVerificationQuestion(
+    `🔐 To keep your orders private, I need to check it's you.\n\n` +
+    `I've sent a ${customerVerification.CODE_LENGTH}-digit code to ${customerVerification.maskEmail(email)} - please enter it here.`
+  );
+}
 
-      // If no email in context, try to extract from message
-      if (!email) {
-        const emailMatch = userMessage.match(/[\w\.-]+@[\w\.-]+\.\w+/);
-        if (emailMatch) {
-          email = emailMatch[0];
-          // 🆕 SAVE extracted email to memory immediately
-          memory.remember('email', email);
-          await memory.saveToFile();
-          console.log(`📧 Extracted and saved email: ${email}`);
-        }
-      }
+/**
+ * Order data is only shown once this conversation has proved it owns the
+ * email. Returns null when verified (or just verified by this answer),
+ * otherwise the question to send.
+ * entities.verification holds the customer's answer once the dialogue
+ * resumes: { code } | { orderName, zip } | { resend }
+ */
+async function requireVerifiedCustomer(email, entities, memory, graphqlCall) {
+  if (customerVerification.isVerified(memory.recall('verifiedCustomer'), email)) {
+    return null;
+  }
 
-      if (!email) {
-        return {
-          needsInfo: true,
-          fieldNeeded: "email",
-          question: "📧 What's your email to find your order?",
-          inputType: "email"
-        };
-      }
+  const answer = entities.verification;
+  const challenge = memory.recall('verificationChallenge');
 
-      const ordersData = await shopifyCall(
-        `/orders.json?status=any&email=${encodeURIComponent(email)}&limit=1`
-      );
+  const verified = method => {
+    memory.remember('verifiedCustomer', customerVerification.markVerified(email, method));
+    memory.remember('verificationChallenge', null);
+    console.log(`✅ Customer verified by ${method}`);
+    return null;
+  };
 
-      if (!ordersData?.orders || ordersData.orders.length === 0) {
-        return {
-          message: `📭 No orders found for ${email}.\n\nPlease check your email address or browse our products!`,
-          suggestions: ["Browse Products", "Help"]
-        };
-      }
+  // New code, at most once a minute so the chat can't flood an inbox
+  const sendNewCode = () => {
+    if (!EMAIL_CODES_ENABLED) {
+      return buildOrderZipQuestion("🔐 To keep your orders private, I need to check it's you.");
+    }
+    if (challenge?.email === email.toLowerCase() && !customerVerification.canResend(challenge)) {
+      return buildVerificationQuestion("⏳ I've just sent a code - please give it a minute to arrive, then enter it here.");
+    }
+    return sendVerificationCode(email, memory);
+  };
 
-      const order = ordersData.orders[0];
-      return {
-        message: `📦 **Order #${order.name}**\n\nStatus: ${order.fulfillment_status || 'Pending'}\nTotal: ${order.total_price} ${order.currency}\nPlaced: ${new Date(order.created_at).toLocaleDateString()}`,
-        remember: true,
-        data: { email, orderId: order.id },
-        buttons: [
-          {
-            label: "Track Shipment",
-            type: "url",
-            value: order.order_status_url
-          }
-        ],
-        suggestions: ["View Details", "Return Order", "Browse Products"]
-      };
+  if (answer?.code) {
+    if (!customerVerification.hasOpenChallenge(challenge, email)) {
+      console.log(`🔐 No live code to check against (expired or too many attempts)`);
+      return sendNewCode();
     }
 
-    case 'browse_deals': {
-      console.log('🛍️ Starting browse_deals action...');
+    const outcome = customerVerification.checkCode(challenge, answer.code);
+    memory.remember('verificationChallenge', challenge);
 
-      const productsData = await shopifyCall(
-        `/products.json?limit=10&status=active`
-      );
+    if (outcome === 'ok') {
+      return verified(customerVerification.METHODS.EMAIL_CODE);
+    }
 
-      console.log('📦 Products API response:', productsData ? 'Success' : 'Failed');
+    return buildVerificationQuestion(`❌ That code didn't match. Please check the email and try again, or reply "resend" for a new code.`);
+  }
 
-      if (!productsData?.products || productsData.products.length === 0) {
-        console.log('❌ No products found');
+  if (answer?.orderName) {
+    const zipFailures = await persistence.loadVerificationFailures(memory.businessId, email);
+    if (customerVerification.isZipLocked(zipFailures)) {
+      console.log(`🔒 Order number + ZIP locked for ${customerVerification.maskEmail(email)}`);
+      if (!EMAIL_CODES_ENABLED) {
         return {
-          message: "🛍️ No products available right now. Check back soon!",
-          suggestions: ["Help", "Track Order"]
+          message: `🔒 There have been too many wrong order number and ZIP answers for ${customerVerification.maskEmail(email)}. Please try again later.`,
+          suggestions: ["Browse Deals", "Help"]
         };
       }
+      return buildVerificationQuestion(
+        `🔒 There have been too many wrong order number and ZIP answers for ${customerVerification.maskEmail(email)}. ` +
+        `Please use the emailed code instead - reply "resend" if you need a new one.`,
+        { offerOrderZip: false }
+      );
+    }
 
-      console.log(`✅ Found ${productsData.products.length} products`);
+    const order = await graphqlCall(shopifyGraphql.getOrderByName, answer.orderName);
 
-      // 🆕 BUILD TEXT-BASED PRODUCT LIST
-      let productList = `🛍️ **Today's Top Deals**\n\n`;
-      productList += `Found ${Math.min(productsData.products.length, 8)} amazing products:\n\n`;
+    if (customerVerification.orderMatchesZip(order, email, answer.zip)) {
+      if (zipFailures) {
+        await persistence.deleteVerificationFailures(memory.businessId, email);
+      }
+      return verified(customerVerification.METHODS.ORDER_ZIP);
+    }
 
-      const productsToShow = productsData.products.slice(0, 8);
+    await persistence.saveVerificationFailures(memory.businessId, email, customerVerification.recordZipFailure(zipFailures));
+    const mismatch = `❌ That order number and ZIP don't match the orders for ${customerVerification.maskEmail(email)}.`;
+    return EMAIL_CODES_ENABLED ? buildVerificationQuestion(mismatch) : buildOrderZipQuestion(mismatch);
+  }
 
-      for (let i = 0; i < productsToShow.length; i++) {
-        const product = productsToShow[i];
-        const variant = product.variants?.[0];
+  // Keep using a code that's still live unless the customer asked for a new one
+  if (customerVerification.hasOpenChallenge(challenge, email) && !answer?.resend) {
+    return buildVerificationQuestion(`🔐 Please enter the code I sent to ${customerVerification.maskEmail(email)}.`);
+  }
 
-        if (!variant) {
-          console.log(`⚠️ Skipping product ${product.title} - no variant`);
-          continue;
-        }
+  return sendNewCode();
+}
 
-        const price = variant.price || "0.00";
-        const comparePrice = variant.compare_at_price;
-        const variantId = variant.id;
+// =====================================================
+// ORDER PRESENTATION
+// =====================================================
 
-        // Calculate discount
-        let priceDisplay = `$${price}`;
-        if (comparePrice && parseFloat(comparePrice) > parseFloat(price)) {
-          const discount = Math.round(
-            ((parseFloat(comparePrice) - parseFloat(price)) / parseFloat(comparePrice)) * 100
-          );
-          priceDisplay = `$${price} 🔥 Save ${discount}%`;
-        }
+function humanizeStatus(status) {
+  if (!status) return null;
+  const text = String(status).toLowerCase().replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
 
-        productList += `${i + 1}. **${product.title}**\n`;
-        productList += `   💰 Price: ${priceDisplay}\n`;
-        productList += `   🔢 ID: \`${variantId}\`\n`;
-        productList += `   📝 To order: "add ${variantId} to cart"\n\n`;
-      }
+function formatOrderStatus(order) {
+  if (order.cancelled_at) return "❌ Cancelled";
 
-      productList += `\n💡 **How to Order:**\n`;
-      productList += `Say: "add [ID] to cart"\n`;
-      productList += `Example: "add 42650178125921 to cart"\n`;
+  switch (order.fulfillment_status) {
+    case 'fulfilled': return "✅ Shipped";
+    case 'partial': return "📦 Partially shipped";
+    case null:
+    case undefined: return "⏳ Processing";
+    default: return humanizeStatus(order.fulfillment_status);
+  }
+}
 
-      console.log(`📦 Product list built with ${Math.min(productsToShow.length, 8)} products`);
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : null;
+}
 
-      return {
-        message: productList,
-        suggestions: ["Add to Cart", "Track Order", "Help"],
-        remember: true,
-        data: {
-          productCount: productsData.products.length,
-          lastBrowsed: new Date().toISOString()
-        }
-      };
-    }
+/**
+ * Recent orders as cards; the customer picks one by name or list position
+ */
+function buildOrderListResult(orders, { prompt = "Which order would you like to see?" } = {}) {
+  let message = `📦 **Your Recent Orders**\n\n`;
 
+  orders.forEach((order, i) => {
+    message += `${i + 1}. **${order.name}** - ${formatDate(order.created_at)} - ${formatOrderStatus(order)} - ${order.total_price} ${order.currency}\n`;
+  });
 
+  message += `\n${prompt} Reply with its number (e.g. ${orders[0].name}) or its position in the list.`;
 
+  return {
+    message,
+    cards: orders.map(order => ({
+      title: `Order ${order.name}`,
+      subtitle: `${formatDate(order.created_at)} · ${order.item_count} item(s) · ${order.total_price} ${order.currency} · ${formatOrderStatus(order)}`,
+      image: order.image_src || "",
+      buttons: [
+        {
+          label: "View Details",
+          type: "text",
+          key: "view_order",
+          value: order.name
+        }
+      ]
+    })),
+    // Soft question: a reply that isn't an order choice is handled normally
+    expects: {
+      slot: "orderName",
+      choices: orders.map(order => order.name)
+    },
+    suggestions: orders.slice(0, 3).map(order => order.name)
+  };
+}
 
-    case 'add_cart': {
-      let email = context.email;
+/**
+ * One order in full: items, each shipment's carrier and tracking number,
+ * and estimated delivery. The order is remembered so "return it" knows
+ * which one the customer means.
+ */
+function buildOrderDetailsResult(order, email) {
+  let message = `📦 **Order ${order.name}**\n\n`;
+  message += `Status: ${formatOrderStatus(order)}\n`;
+  message += `Placed: ${formatDate(order.created_at)}\n`;
+  message += `Total: ${order.total_price} ${order.currency}\n`;
+
+  message += `\n🧾 **Items**\n`;
+  for (const item of order.line_items) {
+    message += `• ${item.quantity}x ${item.name}${item.price ? ` - ${item.price} ${order.currency}` : ''}\n`;
+  }
 
-      // Extract email from message if not in context
-      if (!email) {
-        const emailMatch = userMessage.match(/[\w\.-]+@[\w\.-]+\.\w+/);
-        if (emailMatch) {
-          email = emailMatch[0];
-          memory.remember('email', email);
-          await memory.saveToFile();
-          console.log(`📧 Extracted and saved email: ${email}`);
-        }
-      }
+  const buttons = [];
 
-      if (!email) {
-        return {
-          needsInfo: true,
-          fieldNeeded: "email",
-          question: "📧 I need your email to add items to your cart",
-          inputType: "email"
-        };
-      }
+  message += `\n🚚 **Shipping**\n`;
+  if (order.fulfillments.length === 0) {
+    message += order.cancelled_at
+      ? `This order was cancelled on ${formatDate(order.cancelled_at)}.\n`
+      : `Not shipped yet - you'll get tracking details by email as soon as it ships.\n`;
+  }
 
-      // 🆕 EXTRACT PRODUCT INFO FROM MESSAGE
-      let variantId = null;
-      let productName = null;
-      let quantity = 1;
+  order.fulfillments.forEach((fulfillment, i) => {
+    const label = order.fulfillments.length > 1 ? `Shipment ${i + 1}` : 'Shipment';
+    message += `${label}: ${humanizeStatus(fulfillment.display_status || fulfillment.status) || 'Shipped'}\n`;
 
-      // Check for variant_id in message
-      const variantMatch = userMessage.match(/\b(\d{11,})\b/); // Shopify variant IDs are long numbers
-      if (variantMatch) {
-        variantId = variantMatch[1];
-        console.log(`🔍 Found variant ID: ${variantId}`);
+    for (const tracking of fulfillment.tracking) {
+      message += `   ${tracking.company || 'Carrier'}: ${tracking.number || 'no tracking number'}\n`;
+      if (tracking.url) {
+        buttons.push({
+          label: `Track ${tracking.company || 'Shipment'}${tracking.number ? ` ${tracking.number}` : ''}`,
+          type: "url",
+          value: tracking.url
+        });
       }
+    }
 
-      // Extract quantity (e.g., "2x", "2 of", "quantity 2")
-      const quantityMatch = userMessage.match(/(\d+)\s*(x|of|quantity|pcs)/i);
-      if (quantityMatch) {
-        quantity = parseInt(quantityMatch[1]);
-        console.log(`🔢 Quantity: ${quantity}`);
-      }
+    if (fulfillment.estimated_delivery_at) {
+      message += `   Estimated delivery: ${formatDate(fulfillment.estimated_delivery_at)}\n`;
+    }
+  });
 
-      // If no variant ID, try to find product by name
-      if (!variantId) {
-        // Extract product name from message
-        // Remove common words and get the product name
-        const cleanMessage = userMessage
-          .toLowerCase()
-          .replace(/add to cart|add|cart|buy|purchase|i want|get me/gi, '')
-          .trim();
+  if (order.order_status_url) {
+    buttons.push({
+      label: "Order Status Page",
+      type: "url",
+      value: order.order_status_url
+    });
+  }
 
-        if (cleanMessage.length > 2) {
-          productName = cleanMessage;
-          console.log(`🔍 Searching for product: "${productName}"`);
+  return {
+    message,
+    remember: true,
+    data: {
+      email,
+      orderId: order.id,
+      selectedOrder: { id: order.id, name: order.name }
+    },
+    buttons,
+    suggestions: isUnshipped(order)
+      ? ["Cancel Order", "Change Address", "My Orders"]
+      : ["Return It", "My Orders", "Help"]
+  };
+}
 
-          // Search for product in Shopify
-          const searchData = await shopifyCall(
-            `/products.json?title=${encodeURIComponent(productName)}&limit=5`
-          );
+function isUnshipped(order) {
+  return !order.cancelled_at && !order.fulfillment_status && order.fulfillments.length === 0;
+}
 
-          if (searchData?.products && searchData.products.length > 0) {
-            // Find best match using fuzzy matching
-            let bestMatch = null;
-            let highestScore = 0;
+/**
+ * The order a customer means: named in the message, picked from a list, or
+ * the one they were just looking at ("cancel it"). With none of those and
+ * several orders on file, they're asked to pick.
+ * Returns { order } or { result } to send back instead.
+ */
+async function resolveCustomerOrder(email, entities, context, graphqlCall, { prompt, noOrdersMessage }) {
+  const orderName = entities.orderName || context.selectedOrder?.name;
 
-            for (const product of searchData.products) {
-              const score = calculateSimilarity(productName.toLowerCase(), product.title.toLowerCase());
-              if (score > highestScore) {
-                highestScore = score;
-                bestMatch = product;
-              }
-            }
+  if (orderName) {
+    const order = await graphqlCall(shopifyGraphql.getOrderByName, orderName);
 
-            if (bestMatch && bestMatch.variants?.[0]) {
-              variantId = bestMatch.variants[0].id.toString();
-              productName = bestMatch.title;
-              console.log(`✅ Found product: ${productName} (variant: ${variantId})`);
-            }
-          }
+    if (!order || order.email?.toLowerCase() !== email.toLowerCase()) {
+      return {
+        result: {
+          message: `📭 I couldn't find order ${orderName} for ${email}.\n\nPlease check the order number, or look through your recent orders.`,
+          suggestions: ["My Orders", "Help"]
         }
-      }
+      };
+    }
 
-      // If still no variant ID, ask user to specify
-      if (!variantId) {
-        return {
-          message: "🛒 I'd love to add that to your cart!\n\nCould you tell me which product you want? You can:\n• Say the product name\n• Give me the product number\n• Browse deals and choose from there",
-          suggestions: ["Browse Deals", "Help"]
-        };
-      }
+    return { order };
+  }
 
-      // 🆕 GET OR CREATE DRAFT ORDER
+  const orders = await graphqlCall(shopifyGraphql.getOrdersByEmail, email, { first: ORDER_LIST_SIZE });
+
+  if (orders.length === 0) {
+    return {
+      result: {
+        message: `📭 ${noOrdersMessage}`,
+        suggestions: ["Browse Products", "Help"]
+      }
+    };
+  }
+
+  if (orders.length > 1) {
+    return { result: buildOrderListResult(orders, { prompt }) };
+  }
+
+  // The list only has summaries
+  return { order: await graphqlCall(shopifyGraphql.getOrder, orders[0].id) };
+}
+
+// =====================================================
+// RETURNS
+// =====================================================
+
+const RETURN_STATUS_PATTERN = /\b(status|progress|approved|update on)\b|\bmy returns\b|where.*\b(return|refund)/i;
+
+const RETURN_STATUS_LABELS = {
+  requested: "📨 Requested - waiting for the store to approve it",
+  open: "✅ Approved - in progress",
+  closed: "✔️ Completed",
+  declined: "❌ Declined",
+  canceled: "🚫 Cancelled"
+};
+
+const RETURN_INELIGIBLE_MESSAGES = {
+  cancelled: order => `Order ${order.name} was cancelled, so there's nothing to return.`,
+  not_shipped: order => `Order ${order.name} hasn't shipped yet, so it can't be returned. If you no longer want it, the store may be able to cancel it instead.`,
+  window_closed: (order, eligibility, windowDays) =>
+    `Sorry, the ${windowDays}-day return window for order ${order.name} closed on ${formatDate(eligibility.deadline)}.`,
+  nothing_returnable: order => `Everything in order ${order.name} has already been returned or is part of an open return.`
+};
+
+/**
+ * The customer's past return requests, with statuses refreshed from Shopify
+ */
+async function buildReturnStatusResult(businessId, email, graphqlCall) {
+  const records = (await persistence.loadReturnRecords(businessId, email)).slice(0, RETURN_STATUS_LIST_SIZE);
+
+  if (records.length === 0) {
+    return {
+      message: "📭 You haven't requested any returns yet.\n\nWould you like to start one?",
+      suggestions: ["Return an Item", "Track Order", "Help"]
+    };
+  }
+
+  let message = `🔄 **Your Returns**\n\n`;
+
+  for (const record of records) {
+    const live = await graphqlCall(shopifyGraphql.getReturn, record.returnId).catch(error => {
+      console.warn(`⚠️ Could not refresh return ${record.returnName}: ${error.message}`);
+      return null;
+    });
+
+    if (live?.status && live.status !== record.status) {
+      record.status = live.status;
+      await persistence.updateReturnStatus(businessId, record.returnId, live.status);
+    }
+
+    message += `**${record.returnName}** (order ${record.orderName})\n`;
+    message += `   ${RETURN_STATUS_LABELS[record.status] || humanizeStatus(record.status)}\n`;
+    message += `   Requested ${formatDate(record.createdAt)}: ${record.lineItems.map(item => `${item.quantity}x ${item.name}`).join(', ')}\n\n`;
+  }
+
+  return {
+    message,
+    suggestions: ["Return an Item", "Track Order", "Help"]
+  };
+}
+
+/**
+ * Request a return in Shopify and keep a record of it.
+ * items: returnable items ({ fulfillmentLineItemId, name, quantity }), reason: { label, reason, note }
+ */
+async function requestReturn(businessId, order, items, reason, graphqlCall) {
+  const created = await graphqlCall(shopifyGraphql.createReturnRequest, order.id, items.map(item => ({
+    fulfillmentLineItemId: item.fulfillmentLineItemId,
+    quantity: item.quantity,
+    reason: reason.reason,
+    note: reason.note
+  })));
+
+  const record = {
+    returnId: created.id,
+    email: order.email,
+    orderId: order.id,
+    orderName: order.name,
+    returnName: created.name,
+    status: created.status,
+    reason: reason.reason,
+    lineItems: items.map(item => ({ name: item.name, quantity: item.quantity }))
+  };
+  await persistence.saveReturnRecord(businessId, record);
+
+  console.log(`🔄 Return ${created.name} requested for ${order.name}`);
+  return record;
+}
+
+// =====================================================
+// ORDER CHANGES (CANCELLATION / ADDRESS)
+// =====================================================
+
+// Why an order can't be changed; action is "cancelled" or "changed"
+const ORDER_CHANGE_BLOCKED_MESSAGES = {
+  disabled: (order, action) =>
+    `Orders can't be ${action} in chat for this store. Please contact the store directly about order ${order.name}.`,
+  cancelled: order => `Order ${order.name} was already cancelled on ${formatDate(order.cancelled_at)}.`,
+  fulfilled: (order, action) =>
+    `Order ${order.name} has already started shipping, so it can't be ${action} any more.` +
+    (action === "cancelled" ? " Once it arrives, you can return it instead." : " Please contact the carrier or the store about the delivery."),
+  window_closed: (order, action, eligibility, policy) =>
+    `Orders can only be ${action} within ${policy.windowHours} hours of being placed, and that ended for order ${order.name} on ${formatDate(eligibility.deadline)}. Please contact the store directly.`,
+  no_shipping: order => `Order ${order.name} doesn't have a shipping address to change.`
+};
+
+function buildOrderChangeBlockedResult(order, action, eligibility, policy) {
+  console.log(`🚫 ${order.name} can't be ${action}: ${eligibility.reason}`);
+  return {
+    message: `🚫 ${ORDER_CHANGE_BLOCKED_MESSAGES[eligibility.reason](order, action, eligibility, policy)}`,
+    suggestions: eligibility.reason === "fulfilled" && action === "cancelled"
+      ? ["Track Order", "Return an Item", "Help"]
+      : ["Track Order", "Help"]
+  };
+}
+
+function buildConfirmationQuestion(question, suggestions) {
+  return {
+    needsInfo: true,
+    fieldNeeded: "confirmation",
+    question,
+    suggestions
+  };
+}
+
+// =====================================================
+// PRODUCT CARDS
+// =====================================================
+
+// "show more", "next page", "more products"
+const BROWSE_MORE_PATTERN = /\b(more|next|another page|keep going)\b/i;
+
+function getDiscountPercent(variant) {
+  const price = parseFloat(variant.price);
+  const compareAt = parseFloat(variant.compare_at_price);
+  return compareAt > price ? Math.round(((compareAt - price) / compareAt) * 100) : 0;
+}
+
+/**
+ * A product as a SalesIQ card: image, price with a discount badge and stock
+ * note, and buttons to open it in the store and add it to the cart (or be
+ * told when it's back, once it's sold out)
+ */
+function buildProductCard(product, variant, { shopDomain, currency = "USD", inventorySettings }) {
+  const discount = getDiscountPercent(variant);
+  let subtitle = discount > 0
+    ? `🔥 ${variant.price} ${currency} (was ${variant.compare_at_price}) · Save ${discount}%`
+    : `${variant.price} ${currency}`;
+
+  const soldOut = inventory.isSoldOut(product);
+  const stock = soldOut ? "Sold out" : inventory.describeStock(variant, inventorySettings);
+  if (stock) {
+    subtitle += ` · ${soldOut ? "🚫" : "⏳"} ${stock}`;
+  }
+
+  const actionButton = soldOut
+    ? {
+      label: "🔔 Notify Me",
+      type: "text",
+      key: "notify_me",
+      value: String(product.id)
+    }
+    : {
+      label: "🛒 Add to Cart",
+      type: "text",
+      key: "add_to_cart",
+      // Products with a choice to make start the variant picker
+      value: String(variantPicker.needsChoice(product) ? product.id : variant.id)
+    };
+
+  return {
+    title: product.title,
+    subtitle,
+    image: variant.image_src || product.images?.[0]?.src || "",
+    buttons: [
+      {
+        label: "View",
+        type: "url",
+        value: `https://${shopDomain}/products/${product.handle}`
+      },
+      actionButton
+    ]
+  };
+}
+
+/**
+ * One page of a browse session as cards. The session (the product ids in
+ * the order they were listed, and how far the customer has got) lives in
+ * context.browse so "show more" carries on where the last page ended.
+ */
+async function buildProductPageResult(businessId, browse, { shopDomain, currency, inventorySettings, liveProducts = [] }) {
+  const pageIds = browse.productIds.slice(browse.offset, browse.offset + BROWSE_PAGE_SIZE);
+  const cards = [];
+
+  for (const productId of pageIds) {
+    // Products fetched live (before the catalog cache is built) aren't cached yet
+    const product = liveProducts.find(p => p.id === productId) ||
+      await productCatalog.getProduct(businessId, productId);
+    const variant = product?.variants?.find(inventory.isInStock) || product?.variants?.[0];
+    if (variant) {
+      cards.push(buildProductCard(product, variant, { shopDomain, currency, inventorySettings }));
+    }
+  }
+
+  const shownTo = browse.offset + pageIds.length;
+  const hasMore = shownTo < browse.productIds.length;
+
+  return {
+    message: `🛍️ **${browse.title}**\n\nShowing ${browse.offset + 1}-${shownTo} of ${browse.productIds.length}. Tap "Add to Cart" on anything you like.`,
+    cards,
+    remember: true,
+    data: {
+      browse: { ...browse, offset: shownTo }
+    },
+    suggestions: hasMore ? ["Show More", "View Cart", "Help"] : ["View Cart", "Promotions", "Help"]
+  };
+}
+
+// =====================================================
+// BACK IN STOCK
+// =====================================================
+
+/**
+ * "Sold out - want to hear when it's back?" for a product (variant null when
+ * every variant is sold out). The offer is remembered so "Notify Me" knows
+ * what to subscribe to.
+ */
+function buildRestockOfferResult(product, variant) {
+  const title = variant ? variantPicker.describeVariant(product, variant) : product.title;
+
+  return {
+    message: `😔 Sorry, ${title} is sold out right now.\n\nWant me to email you when it's back in stock?`,
+    remember: true,
+    data: {
+      restockOffer: {
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        title
+      }
+    },
+    suggestions: ["Notify Me", "Browse Deals", "Help"]
+  };
+}
+
+/**
+ * Email everyone waiting for this variant (or any variant of its product)
+ * and mark them notified. Returns how many were emailed.
+ */
+async function notifyRestockSubscribers(business, product, variant) {
+  const subscriptions = await persistence.loadPendingRestockSubscriptions(business.businessId, product.id, variant.id);
+  if (subscriptions.length === 0) return 0;
+
+  const title = variantPicker.describeVariant(product, variant);
+  const productUrl = `https://${business.shopDomain}/products/${product.handle}?variant=${variant.id}`;
+  const notifiedIds = [];
+
+  for (const subscription of subscriptions) {
+    try {
+      await mailer.send({
+        to: subscription.email,
+        ...inventory.buildRestockEmail(title, productUrl, business.shopName || business.shopDomain)
+      });
+      notifiedIds.push(subscription.id);
+    } catch (error) {
+      // Left pending - the next restock of this variant tries again
+      console.error(`❌ Could not send restock email for ${title}: ${error.message}`);
+    }
+  }
+
+  // Logged-only mail reached nobody - keep the subscriptions pending
+  if (!mailer.deliverable) {
+    console.warn(`⚠️ Restock: ${title} - mail transport only logs, ${subscriptions.length} subscriber(s) left pending`);
+    return 0;
+  }
+
+  await persistence.markRestockNotified(business.businessId, notifiedIds);
+  console.log(`🔔 Restock: ${title} - ${notifiedIds.length}/${subscriptions.length} subscriber(s) emailed`);
+  return notifiedIds.length;
+}
+
+// =====================================================
+// CART (DRAFT ORDER)
+// =====================================================
+
+/**
+ * The customer's cart, or null when they don't have one. A draft that was
+ * deleted or already checked out means they need a fresh cart.
+ */
+async function loadCart(draftOrderId, shopifyCall) {
+  if (!draftOrderId) return null;
+
+  try {
+    const data = await shopifyCall(`/draft_orders/${draftOrderId}.json`);
+    const draftOrder = data?.draft_order;
+
+    if (!draftOrder || draftOrder.status === 'completed') {
+      console.log(`ℹ️ Cart ${draftOrderId} was checked out, starting a new one`);
+      return null;
+    }
+    return draftOrder;
+  } catch (error) {
+    if (!(error instanceof shopifyClient.ShopifyNotFoundError)) throw error;
+    console.log(`ℹ️ Cart ${draftOrderId} no longer exists, starting a new one`);
+    return null;
+  }
+}
+
+/**
+ * Replace the cart's lines. A cart left with no lines is deleted, since
+ * Shopify won't keep an empty draft order. Returns the updated draft, or null
+ * once deleted.
+ */
+async function saveCartLines(draftOrder, lineItems, memory, shopifyCall) {
+  if (lineItems.length === 0) {
+    await deleteCart(draftOrder, memory, shopifyCall);
+    return null;
+  }
+
+  const data = await shopifyCall(`/draft_orders/${draftOrder.id}.json`, "PUT", {
+    draft_order: { line_items: lineItems }
+  });
+
+  console.log(`✅ Updated cart: ${draftOrder.id}`);
+  return data.draft_order;
+}
+
+async function deleteCart(draftOrder, memory, shopifyCall) {
+  await shopifyCall(`/draft_orders/${draftOrder.id}.json`, "DELETE").catch(error => {
+    if (!(error instanceof shopifyClient.ShopifyNotFoundError)) throw error;
+  });
+
+  memory.remember('draftOrderId', null);
+  console.log(`🗑️ Deleted cart: ${draftOrder.id}`);
+}
+
+function buildEmptyCartResult(message = "🛒 Your cart is empty.") {
+  return {
+    message: `${message}\n\nWant to find something?`,
+    suggestions: ["Browse Deals", "Help"]
+  };
+}
+
+/**
+ * The cart as one card per line (quantity × unit price = line price) and
+ * an itemised message with the totals
+ */
+async function buildCartResult(businessId, draftOrder, { heading = "🛒 **Your Cart**" } = {}) {
+  const currency = draftOrder.currency;
+  const lines = draftOrder.line_items;
+
+  let message = `${heading}\n\n`;
+  lines.forEach((line, i) => {
+    message += `${i + 1}. ${line.quantity}x ${cart.getLineLabel(line)} - ${cart.getLineTotal(line)} ${currency}\n`;
+  });
+
+  message += `\nSubtotal: ${draftOrder.subtotal_price} ${currency}\n`;
+  if (draftOrder.applied_discount) {
+    message += `Discount (${draftOrder.applied_discount.title || draftOrder.applied_discount.description}): -${draftOrder.applied_discount.amount} ${currency}\n`;
+  }
+  if (Number(draftOrder.total_tax) > 0) {
+    message += `Tax: ${draftOrder.total_tax} ${currency}\n`;
+  }
+  message += `**Total: ${draftOrder.total_price} ${currency}**`;
+
+  const cards = [];
+  for (const line of lines) {
+    const match = line.variant_id ? await productCatalog.findProductByVariantId(businessId, line.variant_id) : null;
+
+    cards.push({
+      title: cart.getLineLabel(line),
+      subtitle: `${line.quantity} × ${line.price} ${currency} = ${cart.getLineTotal(line)} ${currency}`,
+      image: match?.variant?.image_src || match?.product?.images?.[0]?.src || "",
+      buttons: line.variant_id
+        ? [
+          { label: "✏️ Change Quantity", type: "text", key: "change_cart_quantity", value: String(line.variant_id) },
+          { label: "🗑️ Remove", type: "text", key: "remove_from_cart", value: String(line.variant_id) }
+        ]
+        : []
+    });
+  }
+
+  return {
+    message,
+    cards,
+    buttons: [
+      {
+        label: "💳 Checkout",
+        type: "url",
+        value: draftOrder.invoice_url
+      }
+    ],
+    suggestions: ["Checkout", "Browse More", "Clear Cart"]
+  };
+}
+
+// "email me the invoice", "send me the checkout link"
+const INVOICE_REQUEST_PATTERN = /\binvoice\b|\bemail (?:me|it)\b|\bsend (?:me )?(?:the |a )?(?:checkout )?link\b/i;
+
+/**
+ * Get the cart ready to pay: the customer's email on it, and their saved
+ * shipping address if it has none. The saved address is only filled in for
+ * verified customers, since the checkout page shows it to whoever opens it.
+ */
+async function prepareCheckout(draftOrder, email, context, shopifyCall, graphqlCall) {
+  const changes = {};
+
+  if (draftOrder.email?.toLowerCase() !== email.toLowerCase()) {
+    changes.email = email;
+  }
+
+  if (!draftOrder.shipping_address && customerVerification.isVerified(context.verifiedCustomer, email)) {
+    const customer = await graphqlCall(shopifyGraphql.getCustomerByEmail, email).catch(error => {
+      console.warn(`⚠️ Could not look up a saved address for checkout: ${error.message}`);
+      return null;
+    });
+
+    if (customer?.default_address) {
+      changes.shipping_address = customer.default_address;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return draftOrder;
+  }
+
+  const data = await shopifyCall(`/draft_orders/${draftOrder.id}.json`, "PUT", { draft_order: changes });
+  console.log(`💳 Cart ${draftOrder.id} ready for checkout (${Object.keys(changes).join(', ')})`);
+  return data.draft_order;
+}
+
+/**
+ * Have Shopify email the cart's invoice (with its checkout link).
+ * Returns false when one was sent too recently.
+ */
+async function sendCartInvoice(draftOrder, email, memory, shopifyCall) {
+  const lastSent = memory.recall('invoiceSentAt');
+  if (lastSent && Date.now() - new Date(lastSent).getTime() < INVOICE_RESEND_INTERVAL_MS) {
+    return false;
+  }
+
+  await shopifyCall(`/draft_orders/${draftOrder.id}/send_invoice.json`, "POST", {
+    draft_order_invoice: { to: email }
+  });
+
+  memory.remember('invoiceSentAt', new Date().toISOString());
+  console.log(`📧 Invoice for cart ${draftOrder.id} sent to ${email}`);
+  return true;
+}
+
+/**
+ * Which cart line the customer means: the only one, the one the message
+ * names, or the one they picked when asked. Returns { index, byPosition }
+ * or { question } to ask which.
+ */
+function resolveCartLine(lines, entities, userMessage, action) {
+  if (entities.cartItem !== undefined) {
+    return { index: entities.cartItem, byPosition: true };
+  }
+
+  if (lines.length === 1 && !entities.variantId) {
+    return { index: 0, byPosition: false };
+  }
+
+  const { indices, byPosition } = cart.findLines(lines, { variantId: entities.variantId, text: userMessage });
+  if (indices.length === 1) {
+    return { index: indices[0], byPosition };
+  }
+
+  const labels = lines.map(line => cart.getLineLabel(line));
+  return {
+    question: {
+      needsInfo: true,
+      fieldNeeded: "cartItem",
+      question: `🛒 Which item would you like to ${action}?\n\n${labels.map((label, i) => `${i + 1}. ${label}`).join('\n')}`,
+      choices: labels,
+      suggestions: [...labels.slice(0, 3), "Cancel"]
+    }
+  };
+}
+
+// =====================================================
+// DISCOUNTS
+// =====================================================
+
+const DISCOUNT_REJECTED_MESSAGES = {
+  not_found: code => `I couldn't find a discount code called ${code}. Please check the spelling and try again.`,
+  not_started: code => `The code ${code} isn't active yet.`,
+  expired: code => `Sorry, the code ${code} has expired.`,
+  used_up: code => `Sorry, the code ${code} has reached its usage limit.`,
+  customer_only: code => `The code ${code} is only for certain customers - if it's yours, please enter it on the checkout page.`,
+  minimum: (code, check, currency) =>
+    `The code ${code} needs an order of at least ${check.minimum.toFixed(2)} ${currency}. Add a little more and try again!`,
+  minimum_quantity: (code, check) =>
+    `The code ${code} needs at least ${check.minimumQuantity} items in your cart. Add a few more and try again!`,
+  checkout_only: code => `The code ${code} can't be added in chat - please enter it on the checkout page instead.`,
+  no_matching_items: code => `The code ${code} doesn't cover anything in your cart.`
+};
+
+/**
+ * A discount code and the price rule behind it, or null if the store has
+ * no such code
+ */
+async function lookupDiscountCode(code, shopifyCall) {
+  try {
+    const { discount_code: discountCode } = await shopifyCall(`/discount_codes/lookup.json?code=${encodeURIComponent(code)}`);
+    const { price_rule: priceRule } = await shopifyCall(`/price_rules/${discountCode.price_rule_id}.json`);
+    return { discountCode, priceRule };
+  } catch (error) {
+    if (error instanceof shopifyClient.ShopifyNotFoundError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Active promotions anyone can use, with their code. Rules limited to
+ * certain customers, and rules with many one-off codes, are left out.
+ */
+async function listPublicPromotions(shopifyCall, shopifyPages) {
+  const priceRules = await shopifyPages(`/price_rules.json?limit=250`, "price_rules");
+  const promotions = [];
+
+  for (const priceRule of priceRules.filter(rule => discounts.isActive(rule) && discounts.isForEveryone(rule))) {
+    const { discount_codes: codes } = await shopifyCall(`/price_rules/${priceRule.id}/discount_codes.json?limit=2`);
+    if (codes.length === 1) {
+      promotions.push({ priceRule, code: codes[0].code });
+    }
+    if (promotions.length >= PROMOTION_LIST_SIZE) break;
+  }
+
+  return promotions;
+}
+
+// =====================================================
+// ACTION EXECUTION (Business Logic) - FIXED
+// =====================================================
+
+// FIXED: Made truly async, all shopifyCall operations awaited
+// =====================================================
+// ACTION EXECUTION (Business Logic) - FIXED
+// =====================================================
+
+// entities: the typed slots entity-extractor.js pulled from this message
+async function executeAction(intent, entities, userMessage, context, shopDomain, adminToken, memory) {
+  if (!shopDomain || !adminToken) {
+    console.error('❌ Missing shop or token');
+    return { message: "Configuration error. Please reconnect.", suggestions: ["Help"] };
+  }
+
+  const shopifyCall = (endpoint, method = "GET", body = null) =>
+    shopifyApiCall(shopDomain, adminToken, endpoint, method, body);
+
+  // Every page of a REST list, following Link header cursors
+  const shopifyPages = (endpoint, resourceKey) =>
+    shopifyClient.paginate(shopDomain, adminToken, endpoint, resourceKey);
+
+  // Catalog and order reads go through GraphQL; draft orders stay on REST
+  const graphqlCall = (fn, ...args) => fn(shopDomain, adminToken, ...args);
+
+  switch (intent) {
+    case 'track_order': {
+      let email = context.email; // ✅ Check context first
+
+      // If no email in context, use one from the message
+      if (!email && entities.email) {
+        email = entities.email;
+        // 🆕 SAVE extracted email to memory immediately
+        memory.remember('email', email);
+        await memory.saveToFile();
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
+
+      if (!email) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "email",
+          question: "📧 What's your email to find your order?",
+          inputType: "email"
+        };
+      }
+
+      // 🔐 Nothing about an order is shown until the visitor proves they own the email
+      const verificationQuestion = await requireVerifiedCustomer(email, entities, memory, graphqlCall);
+      if (verificationQuestion) {
+        return verificationQuestion;
+      }
+
+      // A specific order: named in the message, or "view details" of the one picked earlier
+      const wantsDetails = /\bdetails?\b/i.test(userMessage);
+      const orderName = entities.orderName || (wantsDetails ? context.selectedOrder?.name : null);
+
+      if (orderName) {
+        const order = await graphqlCall(shopifyGraphql.getOrderByName, orderName);
+
+        // Only orders placed with this customer's email
+        if (!order || order.email?.toLowerCase() !== email.toLowerCase()) {
+          return {
+            message: `📭 I couldn't find order ${orderName} for ${email}.\n\nPlease check the order number, or look through your recent orders.`,
+            suggestions: ["My Orders", "Help"]
+          };
+        }
+
+        return buildOrderDetailsResult(order, email);
+      }
+
+      const orders = await graphqlCall(shopifyGraphql.getOrdersByEmail, email, { first: ORDER_LIST_SIZE });
+
+      if (orders.length === 0) {
+        return {
+          message: `📭 No orders found for ${email}.\n\nPlease check your email address or browse our products!`,
+          suggestions: ["Browse Products", "Help"]
+        };
+      }
+
+      if (orders.length === 1) {
+        return buildOrderDetailsResult(await graphqlCall(shopifyGraphql.getOrder, orders[0].id), email);
+      }
+
+      return {
+        ...buildOrderListResult(orders),
+        remember: true,
+        data: { email }
+      };
+    }
+
+    case 'browse_deals': {
+      console.log('🛍️ Starting browse_deals action...');
+
+      const business = businessDatabase.get(memory.businessId);
+      const cardOptions = {
+        shopDomain,
+        currency: business?.currency || "USD",
+        inventorySettings: inventory.getInventorySettings(business)
+      };
+
+      // "Show more" carries on from the last page
+      const browse = context.browse;
+      const browseIsLive = browse && Date.now() - new Date(browse.startedAt).getTime() < BROWSE_SESSION_TTL_MS;
+
+      if (browseIsLive && BROWSE_MORE_PATTERN.test(userMessage) && !entities.priceRange) {
+        if (browse.offset >= browse.productIds.length) {
+          return {
+            message: "🛍️ That's everything I found. Want to search for something else?",
+            suggestions: ["Browse Deals", "View Cart", "Help"]
+          };
+        }
+
+        console.log(`📄 Next page from ${browse.offset}`);
+        return buildProductPageResult(memory.businessId, browse, cardOptions);
+      }
+
+      // Answer from the cached catalog; go live only if it hasn't been built yet
+      let products = await productCatalog.getProducts(memory.businessId);
+      let liveProducts = [];
+      if (products.length === 0) {
+        ({ products } = await graphqlCall(shopifyGraphql.getProducts, {
+          first: BROWSE_PAGE_SIZE,
+          query: "status:active"
+        }));
+        liveProducts = products;
+      }
+      console.log(`📦 Products loaded: ${products.length}`);
+
+      // "deals under $50" - keep products with a variant in the range
+      const { priceRange } = entities;
+      if (priceRange) {
+        products = products.filter(product => product.variants?.some(variant => {
+          const price = parseFloat(variant.price);
+          return (priceRange.min === null || price >= priceRange.min) &&
+            (priceRange.max === null || price <= priceRange.max);
+        }));
+        console.log(`💲 ${products.length} product(s) in price range`);
+      }
+
+      products = products.filter(product => product.variants?.length > 0);
+
+      if (products.length === 0) {
+        console.log('❌ No products found');
+        return {
+          message: "🛍️ No products available right now. Check back soon!",
+          suggestions: ["Help", "Track Order"]
+        };
+      }
+
+      // Biggest markdowns first, then bestsellers; sold-out products go last
+      const orderStats = await recommendations.getOrderStats({ businessId: memory.businessId, shopDomain, adminToken });
+      const bestDiscount = product => Math.max(...product.variants.map(getDiscountPercent));
+      products = [...products].sort((a, b) =>
+        inventory.isSoldOut(a) - inventory.isSoldOut(b) ||
+        bestDiscount(b) - bestDiscount(a) ||
+        recommendations.getUnitsSold(orderStats, b.id) - recommendations.getUnitsSold(orderStats, a.id));
+
+      // Picks based on what they've added or asked about lead the first page
+      const seedIds = recommendations.getSeedProductIds(context.previousActions);
+      const picks = seedIds.length > 0
+        ? recommendations.recommend(products, orderStats, { seedIds, limit: BROWSE_PAGE_SIZE }).map(({ product }) => product)
+        : [];
+      if (picks.length > 0) {
+        console.log(`✨ ${picks.length} personalised pick(s) from ${seedIds.length} seed product(s)`);
+        products = [...picks, ...products.filter(product => !picks.includes(product))];
+      }
+
+      console.log(`✅ Found ${products.length} products`);
+
+      let title = picks.length > 0 ? "Picked For You" : "Today's Top Deals";
+      if (priceRange) {
+        title = picks.length > 0 ? "Picked For You, In Your Price Range" : "Products In Your Price Range";
+      }
+
+      const newBrowse = {
+        title,
+        productIds: products.map(product => product.id),
+        offset: 0,
+        startedAt: new Date().toISOString()
+      };
+
+      return buildProductPageResult(memory.businessId, newBrowse, { ...cardOptions, liveProducts });
+    }
+
+    case 'add_cart': {
+      let email = context.email;
+
+      // Use an email from the message if not in context
+      if (!email && entities.email) {
+        email = entities.email;
+        memory.remember('email', email);
+        await memory.saveToFile();
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
+
+      if (!email) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "email",
+          question: "📧 I need your email to add items to your cart",
+          inputType: "email"
+        };
+      }
+
+      // 🆕 PRODUCT INFO FROM THE EXTRACTED ENTITIES
+      let variantId = null;
+      let productName = null;
+      let product = null;
+      let variant = null;
+      let quantity = entities.quantity || 1;
+      console.log(`🔢 Quantity: ${quantity}`);
+
+      if (entities.pickingProductId) {
+        // Coming back from a variant question
+        product = await productCatalog.getProduct(memory.businessId, entities.pickingProductId);
+      } else if (entities.variantId) {
+        // A card button or a typed ID: either a variant, or a product whose
+        // variant still has to be picked
+        const match = await productCatalog.findProductByVariantId(memory.businessId, entities.variantId);
+        if (match) {
+          ({ product, variant } = match);
+        } else {
+          product = await productCatalog.getProduct(memory.businessId, entities.variantId);
+        }
+
+        // Not cached yet - trust the ID as a variant
+        if (!product) {
+          variantId = entities.variantId;
+        }
+        console.log(`🔍 Found ID: ${entities.variantId}`);
+      } else {
+        // What's left once entities are cut out, minus the cart wording
+        const cleanMessage = entities.remainder
+          .toLowerCase()
+          .replace(/add to cart|add|cart|buy|purchase|i want|get me/gi, '')
+          .trim();
+
+        if (cleanMessage.length > 2) {
+          console.log(`🔍 Searching for product: "${cleanMessage}"`);
+
+          // Search the cached catalog (live Shopify search until it's built)
+          let [bestMatch] = await productCatalog.searchCatalog(memory.businessId, cleanMessage, { limit: 1 });
+          if (!bestMatch && (await productCatalog.getCatalogSize(memory.businessId)) === 0) {
+            const liveResults = await graphqlCall(shopifyGraphql.searchProductsByTitle, cleanMessage, { first: 5 });
+            [bestMatch] = productSearch.search(productSearch.buildIndex(liveResults), cleanMessage, { limit: 1 });
+          }
+
+          if (bestMatch) {
+            product = bestMatch.product;
+            console.log(`✅ Found product: ${product.title} (score ${bestMatch.score.toFixed(2)})`);
+          }
+
+          // A live list result may stop short of the wanted variant
+          if (product?.variants_complete === false) {
+            product = (await graphqlCall(shopifyGraphql.getProduct, product.id)) || product;
+          }
+        }
+      }
+
+      // 👕 PICK THE VARIANT - one option at a time, in-stock combinations only
+      if (product && !variant) {
+        if (!variantPicker.needsChoice(product)) {
+          variant = product.variants?.[0];
+        } else {
+          const selections = {
+            ...variantPicker.selectionsFromEntities(product, entities.options),
+            ...(entities.variantSelections || {})
+          };
+          if (entities.pickingOption && entities.variantOption) {
+            selections[entities.pickingOption] = entities.variantOption;
+          }
+
+          let step = variantPicker.resolve(product, selections);
+          let note = "";
+
+          // What they asked for is out of stock - offer what isn't
+          if (step.unavailable) {
+            note = `😔 ${product.title} isn't available in ${Object.values(selections).join(' / ')}.\n\n`;
+            step = variantPicker.resolve(product, {});
+          }
+
+          if (step.soldOut) {
+            return buildRestockOfferResult(product, null);
+          }
+
+          if (step.option) {
+            console.log(`👕 Asking for ${step.option.name} of ${product.title}`);
+            return {
+              needsInfo: true,
+              fieldNeeded: "variantOption",
+              question: `${note}👕 Which ${step.option.name.toLowerCase()} would you like for **${product.title}**?`,
+              choices: step.option.values,
+              suggestions: step.option.values.slice(0, 8),
+              carry: {
+                pickingProductId: product.id,
+                pickingOption: step.option.name,
+                variantSelections: step.selections,
+                variantOption: null
+              }
+            };
+          }
+
+          variant = step.variant;
+        }
+      }
+
+      if (variant) {
+        variantId = String(variant.id);
+        productName = variantPicker.describeVariant(product, variant);
+        console.log(`✅ Variant: ${productName} (${variantId})`);
+      }
+
+      // If still no variant ID, ask user to specify
+      if (!variantId) {
+        return {
+          message: "🛒 I'd love to add that to your cart!\n\nCould you tell me which product you want? You can:\n• Say the product name\n• Give me the product number\n• Browse deals and choose from there",
+          suggestions: ["Browse Deals", "Help"]
+        };
+      }
+
+      // 🆕 GET OR CREATE DRAFT ORDER
       let draftOrderId = context.draftOrderId;
       let draftOrder = null;
 
       // Try to get existing draft order
-      if (draftOrderId) {
-        const existingDraft = await shopifyCall(`/draft_orders/${draftOrderId}.json`);
-        if (existingDraft?.draft_order) {
-          draftOrder = existingDraft.draft_order;
-          console.log(`✅ Found existing cart: ${draftOrderId}`);
+      draftOrder = await loadCart(draftOrderId, shopifyCall);
+      if (draftOrder) {
+        console.log(`✅ Found existing cart: ${draftOrderId}`);
+      }
+
+      // 📦 CHECK STOCK - counting what's already in the cart
+      let stockNote = "";
+      if (variant) {
+        const inCart = draftOrder?.line_items?.find(line => String(line.variant_id) === variantId)?.quantity || 0;
+        const stock = inventory.capQuantity(variant, quantity, inCart);
+
+        if (stock.limit === 0) {
+          return buildRestockOfferResult(product, variant);
+        }
+
+        if (stock.quantity === 0) {
+          return {
+            message: `🛒 You already have all ${stock.limit} of ${productName} we have in stock in your cart.`,
+            suggestions: ["View Cart", "Checkout", "Browse Deals"]
+          };
+        }
+
+        if (stock.quantity < quantity) {
+          console.log(`📦 Only ${stock.limit} in stock (${inCart} in cart) - adding ${stock.quantity} of ${quantity}`);
+          stockNote = `⚠️ Only ${stock.limit} in stock, so I added ${stock.quantity} instead of ${quantity}.\n\n`;
+          quantity = stock.quantity;
+        } else {
+          const low = inventory.describeStock(variant, inventory.getInventorySettings(businessDatabase.get(memory.businessId)));
+          stockNote = low ? `⏳ ${low} - don't wait too long!\n\n` : "";
+        }
+      }
+
+      // Create new draft order if none exists
+      if (!draftOrder) {
+        const draftBody = {
+          draft_order: {
+            email: email,
+            line_items: [
+              {
+                variant_id: parseInt(variantId),
+                quantity: quantity
+              }
+            ],
+            note: "Created via SalesIQ Bot"
+          }
+        };
+
+        const draftData = await shopifyCall(
+          `/draft_orders.json`,
+          "POST",
+          draftBody
+        ).catch(error => {
+          if (error instanceof shopifyClient.ShopifyValidationError) return null;
+          throw error;
+        });
+
+        if (!draftData?.draft_order) {
+          return {
+            message: "⚠️ Could not add to cart. Please try again.",
+            suggestions: ["Try Again", "Browse Products"]
+          };
+        }
+
+        draftOrder = draftData.draft_order;
+        draftOrderId = draftOrder.id;
+
+        // Save draft order ID to memory
+        memory.remember('draftOrderId', draftOrderId);
+        await memory.saveToFile();
+
+        console.log(`✅ Created new cart: ${draftOrderId}`);
+      } else {
+        // Update existing draft order with new item
+        const currentItems = (draftOrder.line_items || []).map(cart.toLineItemInput);
+
+        // Check if item already exists in cart
+        const existingItem = currentItems.find(item =>
+          item.variant_id?.toString() === variantId.toString()
+        );
+
+        if (existingItem) {
+          // Update quantity
+          existingItem.quantity += quantity;
+        } else {
+          // Add new item
+          currentItems.push({
+            variant_id: parseInt(variantId),
+            quantity: quantity
+          });
+        }
+
+        const updateBody = {
+          draft_order: {
+            line_items: currentItems
+          }
+        };
+
+        const updatedDraft = await shopifyCall(
+          `/draft_orders/${draftOrderId}.json`,
+          "PUT",
+          updateBody
+        ).catch(error => {
+          if (error instanceof shopifyClient.ShopifyValidationError) return null;
+          throw error;
+        });
+
+        if (!updatedDraft?.draft_order) {
+          return {
+            message: "⚠️ Could not update cart. Please try again.",
+            suggestions: ["Try Again", "View Cart"]
+          };
+        }
+
+        draftOrder = updatedDraft.draft_order;
+        console.log(`✅ Updated cart: ${draftOrderId}`);
+      }
+
+      // Build response message
+      const itemCount = draftOrder.line_items?.length || 0;
+      const totalPrice = draftOrder.total_price || "0.00";
+      const productTitle = productName || "Product";
+
+      let message = `✅ **Added to Cart!**\n\n`;
+      message += `📦 ${quantity}x ${productTitle}\n\n`;
+      message += stockNote;
+      message += `🛒 **Your Cart:**\n`;
+      message += `Items: ${itemCount}\n`;
+      message += `Total: $${totalPrice}\n\n`;
+      message += `Ready to checkout?`;
+
+      // ✨ YOU MAY ALSO LIKE - from this product and what else they've looked at
+      const alsoLike = recommendations.recommend(
+        await productCatalog.getProducts(memory.businessId),
+        await recommendations.getOrderStats({ businessId: memory.businessId, shopDomain, adminToken }),
+        {
+          seedIds: [product?.id, ...recommendations.getSeedProductIds(context.previousActions)].filter(Boolean),
+          excludeIds: (draftOrder.line_items || []).map(line => line.product_id).filter(Boolean),
+          limit: ALSO_LIKE_LIMIT
+        }
+      );
+
+      if (alsoLike.length > 0) {
+        message += `\n\n✨ You may also like:`;
+      }
+
+      const business = businessDatabase.get(memory.businessId);
+      const cardOptions = {
+        shopDomain,
+        currency: business?.currency || "USD",
+        inventorySettings: inventory.getInventorySettings(business)
+      };
+
+      return {
+        message: message,
+        cards: alsoLike.map(({ product: suggested }) =>
+          buildProductCard(suggested, suggested.variants.find(inventory.isInStock), cardOptions)),
+        productIds: product ? [product.id] : [],
+        remember: true,
+        data: {
+          email,
+          draftOrderId: draftOrder.id,
+          lastAddedVariant: variantId,
+          lastAddedProduct: productTitle,
+          lastViewedProduct: { variantId, title: productTitle }
+        },
+        buttons: [
+          {
+            label: "💳 Checkout Now",
+            type: "url",
+            value: draftOrder.invoice_url
+          }
+        ],
+        suggestions: ["Browse More", "View Cart", "Checkout"]
+      };
+    }
+
+
+    case 'view_cart': {
+      const draftOrder = await loadCart(context.draftOrderId, shopifyCall);
+
+      if (!draftOrder?.line_items?.length) {
+        return buildEmptyCartResult();
+      }
+
+      return buildCartResult(memory.businessId, draftOrder);
+    }
+
+    case 'update_quantity': {
+      const draftOrder = await loadCart(context.draftOrderId, shopifyCall);
+
+      if (!draftOrder?.line_items?.length) {
+        return buildEmptyCartResult();
+      }
+
+      const lines = draftOrder.line_items;
+      const target = resolveCartLine(lines, entities, userMessage, "change");
+      if (target.question) {
+        return target.question;
+      }
+
+      const line = lines[target.index];
+      let quantity = entities.newQuantity ?? cart.readTargetQuantity(userMessage, entities, { byPosition: target.byPosition });
+
+      if (quantity === null) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "newQuantity",
+          question: `🔢 You have ${line.quantity}x ${cart.getLineLabel(line)}. How many would you like? (0 removes it)`,
+          suggestions: ["1", "2", "3", "Cancel"]
+        };
+      }
+
+      // 📦 More than is in stock? Go as high as stock allows
+      let stockNote = "";
+      const stocked = quantity > line.quantity && line.variant_id
+        ? await productCatalog.findProductByVariantId(memory.businessId, line.variant_id)
+        : null;
+      if (stocked) {
+        const stock = inventory.capQuantity(stocked.variant, quantity);
+        if (stock.quantity < quantity) {
+          const capped = Math.max(stock.quantity, line.quantity);
+          stockNote = `⚠️ Only ${stock.limit} of ${cart.getLineLabel(line)} in stock, so I set it to ${capped}.\n\n`;
+          quantity = capped;
+        }
+      }
+
+      const updated = await saveCartLines(draftOrder, cart.setLineQuantity(lines, target.index, quantity), memory, shopifyCall);
+      console.log(`🔢 ${cart.getLineLabel(line)}: ${line.quantity} → ${quantity}`);
+
+      if (!updated) {
+        return buildEmptyCartResult(`🗑️ Removed ${cart.getLineLabel(line)} - your cart is now empty.`);
+      }
+
+      return buildCartResult(memory.businessId, updated, {
+        heading: quantity === 0
+          ? `🗑️ Removed ${cart.getLineLabel(line)}.\n\n🛒 **Your Cart**`
+          : `${stockNote}✅ Updated ${cart.getLineLabel(line)} to ${quantity}.\n\n🛒 **Your Cart**`
+      });
+    }
+
+    case 'remove_item': {
+      const draftOrder = await loadCart(context.draftOrderId, shopifyCall);
+
+      if (!draftOrder?.line_items?.length) {
+        return buildEmptyCartResult();
+      }
+
+      const lines = draftOrder.line_items;
+      const target = resolveCartLine(lines, entities, userMessage, "remove");
+      if (target.question) {
+        return target.question;
+      }
+
+      // "remove one of the hoodies" takes some off; otherwise the whole line goes
+      const line = lines[target.index];
+      const removeCount = !target.byPosition && entities.quantity && entities.quantity < line.quantity
+        ? entities.quantity
+        : line.quantity;
+
+      const updated = await saveCartLines(draftOrder, cart.setLineQuantity(lines, target.index, line.quantity - removeCount), memory, shopifyCall);
+      const removedLabel = `${removeCount < line.quantity ? `${removeCount}x ` : ''}${cart.getLineLabel(line)}`;
+      console.log(`🗑️ Removed ${removedLabel} from cart`);
+
+      if (!updated) {
+        return buildEmptyCartResult(`🗑️ Removed ${removedLabel} - your cart is now empty.`);
+      }
+
+      return buildCartResult(memory.businessId, updated, {
+        heading: `🗑️ Removed ${removedLabel}.\n\n🛒 **Your Cart**`
+      });
+    }
+
+    case 'clear_cart': {
+      const draftOrder = await loadCart(context.draftOrderId, shopifyCall);
+
+      if (!draftOrder?.line_items?.length) {
+        return buildEmptyCartResult();
+      }
+
+      if (!entities.confirmation) {
+        const itemCount = draftOrder.line_items.reduce((sum, line) => sum + line.quantity, 0);
+        return buildConfirmationQuestion(
+          `🗑️ Remove all ${itemCount} item(s) from your cart?\n\nReply "yes" to empty it or "no" to keep it.`,
+          ["Yes, Empty It", "No, Keep It"]
+        );
+      }
+
+      if (entities.confirmation !== 'yes') {
+        return {
+          message: "👍 Your cart hasn't been changed.",
+          suggestions: ["View Cart", "Checkout", "Browse More"]
+        };
+      }
+
+      await deleteCart(draftOrder, memory, shopifyCall);
+      return buildEmptyCartResult("🗑️ Your cart has been emptied.");
+    }
+
+    case 'apply_discount': {
+      const code = entities.discountCode;
+
+      if (!code) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "discountCode",
+          question: "🏷️ What's your discount code?",
+          suggestions: ["Cancel"]
+        };
+      }
+
+      const draftOrder = await loadCart(context.draftOrderId, shopifyCall);
+      if (!draftOrder?.line_items?.length) {
+        return buildEmptyCartResult(`🛒 Your cart is empty - add something first and I'll apply ${code} for you.`);
+      }
+
+      // ✅ VALIDATE AGAINST THE STORE'S PRICE RULES
+      const found = await lookupDiscountCode(code, shopifyCall);
+      const check = found
+        ? discounts.checkDiscount(found.priceRule, found.discountCode, draftOrder)
+        : { valid: false, reason: "not_found" };
+
+      if (!check.valid) {
+        console.log(`🏷️ Code ${code} rejected: ${check.reason}`);
+        return {
+          message: `🏷️ ${DISCOUNT_REJECTED_MESSAGES[check.reason](code, check, draftOrder.currency)}`,
+          suggestions: ["View Cart", "Checkout", "Help"]
+        };
+      }
+
+      // ✅ APPLY TO THE CART
+      const { draft_order: updated } = await shopifyCall(`/draft_orders/${draftOrder.id}.json`, "PUT", {
+        draft_order: discounts.buildDiscountUpdate(found.priceRule, code, draftOrder, check.lines)
+      });
+
+      const saved = Math.max(Number(draftOrder.total_price) - Number(updated.total_price), 0).toFixed(2);
+      console.log(`🏷️ Code ${code} applied to cart ${draftOrder.id} (saves ${saved})`);
+
+      return buildCartResult(memory.businessId, updated, {
+        heading: `🎉 **${code} applied** - ${discounts.describePriceRule(found.priceRule, updated.currency)}. You save ${saved} ${updated.currency}!\n\n🛒 **Your Cart**`
+      });
+    }
+
+    case 'show_promotions': {
+      const business = businessDatabase.get(memory.businessId);
+      const { discloseCodes } = discounts.getDiscountSettings(business);
+
+      let message = `🏷️ **Current Promotions**\n\n`;
+
+      if (discloseCodes) {
+        const promotions = await listPublicPromotions(shopifyCall, shopifyPages);
+
+        for (const { priceRule, code } of promotions) {
+          message += `• **${code}** - ${discounts.describePriceRule(priceRule, business?.currency)}` +
+            (priceRule.ends_at ? ` (until ${formatDate(priceRule.ends_at)})` : '') + `\n`;
+        }
+
+        if (promotions.length === 0) {
+          message += `There are no discount codes running right now.\n`;
+        } else {
+          message += `\nTell me a code (e.g. "apply code ${promotions[0].code}") and I'll add it to your cart.\n`;
+        }
+      } else {
+        message += `I can't share discount codes in chat, but if you have one, tell me (e.g. "apply code SAVE10") and I'll add it to your cart.\n`;
+      }
+
+      // Products already marked down
+      const onSale = (await productCatalog.getProducts(memory.businessId)).filter(product =>
+        product.variants?.some(variant => Number(variant.compare_at_price) > Number(variant.price)));
+
+      if (onSale.length > 0) {
+        message += `\n🔥 **On Sale Now**\n`;
+        for (const product of onSale.slice(0, PROMOTION_LIST_SIZE)) {
+          const variant = product.variants.find(v => Number(v.compare_at_price) > Number(v.price));
+          message += `• ${product.title} - ${variant.price} (was ${variant.compare_at_price})\n`;
+        }
+      }
+
+      return {
+        message,
+        suggestions: ["Apply a Code", "Browse Deals", "View Cart"]
+      };
+    }
+
+    case 'notify_restock': {
+      // Which product: a card button or typed ID, a product named in the
+      // message, the last sold-out offer, or the last product added
+      let product = null;
+      let variant = null;
+
+      const productWords = entities.remainder
+        .toLowerCase()
+        .replace(/\b(notify|let me know|tell me|email me|alert|ping|me|when|it'?s|is|are|back|in stock|restock(ed)?|available|again|please|the)\b/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (entities.variantId) {
+        const match = await productCatalog.findProductByVariantId(memory.businessId, entities.variantId);
+        if (match) {
+          ({ product, variant } = match);
+        } else {
+          product = await productCatalog.getProduct(memory.businessId, entities.variantId);
+        }
+      } else if (productWords.length > 2) {
+        const [bestMatch] = await productCatalog.searchCatalog(memory.businessId, productWords, { limit: 1 });
+        product = bestMatch?.product || null;
+      }
+
+      if (!product && context.restockOffer) {
+        product = await productCatalog.getProduct(memory.businessId, context.restockOffer.productId);
+        variant = product?.variants?.find(v => String(v.id) === String(context.restockOffer.variantId)) || null;
+      } else if (!product && context.lastViewedProduct?.variantId) {
+        const match = await productCatalog.findProductByVariantId(memory.businessId, context.lastViewedProduct.variantId);
+        if (match) {
+          ({ product, variant } = match);
         }
       }
 
-      // Create new draft order if none exists
-      if (!draftOrder) {
-        const draftBody = {
-          draft_order: {
-            email: email,
-            line_items: [
-              {
-                variant_id: parseInt(variantId),
-                quantity: quantity
-              }
-            ],
-            note: "Created via SalesIQ Bot"
-          }
-        };
+      if (!product) {
+        return {
+          message: "🔔 Which product should I watch for you? Tell me its name, or tap \"Notify Me\" on a sold-out product while browsing.",
+          suggestions: ["Browse Deals", "Help"]
+        };
+      }
+
+      // "the hoodie in large blue" names one variant
+      if (!variant && variantPicker.needsChoice(product)) {
+        variant = variantPicker.findVariant(product, variantPicker.selectionsFromEntities(product, entities.options));
+      } else if (!variant) {
+        variant = product.variants?.[0] || null;
+      }
+
+      const title = variant ? variantPicker.describeVariant(product, variant) : product.title;
+
+      // Nothing to wait for
+      if (variant ? inventory.isInStock(variant) : !inventory.isSoldOut(product)) {
+        const business = businessDatabase.get(memory.businessId);
+        return {
+          message: `🎉 Good news - ${title} is in stock right now!`,
+          productIds: [product.id],
+          cards: [buildProductCard(product, variant || product.variants.find(inventory.isInStock), {
+            shopDomain,
+            currency: business?.currency || "USD",
+            inventorySettings: inventory.getInventorySettings(business)
+          })],
+          suggestions: ["View Cart", "Browse Deals"]
+        };
+      }
+
+      let email = context.email;
+
+      if (!email && entities.email) {
+        email = entities.email;
+        memory.remember('email', email);
+        await memory.saveToFile();
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
+
+      if (!email) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "email",
+          question: `📧 What email should I send the alert to when ${title} is back?`,
+          inputType: "email"
+        };
+      }
+
+      try {
+        await persistence.saveRestockSubscription(memory.businessId, {
+          productId: product.id,
+          variantId: variant ? variant.id : null,
+          email,
+          productTitle: title
+        });
+      } catch (error) {
+        return {
+          message: "⚠️ I couldn't set up that alert just now. Please try again in a moment.",
+          suggestions: ["Notify Me", "Browse Deals"]
+        };
+      }
+
+      console.log(`🔔 Restock alert: ${title} for ${customerVerification.maskEmail(email)}`);
 
-        const draftData = await shopifyCall(
-          `/draft_orders.json`,
-          "POST",
-          draftBody
-        );
+      return {
+        message: `🔔 Done! I'll email ${email} as soon as ${title} is back in stock.`,
+        productIds: [product.id],
+        remember: true,
+        data: {
+          email,
+          restockOffer: null
+        },
+        suggestions: ["Browse Deals", "View Cart", "Help"]
+      };
+    }
 
-        if (!draftData?.draft_order) {
-          return {
-            message: "⚠️ Could not add to cart. Please try again.",
-            suggestions: ["Try Again", "Browse Products"]
-          };
-        }
+    case 'buy_now': {
+      let email = context.email;
 
-        draftOrder = draftData.draft_order;
-        draftOrderId = draftOrder.id;
+      if (!email && entities.email) {
+        email = entities.email;
+        memory.remember('email', email);
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
 
-        // Save draft order ID to memory
-        memory.remember('draftOrderId', draftOrderId);
-        await memory.saveToFile();
+      if (!email) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "email",
+          question: "📧 What's your email to complete the purchase?",
+          inputType: "email"
+        };
+      }
 
-        console.log(`✅ Created new cart: ${draftOrderId}`);
-      } else {
-        // Update existing draft order with new item
-        const currentItems = draftOrder.line_items || [];
+      let draftOrder = await loadCart(context.draftOrderId, shopifyCall);
 
-        // Check if item already exists in cart
-        const existingItem = currentItems.find(item =>
-          item.variant_id?.toString() === variantId.toString()
-        );
+      // ✅ NO CART - offer the product they were just looking at on its own
+      if (!draftOrder?.line_items?.length) {
+        const variantId = entities.variantId || context.lastViewedProduct?.variantId;
+        const match = variantId ? await productCatalog.findProductByVariantId(memory.businessId, variantId) : null;
 
-        if (existingItem) {
-          // Update quantity
-          existingItem.quantity += quantity;
-        } else {
-          // Add new item
-          currentItems.push({
-            variant_id: parseInt(variantId),
-            quantity: quantity
-          });
+        if (!match) {
+          return buildEmptyCartResult("🛒 Your cart is empty, so there's nothing to check out yet.");
         }
 
-        const updateBody = {
-          draft_order: {
-            line_items: currentItems
-          }
-        };
+        const quantity = entities.quantity || 1;
+        const title = match.variant.title && match.variant.title !== 'Default Title'
+          ? `${match.product.title} - ${match.variant.title}`
+          : match.product.title;
 
-        const updatedDraft = await shopifyCall(
-          `/draft_orders/${draftOrderId}.json`,
-          "PUT",
-          updateBody
-        );
+        if (!entities.confirmation) {
+          return buildConfirmationQuestion(
+            `🛒 Your cart is empty.\n\nWould you like to buy ${quantity}x **${title}** (${match.variant.price} each) now?`,
+            ["Yes, Buy It", "No, Keep Browsing"]
+          );
+        }
 
-        if (!updatedDraft?.draft_order) {
+        if (entities.confirmation !== 'yes') {
           return {
-            message: "⚠️ Could not update cart. Please try again.",
-            suggestions: ["Try Again", "View Cart"]
+            message: "👍 No problem. Let me know when you're ready.",
+            suggestions: ["Browse Deals", "Help"]
           };
         }
 
-        draftOrder = updatedDraft.draft_order;
-        console.log(`✅ Updated cart: ${draftOrderId}`);
+        const created = await shopifyCall("/draft_orders.json", "POST", {
+          draft_order: {
+            email,
+            line_items: [{ variant_id: parseInt(match.variant.id), quantity }],
+            note: "Created via SalesIQ Bot"
+          }
+        });
+
+        draftOrder = created.draft_order;
+        memory.remember('draftOrderId', draftOrder.id);
+        console.log(`✅ Created single-item cart ${draftOrder.id} for ${title}`);
       }
 
-      // Build response message
-      const itemCount = draftOrder.line_items?.length || 0;
-      const totalPrice = draftOrder.total_price || "0.00";
-      const productTitle = productName || "Product";
+      // ✅ EMAIL + SHIPPING ADDRESS
+      draftOrder = await prepareCheckout(draftOrder, email, context, shopifyCall, graphqlCall);
 
-      let message = `✅ **Added to Cart!**\n\n`;
-      message += `📦 ${quantity}x ${productTitle}\n\n`;
-      message += `🛒 **Your Cart:**\n`;
-      message += `Items: ${itemCount}\n`;
-      message += `Total: $${totalPrice}\n\n`;
-      message += `Ready to checkout?`;
+      // ✅ INVOICE EMAIL (on request)
+      let invoiceNote = "";
+      if (INVOICE_REQUEST_PATTERN.test(userMessage)) {
+        const sent = await sendCartInvoice(draftOrder, email, memory, shopifyCall);
+        invoiceNote = sent
+          ? `\n\n📧 I've also emailed the invoice to ${email}.`
+          : `\n\n📧 An invoice was emailed to you a few minutes ago - please check your inbox.`;
+      }
+
+      // ✅ TOTALS + CHECKOUT LINK
+      const cartResult = await buildCartResult(memory.businessId, draftOrder, { heading: "💳 **Ready to Checkout!**" });
+      const addressNote = draftOrder.shipping_address
+        ? `\n\n🚚 Shipping to: ${[draftOrder.shipping_address.address1, draftOrder.shipping_address.city, draftOrder.shipping_address.zip].filter(Boolean).join(', ')}`
+        : `\n\n🚚 You'll enter your shipping address at checkout.`;
 
       return {
-        message: message,
-        remember: true,
-        data: {
-          email,
-          draftOrderId: draftOrder.id,
-          lastAddedVariant: variantId,
-          lastAddedProduct: productTitle
-        },
+        message: `${cartResult.message}${addressNote}\n\nTap the button below to pay securely.${invoiceNote}`,
+        cards: cartResult.cards,
         buttons: [
           {
-            label: "🛍️ View Cart",
-            type: "url",
-            value: draftOrder.invoice_url
-          },
-          {
-            label: "💳 Checkout Now",
+            label: "💳 Complete Checkout",
             type: "url",
             value: draftOrder.invoice_url
           }
         ],
-        suggestions: ["Browse More", "View Cart", "Checkout"]
+        remember: true,
+        data: {
+          email,
+          draftOrderId: draftOrder.id
+        },
+        suggestions: invoiceNote ? ["View Cart", "Browse More", "Help"] : ["Email Me the Invoice", "View Cart", "Browse More"]
       };
     }
 
+    case 'return_order': {
+      let email = context.email;
+
+      if (!email && entities.email) {
+        email = entities.email;
+        memory.remember('email', email);
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
 
-    case 'buy_now': {
+      if (!email) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "email",
+          question: "📧 What's your email for the return?",
+          inputType: "email"
+        };
+      }
+
+      // 🔐 Returns show order contents, so the same check as tracking applies
+      const verificationQuestion = await requireVerifiedCustomer(email, entities, memory, graphqlCall);
+      if (verificationQuestion) {
+        return verificationQuestion;
+      }
+
+      // "Where's my return?" - returns requested earlier
+      if (RETURN_STATUS_PATTERN.test(userMessage)) {
+        return buildReturnStatusResult(memory.businessId, email, graphqlCall);
+      }
+
+      const { order, result } = await resolveCustomerOrder(email, entities, context, graphqlCall, {
+        prompt: "Which order would you like to return items from?",
+        noOrdersMessage: `No orders found for ${email}, so there's nothing to return.`
+      });
+      if (result) {
+        return result;
+      }
+
+      memory.remember('selectedOrder', { id: order.id, name: order.name });
+
+      // ✅ ELIGIBILITY
+      const returnableItems = await graphqlCall(shopifyGraphql.getReturnableItems, order.id);
+      const windowDays = returns.getReturnWindowDays(businessDatabase.get(memory.businessId));
+      const eligibility = returns.checkReturnEligibility(order, returnableItems, { windowDays });
+
+      if (!eligibility.eligible) {
+        console.log(`🚫 ${order.name} not returnable: ${eligibility.reason}`);
+        return {
+          message: `🔄 ${RETURN_INELIGIBLE_MESSAGES[eligibility.reason](order, eligibility, windowDays)}`,
+          suggestions: ["Track Order", "Help"]
+        };
+      }
+
+      // ✅ ITEMS
+      let items = returnableItems;
+      if (returnableItems.length > 1) {
+        if (!entities.returnItems) {
+          const itemList = returnableItems
+            .map((item, i) => `${i + 1}. ${item.name}${item.quantity > 1 ? ` (x${item.quantity})` : ''}`)
+            .join('\n');
+
+          return {
+            needsInfo: true,
+            fieldNeeded: "returnItems",
+            question: `🔄 **Return from Order ${order.name}**\n\n${itemList}\n\nWhich items would you like to return? Reply with their numbers (e.g. "1 and 3") or "all".`,
+            choices: returnableItems.map(item => item.name),
+            suggestions: ["All", "Cancel"]
+          };
+        }
+
+        items = entities.returnItems.map(i => returnableItems[i]).filter(Boolean);
+      }
+
+      // ✅ REASON
+      if (!entities.returnReason) {
+        return {
+          needsInfo: true,
+          fieldNeeded: "returnReason",
+          question: `📝 What's the reason for returning ${items.map(item => item.name).join(', ')}?`,
+          suggestions: [...returns.getReasonSuggestions(), "Cancel"]
+        };
+      }
+
+      // ✅ REQUEST THE RETURN
+      const record = await requestReturn(memory.businessId, order, items, entities.returnReason, graphqlCall);
+
+      return {
+        message: `✅ **Return Requested - ${record.returnName}**\n\n` +
+          `Order: ${order.name}\n` +
+          `Items: ${record.lineItems.map(item => `${item.quantity}x ${item.name}`).join(', ')}\n` +
+          `Reason: ${entities.returnReason.label}\n\n` +
+          `The store will review your request and email you the next steps. You can ask me for your return status any time.`,
+        remember: true,
+        data: { lastReturnId: record.returnId },
+        suggestions: ["Return Status", "Track Order", "Help"]
+      };
+    }
+
+    case 'cancel_order': {
       let email = context.email;
 
+      if (!email && entities.email) {
+        email = entities.email;
+        memory.remember('email', email);
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
+
       if (!email) {
         return {
           needsInfo: true,
           fieldNeeded: "email",
-          question: "📧 What's your email to complete the purchase?",
+          question: "📧 What's the email you placed the order with?",
           inputType: "email"
         };
       }
 
+      const verificationQuestion = await requireVerifiedCustomer(email, entities, memory, graphqlCall);
+      if (verificationQuestion) {
+        return verificationQuestion;
+      }
+
+      const { order, result } = await resolveCustomerOrder(email, entities, context, graphqlCall, {
+        prompt: "Which order would you like to cancel?",
+        noOrdersMessage: `No orders found for ${email}, so there's nothing to cancel.`
+      });
+      if (result) {
+        return result;
+      }
+
+      memory.remember('selectedOrder', { id: order.id, name: order.name });
+
+      // ✅ POLICY
+      const policy = orderChanges.getCancellationPolicy(businessDatabase.get(memory.businessId));
+      const eligibility = orderChanges.checkCancellation(order, policy);
+
+      if (!eligibility.allowed) {
+        return buildOrderChangeBlockedResult(order, "cancelled", eligibility, policy);
+      }
+
+      // ✅ CONFIRM - nothing is cancelled until the customer says yes
+      if (!entities.confirmation) {
+        const itemList = order.line_items.map(item => `• ${item.quantity}x ${item.name}`).join('\n');
+        const refundNote = policy.refund
+          ? `You'll be refunded ${order.total_price} ${order.currency} to your original payment method.`
+          : `The store will contact you about your refund.`;
+
+        return buildConfirmationQuestion(
+          `⚠️ **Cancel Order ${order.name}?**\n\n${itemList}\n\n${refundNote}\n\nReply "yes" to cancel it or "no" to keep it.`,
+          ["Yes, Cancel It", "No, Keep It"]
+        );
+      }
+
+      if (entities.confirmation !== 'yes') {
+        return {
+          message: `👍 Order ${order.name} hasn't been changed - it's still on its way to being shipped.`,
+          suggestions: ["Track Order", "Help"]
+        };
+      }
+
+      // ✅ CANCEL
+      await graphqlCall(shopifyGraphql.cancelOrder, order.id, {
+        refund: policy.refund,
+        restock: policy.restock,
+        staffNote: "Cancelled by the customer in chat"
+      });
+      console.log(`🚫 Order ${order.name} cancelled (refund: ${policy.refund}, restock: ${policy.restock})`);
+
       return {
-        message: `💳 **Ready to Checkout!**\n\nPlease proceed to complete your purchase.\n\nClick the button below to go to our secure checkout.`,
-        suggestions: ["Browse More", "Help"]
+        message: `✅ **Order ${order.name} Cancelled**\n\n` +
+          (policy.refund
+            ? `Your refund of ${order.total_price} ${order.currency} is on its way and usually shows up within 5-10 business days.`
+            : `The store will contact you about your refund.`) +
+          `\n\nYou'll get a confirmation email shortly.`,
+        suggestions: ["Browse Deals", "My Orders", "Help"]
       };
     }
 
-    case 'return_order': {
+    case 'change_address': {
       let email = context.email;
 
+      if (!email && entities.email) {
+        email = entities.email;
+        memory.remember('email', email);
+        console.log(`📧 Extracted and saved email: ${email}`);
+      }
+
       if (!email) {
         return {
           needsInfo: true,
           fieldNeeded: "email",
-          question: "📧 What's your email for the return?",
+          question: "📧 What's the email you placed the order with?",
           inputType: "email"
         };
       }
 
+      const verificationQuestion = await requireVerifiedCustomer(email, entities, memory, graphqlCall);
+      if (verificationQuestion) {
+        return verificationQuestion;
+      }
+
+      const { order, result } = await resolveCustomerOrder(email, entities, context, graphqlCall, {
+        prompt: "Which order's shipping address would you like to change?",
+        noOrdersMessage: `No orders found for ${email}.`
+      });
+      if (result) {
+        return result;
+      }
+
+      memory.remember('selectedOrder', { id: order.id, name: order.name });
+
+      // ✅ POLICY
+      const policy = orderChanges.getAddressChangePolicy(businessDatabase.get(memory.businessId));
+      const eligibility = orderChanges.checkAddressChange(order, policy);
+
+      if (!eligibility.allowed) {
+        return buildOrderChangeBlockedResult(order, "changed", eligibility, policy);
+      }
+
+      // ✅ NEW ADDRESS
+      const currentAddress = order.shipping_address;
+      const askForAddress = intro => ({
+        needsInfo: true,
+        fieldNeeded: "shippingAddress",
+        question: `${intro}\n\nPlease send the new address on one line: street, city, state/province, ZIP/postcode` +
+          (policy.sameCountryOnly ? '.' : ' (and country if it\'s changing).'),
+        suggestions: ["Cancel"]
+      });
+
+      if (!entities.shippingAddress) {
+        return askForAddress(`🏠 Order ${order.name} is going to:\n${orderChanges.formatAddress(currentAddress)}`);
+      }
+
+      const newAddress = orderChanges.parseAddress(entities.shippingAddress, currentAddress);
+      if (!newAddress) {
+        return askForAddress("🏠 I couldn't read that as an address.");
+      }
+
+      if (policy.sameCountryOnly && !orderChanges.isSameCountry(newAddress, currentAddress)) {
+        return askForAddress(`🌍 This store can only change the address within ${currentAddress.country || currentAddress.countryCodeV2}.`);
+      }
+
+      // ✅ CONFIRM
+      if (!entities.confirmation) {
+        return buildConfirmationQuestion(
+          `🏠 **Ship Order ${order.name} to:**\n${orderChanges.formatAddress(newAddress)}\n\nReply "yes" to update the address or "no" to keep the current one.`,
+          ["Yes, Update It", "No, Keep It"]
+        );
+      }
+
+      if (entities.confirmation !== 'yes') {
+        return {
+          message: `👍 The address for order ${order.name} hasn't been changed.`,
+          suggestions: ["Track Order", "Help"]
+        };
+      }
+
+      // ✅ UPDATE
+      const updated = await graphqlCall(shopifyGraphql.updateOrderShippingAddress, order.id, orderChanges.toMailingAddressInput(newAddress));
+      console.log(`🏠 Shipping address updated for ${order.name}`);
+
+      return {
+        message: `✅ **Address Updated**\n\nOrder ${order.name} will now ship to:\n${orderChanges.formatAddress(updated.shipping_address || newAddress)}`,
+        suggestions: ["Track Order", "Help"]
+      };
+    }
+
+    case 'product_info': {
+      // Which product: a typed ID, one named in the message, the one asked
+      // about last, or the one last added to the cart
+      let product = null;
+
+      if (entities.variantId) {
+        const match = await productCatalog.findProductByVariantId(memory.businessId, entities.variantId);
+        product = match?.product || await productCatalog.getProduct(memory.businessId, entities.variantId);
+      } else {
+        const productWords = productQa.getProductWords(entities.remainder);
+        if (productWords.length > 2) {
+          const [bestMatch] = await productCatalog.searchCatalog(memory.businessId, productWords, { limit: 1 });
+          product = bestMatch?.product || null;
+        }
+      }
+
+      if (!product && context.lastAskedProductId) {
+        product = await productCatalog.getProduct(memory.businessId, context.lastAskedProductId);
+      }
+
+      if (!product && context.lastAddedVariant) {
+        product = (await productCatalog.findProductByVariantId(memory.businessId, context.lastAddedVariant))?.product || null;
+      }
+
+      // Added before the catalog was cached - find it by name instead
+      if (!product && context.lastAddedProduct) {
+        const [bestMatch] = await productCatalog.searchCatalog(memory.businessId, context.lastAddedProduct, { limit: 1 });
+        product = bestMatch?.product || null;
+      }
+
+      // "how much is shipping" - nothing on a product page to answer it from
+      if (!product && productQa.detectTopic(userMessage) === 'shipping') {
+        return {
+          message: "🚚 Shipping costs and delivery times depend on where your order is going - checkout shows them once you enter your address.\n\nAsk about a specific product (e.g. \"does the red mug ship internationally\") and I'll check its page for shipping notes.",
+          suggestions: ["Browse Deals", "View Cart", "Help"]
+        };
+      }
+
+      if (!product) {
+        return {
+          message: "ℹ️ Which product would you like to know about? Tell me its name (e.g. \"tell me about the red mug\").",
+          suggestions: ["Browse Deals", "Help"]
+        };
+      }
+
+      // Metafields aren't cached - answer from the description and tags if they can't be read
+      let metafields = [];
+      try {
+        metafields = await graphqlCall(shopifyGraphql.getProductMetafields, product.id);
+      } catch (error) {
+        console.error(`❌ Could not load metafields for ${product.title}: ${error.message}`);
+      }
+
+      const answer = productQa.answerQuestion(product, userMessage, metafields);
+      const productUrl = product.online_store_url || `https://${shopDomain}/products/${product.handle}`;
+      console.log(`ℹ️ Product Q&A: ${product.title} (topic ${answer.topic || 'none'}, ${answer.passages.length} passage(s))`);
+
+      let message = `ℹ️ **${product.title}**\n\n`;
+
+      if (answer.passages.length > 0) {
+        message += answer.passages.map(passage => `• ${passage}`).join('\n');
+      } else if (answer.topic === 'options') {
+        message += `It comes in one style only.`;
+      } else if (answer.overview) {
+        message += `There's no description for this product yet.`;
+      } else {
+        message += `I couldn't find that on the product page${answer.topic ? ` - it doesn't mention ${answer.topic}` : ''}. The store can help with anything not covered there.`;
+      }
+
+      message += `\n\n🔗 From the product page: ${productUrl}`;
+
+      const business = businessDatabase.get(memory.businessId);
+      const variant = product.variants?.find(inventory.isInStock) || product.variants?.[0];
+
       return {
-        message: `🔄 **Return Process**\n\nWe'll help you process your return.\n\n1️⃣ Please describe the issue\n2️⃣ We'll verify your order\n3️⃣ Send return label\n4️⃣ Process refund\n\nWhat's the issue with your order?`,
-        suggestions: ["Damaged", "Wrong Item", "Not As Described", "Cancel"]
+        message,
+        cards: variant
+          ? [buildProductCard(product, variant, {
+            shopDomain,
+            currency: business?.currency || "USD",
+            inventorySettings: inventory.getInventorySettings(business)
+          })]
+          : [],
+        productIds: [product.id],
+        remember: true,
+        data: {
+          lastAskedProductId: product.id
+        },
+        suggestions: ["Browse Deals", "View Cart", "Help"]
       };
     }
 
@@ -708,9 +2723,13 @@ async function executeAction(intent, userMessage, context, shopDomain, adminToke
         `💬 You can:\n` +
         `• 🛍️ Browse deals\n` +
         `• 📦 Track orders\n` +
-        `• 🛒 Add to cart\n` +
+        `• 🛒 Add to cart and manage your cart\n` +
+        `• ℹ️ Answer questions about a product\n` +
+        `• 🔔 Get an email when something is back in stock\n` +
+        `• 🏷️ Apply discount codes\n` +
         `• 💳 Buy now\n` +
-        `• 🔄 Return items`;
+        `• 🔄 Return items\n` +
+        `• ✏️ Cancel an order or change its address`;
 
       return {
         message: message,
@@ -751,6 +2770,9 @@ function buildSalesIQResponse(actionResult) {
           input: {
             type: actionResult.inputType
           }
+        }),
+        ...(actionResult.suggestions && {
+          suggestions: actionResult.suggestions
         })
       }
     ];
@@ -787,36 +2809,117 @@ function buildSalesIQResponse(actionResult) {
     }
   }
 
-  console.log('📤 FINAL RESPONSE:', JSON.stringify(response, null, 2));
-  return response;
+  console.log('📤 FINAL RESPONSE:', JSON.stringify(response, null, 2));
+  return response;
+}
+
+// =====================================================
+// OAUTH ERROR PAGES
+// =====================================================
+
+// One page per reason a callback can be rejected before the code exchange
+const OAUTH_CALLBACK_REJECTIONS = {
+  invalid_shop: {
+    status: 400,
+    icon: "🏪",
+    title: "Invalid Store Domain",
+    message: "The callback did not come from a valid *.myshopify.com store."
+  },
+  invalid_hmac: {
+    status: 403,
+    icon: "🔏",
+    title: "Signature Check Failed",
+    message: "This request was not signed by Shopify, or its parameters were modified."
+  },
+  invalid_state: {
+    status: 403,
+    icon: "🔑",
+    title: "Unknown Connection Request",
+    message: "We couldn't match this callback to a connection you started."
+  },
+  state_expired: {
+    status: 403,
+    icon: "⏰",
+    title: "Connection Request Expired",
+    message: "This connection request is more than 10 minutes old."
+  },
+  shop_mismatch: {
+    status: 403,
+    icon: "🔀",
+    title: "Store Mismatch",
+    message: "The store that answered is not the store you started connecting."
+  },
+  missing_code: {
+    status: 400,
+    icon: "❓",
+    title: "Authorization Code Missing",
+    message: "Shopify did not return an authorization code."
+  }
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderOAuthErrorPage({ icon = "❌", title, message }) {
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+      </head>
+      <body class="bg-gradient-to-br from-red-50 to-orange-50 min-h-screen flex items-center justify-center">
+        <div class="bg-white rounded-2xl shadow-2xl p-12 text-center max-w-xl">
+          <div class="text-6xl mb-6">${icon}</div>
+          <h1 class="text-3xl font-bold text-gray-800 mb-4">${escapeHtml(title)}</h1>
+          <p class="text-gray-600 mb-6">${escapeHtml(message)}</p>
+          <p class="text-sm text-gray-500 mb-6">Please start the connection again from the installer.</p>
+          <a href="${BASE_URL}/bot-installer" class="inline-block bg-blue-500 hover:bg-blue-600 text-white px-8 py-3 rounded-lg font-semibold">Try Again</a>
+        </div>
+      </body>
+      </html>
+    `;
 }
 
 // =====================================================
 // OAUTH ROUTES - FIXED
 // =====================================================
 
-app.get("/api/shopify/auth/start", (req, res) => {
-  const shop = req.query.shop;
+app.get("/api/shopify/auth/start", async (req, res) => {
+  const shop = typeof req.query.shop === 'string' ? req.query.shop.trim().toLowerCase() : null;
 
   if (!shop) {
     return res.status(400).json({ error: "Shop parameter required" });
   }
 
+  if (!shopifyAuth.isValidShopDomain(shop)) {
+    return res.status(400).json({ error: "Invalid shop domain - expected your-store.myshopify.com" });
+  }
+
   if (!SHOPIFY_API_KEY) {
     return res.status(500).json({
       error: "Server configuration error: SHOPIFY_API_KEY not set"
     });
   }
 
-  const state = Math.random().toString(36).substring(2, 15) +
-    Math.random().toString(36).substring(2, 15);
+  const state = crypto.randomBytes(16).toString('hex');
 
-  oauthStates.set(state, { shop, timestamp: Date.now() });
+  try {
+    await persistence.saveOAuthState(state, shop, OAUTH_STATE_TTL_MS);
+  } catch (error) {
+    return res.status(500).json({ error: "Could not start OAuth - please try again" });
+  }
 
   const redirectUri = `${BASE_URL}/api/shopify/auth/callback`;
   const authUrl = `https://${shop}/admin/oauth/authorize?` +
     `client_id=${SHOPIFY_API_KEY}&` +
-    `scope=read_products,write_products,read_orders,write_orders,read_draft_orders,write_draft_orders,read_customers,write_customers&` +
+    `scope=${SHOPIFY_SCOPES.join(',')}&` +
     `redirect_uri=${encodeURIComponent(redirectUri)}&` +
     `state=${state}`;
 
@@ -832,24 +2935,28 @@ app.get("/api/shopify/auth/callback", async (req, res) => {
 
     console.log('📥 OAuth callback received:', { shop, hasCode: !!code, hasState: !!state });
 
-    if (!oauthStates.has(state)) {
-      console.error('❌ Invalid state parameter');
-      return res.status(403).send("Invalid state parameter - please try connecting again");
+    if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET) {
+      console.error('❌ Missing OAuth credentials');
+      return res.status(500).send("Server configuration error: OAuth credentials not configured");
     }
 
-    const stateData = oauthStates.get(state);
+    // States are single-use: consuming deletes it whether or not the callback verifies
+    const stateData = typeof state === 'string' ? await persistence.consumeOAuthState(state) : null;
 
-    if (Date.now() - stateData.timestamp > 600000) {
-      oauthStates.delete(state);
-      console.error('❌ State expired');
-      return res.status(403).send("State expired - please try connecting again");
-    }
+    const verification = shopifyAuth.verifyOAuthCallback(req.query, stateData, {
+      secret: SHOPIFY_API_SECRET,
+      maxAgeMs: OAUTH_STATE_TTL_MS
+    });
 
-    oauthStates.delete(state);
+    if (!verification.ok) {
+      const rejection = OAUTH_CALLBACK_REJECTIONS[verification.reason];
+      console.error(`❌ OAuth callback rejected: ${verification.reason}`, { shop });
+      return res.status(rejection.status).send(renderOAuthErrorPage(rejection));
+    }
 
-    if (!SHOPIFY_API_KEY || !SHOPIFY_API_SECRET) {
-      console.error('❌ Missing OAuth credentials');
-      return res.status(500).send("Server configuration error: OAuth credentials not configured");
+    if (!code) {
+      console.error('❌ OAuth callback missing code');
+      return res.status(400).send(renderOAuthErrorPage(OAUTH_CALLBACK_REJECTIONS.missing_code));
     }
 
     const tokenUrl = `https://${shop}/admin/oauth/access_token`;
@@ -872,27 +2979,28 @@ app.get("/api/shopify/auth/callback", async (req, res) => {
     }
 
     const tokenData = await tokenResponse.json();
-    // const accessToken = tokenData.access_token;
-    const accessToken = process.env.ADMIN_TOKEN_KEY;
-
+    const accessToken = tokenData.access_token;
 
     if (!accessToken) {
       throw new Error("Failed to get access token");
     }
 
+    const grantedScopes = shopifyAuth.parseScopes(tokenData.scope);
+    const missingScopes = shopifyAuth.getMissingScopes(grantedScopes, SHOPIFY_SCOPES);
+
     console.log('✅ Access token obtained successfully');
+    console.log(`🔐 Granted scopes: ${grantedScopes.join(', ') || 'none'}`);
+    if (missingScopes.length > 0) {
+      console.warn(`⚠️ Scopes not granted: ${missingScopes.join(', ')}`);
+    }
 
-    const shopDetailsUrl = `https://${shop}/admin/api/${API_VERSION}/shop.json`;
-    const shopResponse = await fetch(shopDetailsUrl, {
-      headers: {
-        "X-Shopify-Access-Token": accessToken,
-        "Content-Type": "application/json"
-      }
+    let shopDetails = {};
+    const shopData = await shopifyApiCall(shop, accessToken, "/shop.json").catch(error => {
+      console.log('⚠️ Could not fetch shop details:', error.message);
+      return null;
     });
 
-    let shopDetails = {};
-    if (shopResponse.ok) {
-      const shopData = await shopResponse.json();
+    if (shopData) {
       shopDetails = {
         shopName: shopData.shop?.name || shop,
         shopEmail: shopData.shop?.email || "",
@@ -901,43 +3009,47 @@ app.get("/api/shopify/auth/callback", async (req, res) => {
       };
     }
 
-    const businessId = generateBusinessId();
-    console.log('🆔 Generated businessId:', businessId);
+    // Reconnecting keeps the businessId, so the SalesIQ webhook URL and
+    // conversation history stay valid
+    const existingBusiness = await findExistingBusiness(shop);
+    const isReconnect = !!existingBusiness;
+    const businessId = existingBusiness?.businessId || generateBusinessId();
+    const now = new Date().toISOString();
+
+    console.log(isReconnect
+      ? `🔁 Reconnecting existing businessId: ${businessId}`
+      : `🆔 Generated businessId: ${businessId}`);
 
-    // FIXED: Properly awaited save
     const businessData = {
+      ...existingBusiness,
       businessId: businessId,
       shopDomain: shop,
-      shopName: shopDetails.shopName,
-      shopEmail: shopDetails.shopEmail,
+      shopName: shopDetails.shopName || existingBusiness?.shopName || shop,
+      shopEmail: shopDetails.shopEmail ?? existingBusiness?.shopEmail ?? "",
       adminToken: accessToken,
       refreshToken: tokenData.refresh_token || null,
+      scopes: grantedScopes.join(','),
       expiresAt: Date.now() + ((tokenData.expires_in || 3600) * 1000),
-      connectedAt: new Date().toISOString(),
+      connectedAt: existingBusiness?.connectedAt || now,
+      lastReconnected: isReconnect ? now : null,
       status: "active",
-      currency: shopDetails.currency,
-      timezone: shopDetails.timezone,
-      webhookUrl: `${BASE_URL}/api/zobot/${businessId}`
+      currency: shopDetails.currency || existingBusiness?.currency,
+      timezone: shopDetails.timezone || existingBusiness?.timezone,
+      webhookUrl: existingBusiness?.webhookUrl || `${BASE_URL}/api/zobot/${businessId}`
     };
 
     await saveBusinessData(businessData);
     shopToBusinessMap.set(shop, businessId);
 
-    const productsUrl = `https://${shop}/admin/api/${API_VERSION}/products.json?limit=1`;
+    await registerShopifyWebhooks(shop, accessToken);
+
+    // Build the product cache now so the bot answers from it on the first chat
     let productCount = 0;
     try {
-      const productsResponse = await fetch(productsUrl, {
-        headers: {
-          "X-Shopify-Access-Token": accessToken,
-          "Content-Type": "application/json"
-        }
-      });
-      if (productsResponse.ok) {
-        const productsData = await productsResponse.json();
-        productCount = productsData.products?.length || 0;
-      }
+      productCount = await productCatalog.syncCatalog({ businessId, shopDomain: shop, adminToken: accessToken }, { full: true });
     } catch (err) {
-      console.log('⚠️ Could not fetch product count:', err.message);
+      console.log('⚠️ Could not build product catalog:', err.message);
+      productCount = await shopifyGraphql.getProductsCount(shop, accessToken).catch(() => 0);
     }
 
     console.log('✅ Business successfully configured!');
@@ -953,8 +3065,8 @@ app.get("/api/shopify/auth/callback", async (req, res) => {
         <div class="bg-white rounded-2xl shadow-2xl overflow-hidden max-w-2xl w-full">
           <div class="bg-gradient-to-r from-green-500 to-green-600 p-8 text-center">
             <div class="text-6xl mb-4">✅</div>
-            <h1 class="text-4xl font-bold text-white mb-2">Bot is Ready!</h1>
-            <p class="text-green-100">Your store is connected and configured</p>
+            <h1 class="text-4xl font-bold text-white mb-2">${isReconnect ? 'Store Reconnected!' : 'Bot is Ready!'}</h1>
+            <p class="text-green-100">${isReconnect ? 'Your existing bot keeps its webhook URL and conversation history' : 'Your store is connected and configured'}</p>
           </div>
           <div class="p-8">
             <div class="bg-gray-50 rounded-lg p-6 mb-6">
@@ -968,6 +3080,10 @@ app.get("/api/shopify/auth/callback", async (req, res) => {
                   <span class="text-gray-600">Domain:</span>
                   <span class="font-semibold text-gray-800">${shop}</span>
                 </div>
+                <div class="flex justify-between">
+                  <span class="text-gray-600">Products:</span>
+                  <span class="font-semibold text-gray-800">${productCount}</span>
+                </div>
                 <div class="flex justify-between">
                   <span class="text-gray-600">Status:</span>
                   <span class="font-semibold text-green-600">✓ Active</span>
@@ -1017,23 +3133,10 @@ app.get("/api/shopify/auth/callback", async (req, res) => {
 
   } catch (error) {
     console.error('❌ OAuth callback error:', error);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Connection Failed</title>
-        <script src="https://cdn.tailwindcss.com"></script>
-      </head>
-      <body class="bg-gradient-to-br from-red-50 to-orange-50 min-h-screen flex items-center justify-center">
-        <div class="bg-white rounded-2xl shadow-2xl p-12 text-center max-w-xl">
-          <div class="text-6xl mb-6">❌</div>
-          <h1 class="text-3xl font-bold text-gray-800 mb-4">Connection Failed</h1>
-          <p class="text-gray-600 mb-6">${error.message}</p>
-          <button onclick="window.history.back()" class="bg-blue-500 hover:bg-blue-600 text-white px-8 py-3 rounded-lg font-semibold">Try Again</button>
-        </div>
-      </body>
-      </html>
-    `);
+    res.status(500).send(renderOAuthErrorPage({
+      title: "Connection Failed",
+      message: error.message
+    }));
   }
 });
 
@@ -1064,6 +3167,11 @@ app.post("/api/zobot/:businessId", async (req, res) => {
 
     console.log(`✅ Business found: ${business.shopName}`);
 
+    const offeredScopeGaps = getMissingScopesByIntent(business);
+    if (offeredScopeGaps.size > 0) {
+      console.warn(`🔐 Store needs re-authorization for: ${Array.from(offeredScopeGaps.keys()).join(', ')}`);
+    }
+
     const { adminToken, shopDomain } = business;
 
     // ✅ EXTRACT MESSAGE
@@ -1082,6 +3190,12 @@ app.post("/api/zobot/:businessId", async (req, res) => {
       visitor = req.body.visitor || {};
       console.log(`✅ Format 2: Root level text found`);
     }
+    else if (req.body?.handler === 'context') {
+      // Answer to a context question we asked (see dialogue-manager.js)
+      messageText = dialogueManager.readContextAnswer(req.body);
+      visitor = req.body.visitor || {};
+      console.log(`✅ Format 3: Context answer found`);
+    }
 
     if (!messageText || messageText.trim() === '') {
       console.error(`❌ No message text found`);
@@ -1125,7 +3239,7 @@ app.post("/api/zobot/:businessId", async (req, res) => {
       console.log(`👤 Auto-saved visitor name: ${visitor.name}`);
     }
     // GET CONTEXT FROM MEMORY
-    const context = memory.getContext();
+    let context = memory.getContext();
 
     console.log(`\n📋 CONTEXT`);
     console.log(`   Email: ${context.email || 'Not set'}`);
@@ -1137,27 +3251,17 @@ app.post("/api/zobot/:businessId", async (req, res) => {
     console.log('\n🔘 Checking for button click...');
     console.log('Request body keys:', Object.keys(req.body));
 
-    if (req.body?.button_clicked) {
+    // SalesIQ sends card buttons as button_clicked, or invoke_function in some versions
+    const clickedButton = req.body?.button_clicked || req.body?.invoke_function;
+
+    if (clickedButton) {
       console.log('🔘 Button clicked detected!');
-      console.log('   Button data:', JSON.stringify(req.body.button_clicked, null, 2));
-
-      // If it's add_to_cart button from product cards
-      if (req.body.button_clicked.key === 'add_to_cart') {
-        const variantId = req.body.button_clicked.value;
-        console.log(`🛒 Card button: Adding variant ${variantId} to cart`);
-        // Override message to trigger add_cart intent
-        messageText = `add ${variantId} to cart`;
-        console.log(`📝 Message overridden to: "${messageText}"`);
-      }
-    } else if (req.body?.invoke_function) {
-      // Alternative format some SalesIQ versions use
-      console.log('🔘 Invoke function detected!');
-      console.log('   Function data:', JSON.stringify(req.body.invoke_function, null, 2));
+      console.log('   Button data:', JSON.stringify(clickedButton, null, 2));
 
-      if (req.body.invoke_function.key === 'add_to_cart') {
-        const variantId = req.body.invoke_function.value;
-        console.log(`🛒 Function call: Adding variant ${variantId} to cart`);
-        messageText = `add ${variantId} to cart`;
+      // Turn the button into the message that would have triggered it
+      const toMessage = CARD_BUTTON_MESSAGES[clickedButton.key];
+      if (toMessage) {
+        messageText = toMessage(clickedButton.value);
         console.log(`📝 Message overridden to: "${messageText}"`);
       }
     } else {
@@ -1165,28 +3269,93 @@ app.post("/api/zobot/:businessId", async (req, res) => {
     }
     // 🆕 ===== END OF NEW SECTION =====
 
-    // ✅ DETECT INTENT
-    console.log(`\n🧠 INTENT DETECTION`);
-    const { intent, confidence } = await detectIntent(messageText);
+    // ✅ ANSWER TO A PENDING QUESTION?
+    let intent, confidence, entities;
+    let actionMessage = messageText;
 
-    console.log(`   Intent: ${intent}`);
-    console.log(`   Confidence: ${(confidence * 100).toFixed(1)}%`);
+    const dialogueOutcome = await handlePendingDialogue(memory, req.body, messageText);
+
+    if (dialogueOutcome?.reply) {
+      const actionResult = dialogueOutcome.reply;
+      memory.addMessage('user', messageText);
+      memory.addMessage('bot', actionResult.message || actionResult.question);
+      await memory.saveToFile();
+
+      return res.json(buildSalesIQResponse(actionResult));
+    }
 
-    memory.addMessage('user', messageText, { intent });
+    if (dialogueOutcome?.resumed) {
+      // Run the original request again with the slot filled in
+      ({ intent, entities, userMessage: actionMessage } = dialogueOutcome.resumed);
+      confidence = 1;
+      context = memory.getContext();
+
+      memory.addMessage('user', messageText, { intent, slot: dialogueOutcome.resumed.slot });
+    } else {
+      // ✅ DETECT INTENT
+      console.log(`\n🧠 INTENT DETECTION`);
+      const detected = await detectIntent(messageText);
+      ({ intent, confidence } = detected);
+
+      console.log(`   Intent: ${intent}`);
+      console.log(`   Confidence: ${(confidence * 100).toFixed(1)}%`);
+      if (detected.alternatives.length > 1) {
+        console.log(`   Runner-up: ${detected.alternatives[1].intent} (${(detected.alternatives[1].confidence * 100).toFixed(1)}%)`);
+      }
+
+      // ✅ EXTRACT ENTITIES (once per turn, shared by every action)
+      const productOptions = await productCatalog.getOptionValues(businessId);
+      entities = entityExtractor.extractEntities(messageText, { productOptions });
+      console.log(`   Entities: ${entityExtractor.describeEntities(entities)}`);
+
+      memory.addMessage('user', messageText, { intent, confidence });
+
+      // ✅ ASK WHEN TWO INTENTS ARE TOO CLOSE TO CALL
+      if (detected.needsClarification) {
+        console.log(`   🤔 Too close to call - asking the customer`);
+
+        const actionResult = buildClarificationResult(detected.alternatives);
+        memory.addMessage('bot', actionResult.message);
+        await memory.saveToFile();
+
+        return res.json(buildSalesIQResponse(actionResult));
+      }
+    }
+
+    // ✅ CHECK THE STORE GRANTED WHAT THIS ACTION NEEDS
+    const missingScopes = shopifyAuth.getMissingScopes(business.scopes, INTENT_REQUIRED_SCOPES[intent]);
+
+    if (missingScopes.length > 0) {
+      console.warn(`🔐 Missing scopes for ${intent}: ${missingScopes.join(', ')}`);
+
+      const actionResult = buildReauthorizeResult(intent, missingScopes);
+      memory.addMessage('bot', actionResult.message);
+      await memory.saveToFile();
+
+      return res.json(buildSalesIQResponse(actionResult));
+    }
 
     // ✅ EXECUTE ACTION (pass memory too!)
     console.log(`\n⚙️ EXECUTING ACTION`);
     console.log(`   Shop: ${shopDomain}`);
     console.log(`   Intent: ${intent}`);
 
-    const actionResult = await executeAction(
-      intent,
-      messageText,
-      context,
-      shopDomain,
-      adminToken,
-      memory  // 🆕 Pass memory object
-    );
+    let actionResult;
+    try {
+      actionResult = await executeAction(
+        intent,
+        entities,
+        actionMessage,
+        context,
+        shopDomain,
+        adminToken,
+        memory  // 🆕 Pass memory object
+      );
+    } catch (error) {
+      actionResult = buildShopifyErrorResult(error);
+      if (!actionResult) throw error;
+      console.warn(`⚠️ Shopify error during ${intent}: ${error.name} (${error.status})`);
+    }
 
     if (!actionResult) {
       throw new Error('Action execution returned null');
@@ -1201,7 +3370,24 @@ app.post("/api/zobot/:businessId", async (req, res) => {
     console.log(`   Replies: ${response.replies?.length || 0}`);
 
     // ✅ SAVE EVERYTHING TO MEMORY
-    memory.addMessage('bot', actionResult.message);
+    memory.addMessage('bot', actionResult.message || actionResult.question);
+
+    // Asked for something - the next message resumes this intent
+    if (actionResult.needsInfo || actionResult.expects) {
+      memory.setPendingDialogue(dialogueManager.createPendingDialogue({
+        intent,
+        entities,
+        userMessage: actionMessage,
+        actionResult
+      }));
+      console.log(`   🧩 Waiting for ${actionResult.fieldNeeded || actionResult.expects.slot} to resume ${intent}`);
+    }
+
+    // Finished actions go into the history; products they touched become
+    // recommendation seeds
+    if (!actionResult.needsInfo && !actionResult.expects) {
+      memory.recordAction(intent, actionResult.productIds);
+    }
 
     if (actionResult.remember && actionResult.data) {
       // Save each field from data to context
@@ -1238,6 +3424,213 @@ app.post("/api/zobot/:businessId", async (req, res) => {
 });
 
 
+// =====================================================
+// SHOPIFY WEBHOOKS (uninstall + GDPR compliance)
+// =====================================================
+
+const SHOPIFY_WEBHOOK_ADDRESS = `${BASE_URL}/api/shopify/webhooks`;
+
+// Topics subscribed through the API after OAuth. The mandatory compliance
+// topics (customers/data_request, customers/redact, shop/redact) can't be
+// subscribed this way - point them at the same address in the app settings.
+const REGISTERED_WEBHOOK_TOPICS = [
+  "app/uninstalled",
+  "products/create",
+  "products/update",
+  "products/delete",
+  "inventory_levels/update"
+];
+
+async function registerShopifyWebhooks(shopDomain, adminToken) {
+  for (const topic of REGISTERED_WEBHOOK_TOPICS) {
+    try {
+      await shopifyApiCall(shopDomain, adminToken, "/webhooks.json", "POST", {
+        webhook: { topic, address: SHOPIFY_WEBHOOK_ADDRESS, format: "json" }
+      });
+      console.log(`🔔 Webhook registered: ${topic}`);
+    } catch (error) {
+      // Shopify answers 422 when the subscription already exists
+      if (!(error instanceof shopifyClient.ShopifyValidationError)) {
+        console.error(`❌ Could not register webhook ${topic}: ${error.message}`);
+        continue;
+      }
+      console.log(`ℹ️ Webhook already registered: ${topic}`);
+    }
+  }
+}
+
+// Drop a business and every session it owns from the in-memory maps
+function evictBusiness(businessId, shopDomain) {
+  businessDatabase.delete(businessId);
+  productCatalog.evictCatalog(businessId);
+  recommendations.evictStats(businessId);
+
+  if (shopDomain && shopToBusinessMap.get(shopDomain) === businessId) {
+    shopToBusinessMap.delete(shopDomain);
+  }
+
+  for (const key of userSessions.keys()) {
+    if (key.startsWith(`${businessId}_`)) {
+      userSessions.delete(key);
+    }
+  }
+}
+
+function evictCustomerSessions(businessId, userIds) {
+  for (const userId of userIds) {
+    userSessions.delete(`${businessId}_${userId}`);
+  }
+}
+
+async function findBusinessIdForShop(shopDomain) {
+  const business = await findExistingBusiness(shopDomain);
+  return business?.businessId || null;
+}
+
+const SHOPIFY_WEBHOOK_HANDLERS = {
+  "app/uninstalled": async (businessId, shopDomain) => {
+    await persistence.deactivateBusiness(businessId);
+    evictBusiness(businessId, shopDomain);
+    console.log(`👋 App uninstalled: ${shopDomain} (${businessId}) deactivated, tokens cleared`);
+    return { status: 'inactive' };
+  },
+
+  "customers/data_request": async (businessId, shopDomain, payload) => {
+    const email = payload.customer?.email;
+    const conversations = email
+      ? await persistence.exportCustomerConversations(businessId, email)
+      : [];
+
+    const returnRecords = email
+      ? await persistence.loadReturnRecords(businessId, email)
+      : [];
+
+    const restockSubscriptions = email
+      ? await persistence.loadCustomerRestockSubscriptions(businessId, email)
+      : [];
+
+    console.log(`📤 Data request ${payload.data_request?.id || ''} for ${shopDomain}: ${conversations.length} conversation(s), ${returnRecords.length} return(s), ${restockSubscriptions.length} restock alert(s)`);
+    return {
+      dataRequestId: payload.data_request?.id || null,
+      customer: payload.customer || null,
+      conversations,
+      returns: returnRecords,
+      restockSubscriptions
+    };
+  },
+
+  "customers/redact": async (businessId, shopDomain, payload) => {
+    const email = payload.customer?.email;
+    const userIds = email
+      ? await persistence.deleteCustomerConversations(businessId, email)
+      : [];
+    if (email) {
+      await persistence.deleteCustomerReturns(businessId, email);
+      await persistence.deleteCustomerRestockSubscriptions(businessId, email);
+      await persistence.deleteVerificationFailures(businessId, email);
+    }
+
+    evictCustomerSessions(businessId, userIds);
+    console.log(`🧹 Customer redacted for ${shopDomain}: ${userIds.length} conversation(s) deleted`);
+    return { deleted: userIds.length };
+  },
+
+  "shop/redact": async (businessId, shopDomain) => {
+    await persistence.deleteAllConversations(businessId);
+    await persistence.deleteAllProducts(businessId);
+    await persistence.deleteAllReturns(businessId);
+    await persistence.deleteAllRestockSubscriptions(businessId);
+    await persistence.deleteAllVerificationFailures(businessId);
+    await persistence.deleteBusinessData(businessId);
+    evictBusiness(businessId, shopDomain);
+    console.log(`🧹 Shop redacted: ${shopDomain} (${businessId})`);
+    return { deleted: true };
+  },
+
+  "products/create": async (businessId, shopDomain, payload) => {
+    await productCatalog.upsertProduct(businessId, productCatalog.normalizeWebhookProduct(payload));
+    return { productId: payload.id };
+  },
+
+  "products/update": async (businessId, shopDomain, payload) => {
+    await productCatalog.upsertProduct(businessId, productCatalog.normalizeWebhookProduct(payload));
+    return { productId: payload.id };
+  },
+
+  "products/delete": async (businessId, shopDomain, payload) => {
+    await productCatalog.removeProduct(businessId, payload.id);
+    return { productId: payload.id };
+  },
+
+  // Stock changed at one location - refresh the product for its total
+  // across locations, then email anyone waiting if the variant is sellable
+  "inventory_levels/update": async (businessId, shopDomain, payload) => {
+    const cached = await productCatalog.findProductByInventoryItemId(businessId, payload.inventory_item_id);
+    if (!cached) {
+      return { inventoryItemId: payload.inventory_item_id, productFound: false };
+    }
+
+    const business = await getBusinessData(businessId);
+    const product = await productCatalog.refreshProduct(business, cached.product.id);
+    const variant = product?.variants?.find(v => String(v.id) === String(cached.variant.id));
+
+    const notified = variant && inventory.isInStock(variant)
+      ? await notifyRestockSubscribers(business, product, variant)
+      : 0;
+
+    return { productId: cached.product.id, variantId: cached.variant.id, notified };
+  }
+};
+
+// Periodic catch-up for webhooks that never arrived
+async function reconcileAllCatalogs() {
+  for (const businessId of Array.from(businessDatabase.keys())) {
+    try {
+      const business = await getBusinessData(businessId);
+      if (business) {
+        await productCatalog.reconcileCatalog(business);
+      }
+    } catch (error) {
+      console.error(`❌ Catalog reconcile failed for ${businessId}: ${error.message}`);
+    }
+  }
+}
+
+app.post("/api/shopify/webhooks", async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const shopDomain = req.get('X-Shopify-Shop-Domain') || req.body?.shop_domain;
+
+  if (!shopifyAuth.verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), SHOPIFY_API_SECRET)) {
+    console.error(`❌ Shopify webhook rejected (bad HMAC): ${topic} from ${shopDomain}`);
+    return res.status(401).json({ error: "Invalid webhook signature" });
+  }
+
+  console.log(`🔔 Shopify webhook: ${topic} from ${shopDomain}`);
+
+  const handler = SHOPIFY_WEBHOOK_HANDLERS[topic];
+  if (!handler) {
+    console.log(`ℹ️ Ignoring unhandled webhook topic: ${topic}`);
+    return res.status(200).json({ ignored: true });
+  }
+
+  try {
+    const businessId = await findBusinessIdForShop(shopDomain);
+
+    if (!businessId) {
+      // Nothing stored for this shop - acknowledge so Shopify stops retrying
+      console.log(`ℹ️ No business for ${shopDomain}, nothing to do`);
+      return res.status(200).json({ ok: true, businessFound: false });
+    }
+
+    const result = await handler(businessId, shopDomain, req.body || {});
+    res.status(200).json({ ok: true, topic, ...result });
+  } catch (error) {
+    // Non-2xx makes Shopify retry the delivery
+    console.error(`❌ Error handling webhook ${topic} for ${shopDomain}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =====================================================
 // GET BUSINESS DATA ENDPOINT - FIXED
 // =====================================================
@@ -1252,6 +3645,8 @@ app.get("/api/business/:businessId", async (req, res) => {
       return res.status(404).json({ error: "Business not found" });
     }
 
+    const scopeGaps = getMissingScopesByIntent(business);
+
     res.json({
       businessId: business.businessId,
       shopName: business.shopName,
@@ -1262,14 +3657,27 @@ app.get("/api/business/:businessId", async (req, res) => {
       status: business.status,
       connectedAt: business.connectedAt,
       webhookUrl: business.webhookUrl,
+      scopes: shopifyAuth.parseScopes(business.scopes),
       features: [
-        { name: "Browse Deals", enabled: true },
-        { name: "Track Orders", enabled: true },
-        { name: "Add to Cart", enabled: true },
-        { name: "Buy Now", enabled: true },
-        { name: "Process Returns", enabled: true },
+        { name: "Browse Deals", enabled: !scopeGaps.has('browse_deals') },
+        { name: "Track Orders", enabled: !scopeGaps.has('track_order') },
+        { name: "Add to Cart", enabled: !scopeGaps.has('add_cart') },
+        { name: "Buy Now", enabled: !scopeGaps.has('buy_now') },
+        { name: "Process Returns", enabled: !scopeGaps.has('return_order') },
+        { name: "Cancel Orders", enabled: !scopeGaps.has('cancel_order') },
+        { name: "Change Shipping Address", enabled: !scopeGaps.has('change_address') },
+        { name: "Discount Codes", enabled: !scopeGaps.has('apply_discount') },
+        { name: "Back-in-Stock Alerts", enabled: !scopeGaps.has('notify_restock') },
         { name: "Memory Context", enabled: true }
-      ]
+      ],
+      settings: {
+        returnWindowDays: returns.getReturnWindowDays(business),
+        cancellation: orderChanges.getCancellationPolicy(business),
+        addressChange: orderChanges.getAddressChangePolicy(business),
+        discounts: discounts.getDiscountSettings(business),
+        inventory: inventory.getInventorySettings(business)
+      },
+      needsReauthorization: scopeGaps.size > 0
     });
 
   } catch (error) {
@@ -1285,7 +3693,7 @@ app.get("/api/business/:businessId", async (req, res) => {
 // Deals endpoint
 app.post("/salesiq-deals", async (req, res) => {
   try {
-    const firstBusiness = Array.from(businessDatabase.values())[0];
+    const firstBusiness = await getFirstBusiness();
 
     if (!firstBusiness) {
       return res.json({
@@ -1294,15 +3702,12 @@ app.post("/salesiq-deals", async (req, res) => {
       });
     }
 
-    // FIXED: Properly awaited
-    const data = await shopifyApiCall(
+    const { products } = await shopifyGraphql.getProducts(
       firstBusiness.shopDomain,
       firstBusiness.adminToken,
-      "/products.json?limit=10&sort=created_at:desc"
+      { first: 10, sortKey: "CREATED_AT", reverse: true }
     );
 
-    const products = data?.products || [];
-
     if (products.length === 0) {
       return res.json({
         cards: [],
@@ -1310,37 +3715,14 @@ app.post("/salesiq-deals", async (req, res) => {
       });
     }
 
-    const cards = products.slice(0, 10).map(p => {
-      const v = p.variants?.[0];
-      const price = v?.price || "N/A";
-      const compare = v?.compare_at_price;
-      const img = p.images?.[0]?.src || "";
-      const productUrl = `https://${firstBusiness.shopDomain}/products/${p.handle}`;
-
-      let subtitle = `$${price}`;
-      if (compare && parseFloat(compare) > parseFloat(price)) {
-        const discount = Math.round(((compare - price) / compare) * 100);
-        subtitle = `🔥 $${price} (Save ${discount}%)`;
-      }
-
-      return {
-        title: p.title,
-        subtitle: subtitle,
-        image: img,
-        buttons: [
-          {
-            label: "View More",
-            type: "url",
-            value: productUrl
-          },
-          {
-            label: "Add to Cart",
-            type: "text",
-            value: { variant_id: v?.id || "", price: price }
-          }
-        ]
-      };
-    });
+    const cards = products
+      .filter(product => product.variants?.length > 0)
+      .slice(0, 10)
+      .map(product => buildProductCard(product, product.variants[0], {
+        shopDomain: firstBusiness.shopDomain,
+        currency: firstBusiness.currency || "USD",
+        inventorySettings: inventory.getInventorySettings(firstBusiness)
+      }));
 
     return res.json({
       cards: cards,
@@ -1356,76 +3738,6 @@ app.post("/salesiq-deals", async (req, res) => {
   }
 });
 
-// Track order endpoint
-app.post("/salesiq-track-order", async (req, res) => {
-  try {
-    const payload = req.body;
-    const email = payload.session?.email?.value || payload.email;
-    // const email = "nmohammedfazil790@gmail.com";
-
-    if (!email) {
-      return res.json({
-        action: "reply",
-        replies: ["Please provide your email address to track your order."]
-      });
-    }
-
-    const firstBusiness = Array.from(businessDatabase.values())[0];
-
-    if (!firstBusiness) {
-      return res.json({
-        action: "reply",
-        replies: ["No store connected."]
-      });
-    }
-
-    // FIXED: Properly awaited
-    const data = await shopifyApiCall(
-      firstBusiness.shopDomain,
-      firstBusiness.adminToken,
-      `/orders.json?status=any&email=${encodeURIComponent(email)}&limit=5`
-    );
-
-    if (!data?.orders || data.orders.length === 0) {
-      return res.json({
-        action: "reply",
-        replies: [`No orders found for ${email}.`]
-      });
-    }
-
-    const latestOrder = data.orders[0];
-
-    const statusMessage = `📦 **Order #${latestOrder.name}**\n\n` +
-      `📅 Placed: ${new Date(latestOrder.created_at).toLocaleDateString()}\n` +
-      `💰 Total: ${latestOrder.total_price} ${latestOrder.currency}\n` +
-      `💳 Payment: ${latestOrder.financial_status}\n` +
-      `🚚 Status: ${latestOrder.fulfillment_status || 'Unfulfilled'}\n\n` +
-      `📋 Items: ${latestOrder.line_items.map(item => `${item.quantity}x ${item.name}`).join(', ')}`;
-
-    const buttons = [];
-    if (latestOrder.order_status_url) {
-      buttons.push({
-        label: "Track Shipment",
-        type: "url",
-        value: latestOrder.order_status_url
-      });
-    }
-
-    res.json({
-      action: "reply",
-      replies: [statusMessage],
-      buttons: buttons.length > 0 ? buttons : undefined
-    });
-
-  } catch (err) {
-    console.error("Error tracking order:", err);
-    res.json({
-      action: "reply",
-      replies: ["Error fetching your order details. Please try again."]
-    });
-  }
-});
-
 // Add to cart endpoint
 app.post("/salesiq-add-to-cart", async (req, res) => {
   try {
@@ -1444,7 +3756,7 @@ app.post("/salesiq-add-to-cart", async (req, res) => {
       email = `guest-${Date.now()}@store.local`;
     }
 
-    const firstBusiness = Array.from(businessDatabase.values())[0];
+    const firstBusiness = await getFirstBusiness();
 
     if (!firstBusiness) {
       return res.json({
@@ -1525,7 +3837,7 @@ app.post("/salesiq-buy-now", async (req, res) => {
       });
     }
 
-    const firstBusiness = Array.from(businessDatabase.values())[0];
+    const firstBusiness = await getFirstBusiness();
 
     if (!firstBusiness) {
       return res.json({
@@ -1587,68 +3899,6 @@ app.post("/salesiq-buy-now", async (req, res) => {
   }
 });
 
-// Return order endpoint
-app.post("/salesiq-return-order", async (req, res) => {
-  try {
-    const payload = req.body;
-    const orderId = payload.order_id;
-    const orderNumber = payload.order_number;
-
-    if (!orderId) {
-      return res.json({
-        action: "reply",
-        replies: ["Order information missing. Please try again."]
-      });
-    }
-
-    const firstBusiness = Array.from(businessDatabase.values())[0];
-
-    if (!firstBusiness) {
-      return res.json({
-        action: "reply",
-        replies: ["No store connected."]
-      });
-    }
-
-    // FIXED: Properly awaited
-    const orderData = await shopifyApiCall(
-      firstBusiness.shopDomain,
-      firstBusiness.adminToken,
-      `/orders/${orderId}.json`
-    );
-
-    const order = orderData?.order;
-
-    if (!order) {
-      return res.json({
-        action: "reply",
-        replies: ["Order not found. Please check the order number."]
-      });
-    }
-
-    res.json({
-      action: "reply",
-      replies: [
-        `🔄 **Return Request for Order #${orderNumber}**\n\nYour return has been initiated.`
-      ],
-      buttons: [
-        {
-          label: "Track Return",
-          type: "url",
-          value: `https://${firstBusiness.shopDomain}/account/orders/${order.token}`
-        }
-      ]
-    });
-
-  } catch (err) {
-    console.error("Error processing return:", err);
-    res.json({
-      action: "reply",
-      replies: ["Couldn't process your return. Please contact support."]
-    });
-  }
-});
-
 console.log('✅ PART 2 LOADED - Webhooks and legacy endpoints complete');
 // =====================================================
 // PART 3: HOME PAGE & UTILITY ENDPOINTS
@@ -1737,6 +3987,7 @@ app.get("/health", (req, res) => {
     environment: {
       SHOPIFY_API_KEY: SHOPIFY_API_KEY ? '✓ Set' : '❌ Missing',
       SHOPIFY_API_SECRET: SHOPIFY_API_SECRET ? '✓ Set' : '❌ Missing',
+      TOKEN_ENCRYPTION_KEYS: tokenCrypto.isConfigured() ? '✓ Set' : '❌ Missing',
       BASE_URL: BASE_URL
     }
   });
@@ -2031,6 +4282,14 @@ async function startServer() {
 
     console.log(`✅ Loaded ${businessDatabase.size} businesses from persistence\n`);
 
+    // Expired OAuth states are swept on a timer, not only when a callback hits them
+    await persistence.sweepExpiredOAuthStates();
+    setInterval(persistence.sweepExpiredOAuthStates, OAUTH_STATE_SWEEP_INTERVAL_MS).unref();
+
+    // Catalogs are reconciled in the background, never blocking startup
+    reconcileAllCatalogs();
+    setInterval(reconcileAllCatalogs, CATALOG_RECONCILE_INTERVAL_MS).unref();
+
     // FIXED: Start the Express server
     server = app.listen(PORT, () => {
       console.log(`🌐 Server running on port ${PORT}`);
@@ -0,0 +1,153 @@
+// =====================================================
+// shopify-auth.js - Shopify OAuth verification & scope helpers
+// =====================================================
+
+import crypto from "crypto";
+
+// Shopify store hostnames are always <handle>.myshopify.com
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+/**
+ * Check that a shop parameter is a real Shopify store hostname
+ * (no scheme, path, port or foreign domain)
+ */
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_PATTERN.test(shop);
+}
+
+/**
+ * Escape a query key/value the way Shopify does before signing
+ */
+function escapeHmacComponent(value, isKey) {
+  let escaped = String(value).replace(/%/g, '%25').replace(/&/g, '%26');
+  if (isKey) {
+    escaped = escaped.replace(/=/g, '%3D');
+  }
+  return escaped;
+}
+
+/**
+ * Build the message Shopify signs for an OAuth redirect:
+ * every query param except hmac/signature, sorted, joined with '&'
+ */
+function buildHmacMessage(query) {
+  return Object.keys(query)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => `${escapeHmacComponent(key, true)}=${escapeHmacComponent(query[key], false)}`)
+    .join('&');
+}
+
+/**
+ * Constant-time comparison of two hex/base64 digests
+ */
+function safeCompare(expected, received) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify the hmac query parameter of an OAuth callback
+ * against HMAC-SHA256(SHOPIFY_API_SECRET)
+ */
+function verifyOAuthHmac(query, secret) {
+  if (!query || !secret) return false;
+
+  const { hmac } = query;
+  if (typeof hmac !== 'string' || !/^[a-f0-9]{64}$/i.test(hmac)) {
+    return false;
+  }
+
+  // Repeated params arrive as arrays - Shopify never sends them on a callback
+  if (Object.values(query).some(value => typeof value !== 'string')) {
+    return false;
+  }
+
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(buildHmacMessage(query))
+    .digest('hex');
+
+  return safeCompare(digest, hmac.toLowerCase());
+}
+
+/**
+ * Validate an OAuth callback before the code is exchanged.
+ * Returns { ok: true } or { ok: false, reason } where reason is one of
+ * invalid_shop, invalid_hmac, invalid_state, state_expired, shop_mismatch.
+ */
+function verifyOAuthCallback(query, stateData, { secret, maxAgeMs, now = Date.now() }) {
+  if (!isValidShopDomain(query?.shop)) {
+    return { ok: false, reason: 'invalid_shop' };
+  }
+
+  if (!verifyOAuthHmac(query, secret)) {
+    return { ok: false, reason: 'invalid_hmac' };
+  }
+
+  if (!stateData) {
+    return { ok: false, reason: 'invalid_state' };
+  }
+
+  if (now - stateData.timestamp > maxAgeMs) {
+    return { ok: false, reason: 'state_expired' };
+  }
+
+  if (stateData.shop !== query.shop) {
+    return { ok: false, reason: 'shop_mismatch' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Verify the X-Shopify-Hmac-Sha256 header of an inbound webhook:
+ * base64 HMAC-SHA256 of the raw request body
+ */
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !secret || typeof hmacHeader !== 'string' || hmacHeader.length === 0) {
+    return false;
+  }
+
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('base64');
+
+  return safeCompare(digest, hmacHeader);
+}
+
+/**
+ * Parse Shopify's comma separated scope string into an array
+ */
+function parseScopes(scopes) {
+  if (Array.isArray(scopes)) return scopes;
+  if (typeof scopes !== 'string') return [];
+  return scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+}
+
+/**
+ * Return the required scopes that a grant does not cover.
+ * A write_x scope implies read_x, and Shopify omits the read scope
+ * from the grant when the write scope was given.
+ */
+function getMissingScopes(grantedScopes, requiredScopes = []) {
+  const granted = new Set(parseScopes(grantedScopes));
+
+  return requiredScopes.filter(scope => {
+    if (granted.has(scope)) return false;
+    if (scope.startsWith('read_') && granted.has(`write_${scope.slice(5)}`)) return false;
+    return true;
+  });
+}
+
+export default {
+  isValidShopDomain,
+  parseScopes,
+  getMissingScopes,
+  buildHmacMessage,
+  verifyOAuthHmac,
+  verifyOAuthCallback,
+  verifyWebhookHmac
+};
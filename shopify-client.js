@@ -0,0 +1,251 @@
+// =====================================================
+// shopify-client.js - Rate-limit aware Shopify Admin REST client
+// =====================================================
+//
+// Calls are queued per shop and paced using X-Shopify-Shop-Api-Call-Limit.
+// Throttled (429) requests are retried with backoff, and so are transient
+// (5xx/network) failures of idempotent ones - a POST that failed that way
+// may still have gone through. Everything else is thrown as a typed error so
+// callers can tell "not found" from "store disconnected".
+
+import fetch from "node-fetch";
+
+const API_VERSION = "2024-10";
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 500;
+const LEAK_RATE_PER_SECOND = 2; // REST leaky bucket drains 2 calls/s
+const BUCKET_HIGH_WATER = 0.8;  // slow down once the bucket is 80% full
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+// =====================================================
+// ERRORS
+// =====================================================
+
+class ShopifyApiError extends Error {
+  constructor(message, { status = null, shopDomain = null, endpoint = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.shopDomain = shopDomain;
+    this.endpoint = endpoint;
+    this.details = details;
+  }
+}
+
+// 404 - the resource doesn't exist (or was deleted)
+class ShopifyNotFoundError extends ShopifyApiError {}
+
+// 401/403 - token revoked, app uninstalled or scope missing: store must reconnect
+class ShopifyAuthError extends ShopifyApiError {}
+
+// 429 that kept coming back after every retry
+class ShopifyThrottleError extends ShopifyApiError {}
+
+// 422 - Shopify rejected the payload
+class ShopifyValidationError extends ShopifyApiError {}
+
+function errorForStatus(status, message, info) {
+  if (status === 404) return new ShopifyNotFoundError(message, info);
+  if (status === 401 || status === 403) return new ShopifyAuthError(message, info);
+  if (status === 429) return new ShopifyThrottleError(message, info);
+  if (status === 422) return new ShopifyValidationError(message, info);
+  return new ShopifyApiError(message, info);
+}
+
+// =====================================================
+// PER-SHOP QUEUE
+// =====================================================
+
+const shopQueues = new Map(); // shopDomain → { tail, resumeAt }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getShopQueue(shopDomain) {
+  let queue = shopQueues.get(shopDomain);
+  if (!queue) {
+    queue = { tail: Promise.resolve(), resumeAt: 0 };
+    shopQueues.set(shopDomain, queue);
+  }
+  return queue;
+}
+
+/**
+ * Run task after every earlier call for the same shop has finished,
+ * waiting out any pause the bucket asked for
+ */
+function enqueue(shopDomain, task) {
+  const queue = getShopQueue(shopDomain);
+
+  const run = queue.tail.then(async () => {
+    const wait = queue.resumeAt - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    return task(queue);
+  });
+
+  // Keep the chain alive whether this call succeeds or fails
+  queue.tail = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read "32/40" from X-Shopify-Shop-Api-Call-Limit and pause the queue
+ * long enough for the bucket to drain back to half full
+ */
+function updateBucket(queue, callLimitHeader) {
+  const match = /^(\d+)\/(\d+)$/.exec(callLimitHeader || '');
+  if (!match) return;
+
+  const used = parseInt(match[1], 10);
+  const capacity = parseInt(match[2], 10);
+
+  if (used / capacity >= BUCKET_HIGH_WATER) {
+    const drainMs = ((used - capacity / 2) / LEAK_RATE_PER_SECOND) * 1000;
+    queue.resumeAt = Math.max(queue.resumeAt, Date.now() + drainMs);
+  }
+}
+
+function getRetryDelay(response, attempt) {
+  const retryAfter = parseFloat(response?.headers.get('Retry-After'));
+  if (!Number.isNaN(retryAfter) && retryAfter >= 0) {
+    return retryAfter * 1000;
+  }
+  return BASE_BACKOFF_MS * 2 ** attempt + Math.floor(Math.random() * 100);
+}
+
+// =====================================================
+// REQUESTS
+// =====================================================
+
+function buildUrl(shopDomain, endpoint) {
+  if (/^https:\/\//.test(endpoint)) {
+    return endpoint;
+  }
+  return `https://${shopDomain}/admin/api/${API_VERSION}${endpoint}`;
+}
+
+/**
+ * Parse the cursor for the next page out of a Link header:
+ * <https://shop/admin/api/2024-10/products.json?page_info=abc&limit=50>; rel="next"
+ */
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(part);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * idempotent defaults from the method; GraphQL queries (POST) pass true.
+ * Returns { data, nextPageUrl }.
+ */
+async function sendRequest(shopDomain, adminToken, endpoint, { method = "GET", body = null, maxRetries = MAX_RETRIES, idempotent = IDEMPOTENT_METHODS.includes(method) } = {}) {
+  if (!shopDomain || !adminToken) {
+    throw new ShopifyAuthError('Missing shopDomain or adminToken', { shopDomain, endpoint });
+  }
+
+  const url = buildUrl(shopDomain, endpoint);
+  const options = {
+    method,
+    headers: {
+      "X-Shopify-Access-Token": adminToken,
+      "Content-Type": "application/json"
+    }
+  };
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  return enqueue(shopDomain, async (queue) => {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = await fetch(url, options);
+      } catch (error) {
+        if (!idempotent || attempt >= maxRetries) {
+          throw new ShopifyApiError(`Shopify request failed: ${error.message}`, { shopDomain, endpoint });
+        }
+        const delay = getRetryDelay(null, attempt);
+        console.warn(`⚠️ Shopify network error on ${method} ${endpoint}, retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      updateBucket(queue, response.headers.get('X-Shopify-Shop-Api-Call-Limit'));
+
+      const retryable = response.status === 429 || (idempotent && response.status >= 500);
+      if (retryable && attempt < maxRetries) {
+        const delay = getRetryDelay(response, attempt);
+        console.warn(`⏳ Shopify ${response.status} on ${method} ${endpoint}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+        queue.resumeAt = Math.max(queue.resumeAt, Date.now() + delay);
+        await sleep(delay);
+        continue;
+      }
+
+      if (!response.ok) {
+        const details = await response.text();
+        console.error(`❌ Shopify API error: ${response.status} ${response.statusText}`);
+        console.error(`   Details: ${details}`);
+        throw errorForStatus(
+          response.status,
+          `Shopify API error: ${response.status} ${response.statusText}`,
+          { status: response.status, shopDomain, endpoint, details }
+        );
+      }
+
+      const text = await response.text();
+      return {
+        data: text ? JSON.parse(text) : {},
+        nextPageUrl: getNextPageUrl(response.headers.get('Link'))
+      };
+    }
+  });
+}
+
+/**
+ * Call the Admin REST API and return the parsed JSON body.
+ * Throws ShopifyNotFoundError / ShopifyAuthError / ShopifyThrottleError /
+ * ShopifyValidationError / ShopifyApiError.
+ */
+async function request(shopDomain, adminToken, endpoint, options = {}) {
+  const { data } = await sendRequest(shopDomain, adminToken, endpoint, options);
+  return data;
+}
+
+/**
+ * Follow Link header cursors and collect data[resourceKey] across pages.
+ * e.g. paginate(shop, token, "/price_rules.json?limit=250", "price_rules")
+ * sendPage stands in for the HTTP call in tests.
+ */
+async function paginate(shopDomain, adminToken, endpoint, resourceKey, { maxPages = 20, sendPage = sendRequest } = {}) {
+  const items = [];
+  let nextEndpoint = endpoint;
+
+  for (let page = 0; nextEndpoint && page < maxPages; page++) {
+    const { data, nextPageUrl } = await sendPage(shopDomain, adminToken, nextEndpoint);
+    items.push(...(data?.[resourceKey] || []));
+    nextEndpoint = nextPageUrl;
+  }
+
+  return items;
+}
+
+export default {
+  API_VERSION,
+  request,
+  paginate,
+  getNextPageUrl,
+  ShopifyApiError,
+  ShopifyNotFoundError,
+  ShopifyAuthError,
+  ShopifyThrottleError,
+  ShopifyValidationError
+};
@@ -0,0 +1,830 @@
+// =====================================================
+// shopify-graphql.js - Shopify Admin GraphQL layer
+// =====================================================
+//
+// Fetches only the fields the bot renders and hands them back in the same
+// snake_case shape the REST API uses (product.variants[0].price,
+// order.line_items, ...) so the rest of the bot doesn't care which API
+// answered. Requests go through shopify-client.js, so they share its
+// per-shop queue and typed errors; GraphQL's cost-based throttle is handled here.
+
+import shopifyClient from "./shopify-client.js";
+
+const MAX_THROTTLE_RETRIES = 4;
+const DEFAULT_QUERY_COST = 50;
+
+// Shopify rejects any single query requesting more than this (MAX_COST_EXCEEDED)
+const MAX_QUERY_COST = 1000;
+
+// =====================================================
+// COST-BASED THROTTLING
+// =====================================================
+
+const costBuckets = new Map(); // shopDomain → { available, maximum, restoreRate, updatedAt }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function estimateAvailable(bucket) {
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.min(bucket.maximum, bucket.available + elapsedSeconds * bucket.restoreRate);
+}
+
+// How long to wait before a query of this cost fits in the bucket
+function getCostDelay(shopDomain, cost) {
+  const bucket = costBuckets.get(shopDomain);
+  if (!bucket) return 0;
+
+  const available = estimateAvailable(bucket);
+  if (available >= cost) return 0;
+
+  return Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+}
+
+function updateCostBucket(shopDomain, cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+
+  costBuckets.set(shopDomain, {
+    available: status.currentlyAvailable,
+    maximum: status.maximumAvailable,
+    restoreRate: status.restoreRate || 50,
+    updatedAt: Date.now()
+  });
+}
+
+// List queries learn what one node really costs from each response's
+// requestedQueryCost, so the next page is sized and throttled on real numbers
+const nodeCosts = new Map(); // cost key ("products", "orders") → requested cost per node
+
+function getNodeCost(costKey, fallback) {
+  return nodeCosts.get(costKey) || fallback;
+}
+
+function learnNodeCost(costKey, nodes, cost) {
+  if (costKey && nodes > 0 && cost?.requestedQueryCost) {
+    nodeCosts.set(costKey, cost.requestedQueryCost / nodes);
+  }
+}
+
+/**
+ * The largest page (up to wanted) of a list query that stays under the
+ * single-query cost limit
+ */
+function fitPageSize(costKey, wanted, fallbackNodeCost) {
+  const perNode = getNodeCost(costKey, fallbackNodeCost);
+  return Math.max(1, Math.min(wanted, Math.floor(MAX_QUERY_COST / perNode)));
+}
+
+function isThrottled(errors) {
+  return Array.isArray(errors) && errors.some(error => error.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * Run a GraphQL query/mutation and return its data.
+ * Waits for the cost bucket before sending and retries THROTTLED responses.
+ * List queries pass costKey and nodes (the page size) to learn their
+ * per-node cost.
+ */
+async function graphql(shopDomain, adminToken, query, variables = {}, { estimatedCost = DEFAULT_QUERY_COST, costKey = null, nodes = 0 } = {}) {
+  // Queries are safe to resend after a 5xx; mutations may already have run
+  const isMutation = /^\s*mutation\b/.test(query);
+
+  for (let attempt = 0; ; attempt++) {
+    const delay = getCostDelay(shopDomain, estimatedCost);
+    if (delay > 0) {
+      console.log(`⏳ GraphQL cost bucket low for ${shopDomain}, waiting ${delay}ms`);
+      await sleep(delay);
+    }
+
+    const result = await shopifyClient.request(shopDomain, adminToken, "/graphql.json", {
+      method: "POST",
+      body: { query, variables },
+      idempotent: !isMutation
+    });
+
+    const cost = result.extensions?.cost;
+    updateCostBucket(shopDomain, cost);
+    learnNodeCost(costKey, nodes, cost);
+
+    if (isThrottled(result.errors)) {
+      if (attempt >= MAX_THROTTLE_RETRIES) {
+        throw new shopifyClient.ShopifyThrottleError('Shopify GraphQL throttled', {
+          status: 429, shopDomain, endpoint: "/graphql.json", details: result.errors
+        });
+      }
+      estimatedCost = cost?.requestedQueryCost || estimatedCost;
+      continue;
+    }
+
+    if (result.errors?.length) {
+      const message = result.errors.map(error => error.message).join('; ');
+      const isAccessDenied = result.errors.some(error => error.extensions?.code === 'ACCESS_DENIED');
+      const ErrorClass = isAccessDenied ? shopifyClient.ShopifyAuthError : shopifyClient.ShopifyApiError;
+      console.error(`❌ Shopify GraphQL error: ${message}`);
+      throw new ErrorClass(`Shopify GraphQL error: ${message}`, {
+        shopDomain, endpoint: "/graphql.json", details: result.errors
+      });
+    }
+
+    return result.data;
+  }
+}
+
+// =====================================================
+// FIELD SELECTIONS
+// =====================================================
+
+// Product lists (browse, search, catalog sync) stay lean: one image, no
+// variant images, and the first LIST_VARIANT_COUNT variants. Products with
+// more variants are re-read one at a time with PRODUCT_FIELDS.
+const LIST_VARIANT_COUNT = 20;
+
+// Fallback per-product cost of PRODUCT_LIST_FIELDS until a response says otherwise
+const PRODUCT_LIST_NODE_COST = 45;
+
+const PRODUCT_SCALAR_FIELDS = `
+  id
+  legacyResourceId
+  title
+  handle
+  status
+  vendor
+  productType
+  tags
+  descriptionHtml
+  onlineStoreUrl
+  createdAt
+  updatedAt
+  totalInventory
+  options { name values }
+`;
+
+const VARIANT_SCALAR_FIELDS = `
+  legacyResourceId
+  title
+  sku
+  price
+  compareAtPrice
+  availableForSale
+  inventoryQuantity
+  inventoryPolicy
+  selectedOptions { name value }
+`;
+
+const PRODUCT_LIST_FIELDS = `
+  ${PRODUCT_SCALAR_FIELDS}
+  featuredImage { url altText }
+  variants(first: ${LIST_VARIANT_COUNT}) {
+    nodes {
+      ${VARIANT_SCALAR_FIELDS}
+      inventoryItem { legacyResourceId tracked }
+    }
+    pageInfo { hasNextPage }
+  }
+`;
+
+// One product in full - a few hundred points, so never inside a list
+const PRODUCT_FIELDS = `
+  ${PRODUCT_SCALAR_FIELDS}
+  images(first: 5) { nodes { url altText } }
+  variants(first: 100) {
+    nodes {
+      ${VARIANT_SCALAR_FIELDS}
+      image { url }
+      inventoryItem { legacyResourceId tracked }
+    }
+    pageInfo { hasNextPage }
+  }
+`;
+
+// Order lists: enough for a one-line summary and a card image
+const ORDER_LIST_FIELDS = `
+  id
+  legacyResourceId
+  name
+  email
+  createdAt
+  processedAt
+  cancelledAt
+  displayFinancialStatus
+  displayFulfillmentStatus
+  currencyCode
+  currentSubtotalLineItemsQuantity
+  totalPriceSet { shopMoney { amount currencyCode } }
+  lineItems(first: 1) { nodes { image { url } } }
+`;
+
+const ORDER_LIST_NODE_COST = 8;
+
+// Recent-order line items (recommendations): 20 lines of 2 points each
+const ORDER_PRODUCTS_NODE_COST = 45;
+
+// One order in full - only ever fetched one at a time
+const ORDER_COST = 450;
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  email
+  createdAt
+  processedAt
+  cancelledAt
+  displayFinancialStatus
+  displayFulfillmentStatus
+  statusPageUrl
+  currencyCode
+  currentSubtotalLineItemsQuantity
+  totalPriceSet { shopMoney { amount currencyCode } }
+  shippingAddress { name firstName lastName company address1 address2 city province provinceCode zip country countryCodeV2 phone }
+  lineItems(first: 50) {
+    nodes {
+      id
+      name
+      title
+      quantity
+      sku
+      variant { legacyResourceId }
+      product { legacyResourceId }
+      originalUnitPriceSet { shopMoney { amount } }
+      image { url }
+    }
+  }
+  fulfillments(first: 10) {
+    id
+    status
+    displayStatus
+    createdAt
+    deliveredAt
+    estimatedDeliveryAt
+    trackingInfo(first: 10) { number company url }
+  }
+`;
+
+// =====================================================
+// NORMALIZERS (GraphQL → REST shape)
+// =====================================================
+
+function toNumberId(legacyResourceId) {
+  return legacyResourceId ? Number(legacyResourceId) : null;
+}
+
+function lowerOrNull(value) {
+  return value ? value.toLowerCase() : null;
+}
+
+function normalizeVariant(node, productId) {
+  const options = node.selectedOptions || [];
+
+  return {
+    id: toNumberId(node.legacyResourceId),
+    product_id: productId,
+    title: node.title,
+    sku: node.sku,
+    price: node.price,
+    compare_at_price: node.compareAtPrice,
+    available: node.availableForSale,
+    inventory_quantity: node.inventoryQuantity,
+    inventory_policy: lowerOrNull(node.inventoryPolicy),
+    inventory_item_id: toNumberId(node.inventoryItem?.legacyResourceId),
+    inventory_tracked: node.inventoryItem?.tracked ?? null,
+    option1: options[0]?.value ?? null,
+    option2: options[1]?.value ?? null,
+    option3: options[2]?.value ?? null,
+    image_src: node.image?.url || null
+  };
+}
+
+function normalizeProduct(node) {
+  if (!node) return null;
+
+  const id = toNumberId(node.legacyResourceId);
+
+  return {
+    id,
+    admin_graphql_api_id: node.id,
+    title: node.title,
+    handle: node.handle,
+    status: lowerOrNull(node.status),
+    vendor: node.vendor,
+    product_type: node.productType,
+    tags: (node.tags || []).join(', '),
+    body_html: node.descriptionHtml,
+    online_store_url: node.onlineStoreUrl,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    total_inventory: node.totalInventory,
+    options: (node.options || []).map(option => ({ name: option.name, values: option.values })),
+    images: (node.images?.nodes || (node.featuredImage ? [node.featuredImage] : []))
+      .map(image => ({ src: image.url, alt: image.altText })),
+    variants: (node.variants?.nodes || []).map(variant => normalizeVariant(variant, id)),
+    // false when a list read stopped short of the product's last variant
+    variants_complete: !node.variants?.pageInfo?.hasNextPage
+  };
+}
+
+const FULFILLMENT_STATUS = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  UNFULFILLED: null
+};
+
+// The fields every order read has - all an order list gets
+function normalizeOrderSummary(node) {
+  if (!node) return null;
+
+  const displayStatus = node.displayFulfillmentStatus;
+
+  return {
+    id: toNumberId(node.legacyResourceId),
+    admin_graphql_api_id: node.id,
+    name: node.name,
+    email: node.email,
+    created_at: node.createdAt,
+    processed_at: node.processedAt,
+    cancelled_at: node.cancelledAt,
+    financial_status: lowerOrNull(node.displayFinancialStatus),
+    fulfillment_status: displayStatus in FULFILLMENT_STATUS
+      ? FULFILLMENT_STATUS[displayStatus]
+      : lowerOrNull(displayStatus)?.replace(/_/g, ' '),
+    currency: node.totalPriceSet?.shopMoney?.currencyCode || node.currencyCode,
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    item_count: node.currentSubtotalLineItemsQuantity,
+    image_src: node.lineItems?.nodes?.find(item => item.image)?.image.url || null
+  };
+}
+
+function normalizeOrder(node) {
+  if (!node) return null;
+
+  return {
+    ...normalizeOrderSummary(node),
+    order_status_url: node.statusPageUrl,
+    shipping_address: node.shippingAddress || null,
+    line_items: (node.lineItems?.nodes || []).map(item => ({
+      id: item.id,
+      name: item.name,
+      title: item.title,
+      quantity: item.quantity,
+      sku: item.sku,
+      variant_id: toNumberId(item.variant?.legacyResourceId),
+      product_id: toNumberId(item.product?.legacyResourceId),
+      price: item.originalUnitPriceSet?.shopMoney?.amount,
+      image_src: item.image?.url || null
+    })),
+    fulfillments: (node.fulfillments || []).map(fulfillment => ({
+      id: fulfillment.id,
+      status: lowerOrNull(fulfillment.status),
+      display_status: fulfillment.displayStatus,
+      created_at: fulfillment.createdAt,
+      delivered_at: fulfillment.deliveredAt,
+      estimated_delivery_at: fulfillment.estimatedDeliveryAt,
+      tracking: (fulfillment.trackingInfo || []).map(info => ({
+        number: info.number,
+        company: info.company,
+        url: info.url
+      }))
+    }))
+  };
+}
+
+/**
+ * Mutation userErrors become a ShopifyValidationError
+ */
+function throwUserErrors(shopDomain, userErrors) {
+  if (userErrors?.length) {
+    const message = userErrors.map(error => error.message).join('; ');
+    throw new shopifyClient.ShopifyValidationError(`Shopify rejected the request: ${message}`, {
+      status: 422, shopDomain, endpoint: "/graphql.json", details: userErrors
+    });
+  }
+}
+
+// Values inside a search query string must be quoted and escaped
+function quoteSearchValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// =====================================================
+// PRODUCTS
+// =====================================================
+
+/**
+ * Fetch one page of products (lean: see PRODUCT_LIST_FIELDS). query uses
+ * Shopify search syntax, e.g. "status:active" or "title:*hoodie*".
+ * The page may hold fewer than first products when that many would exceed
+ * the query cost limit - follow pageInfo for the rest.
+ * Returns { products, pageInfo: { hasNextPage, endCursor } }.
+ */
+async function getProducts(shopDomain, adminToken, { first = 10, query = null, after = null, sortKey = null, reverse = false } = {}) {
+  const pageSize = fitPageSize("products", first, PRODUCT_LIST_NODE_COST);
+
+  const data = await graphql(shopDomain, adminToken, `
+    query Products($first: Int!, $query: String, $after: String, $sortKey: ProductSortKeys, $reverse: Boolean) {
+      products(first: $first, query: $query, after: $after, sortKey: $sortKey, reverse: $reverse) {
+        nodes { ${PRODUCT_LIST_FIELDS} }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `, { first: pageSize, query, after, sortKey, reverse }, {
+    estimatedCost: pageSize * getNodeCost("products", PRODUCT_LIST_NODE_COST),
+    costKey: "products",
+    nodes: pageSize
+  });
+
+  return {
+    products: data.products.nodes.map(normalizeProduct),
+    pageInfo: data.products.pageInfo
+  };
+}
+
+/**
+ * Fetch a single product in full (every variant, inventory items, images)
+ * by its numeric (REST) id
+ */
+async function getProduct(shopDomain, adminToken, productId) {
+  const data = await graphql(shopDomain, adminToken, `
+    query Product($id: ID!) {
+      product(id: $id) { ${PRODUCT_FIELDS} }
+    }
+  `, { id: `gid://shopify/Product/${productId}` }, { estimatedCost: 400 });
+
+  return normalizeProduct(data.product);
+}
+
+/**
+ * Re-read in full the products a list cut short (more than
+ * LIST_VARIANT_COUNT variants), one at a time
+ */
+async function completeProducts(shopDomain, adminToken, products) {
+  const complete = [];
+
+  for (const product of products) {
+    complete.push(product.variants_complete === false
+      ? (await getProduct(shopDomain, adminToken, product.id)) || product
+      : product);
+  }
+
+  return complete;
+}
+
+/**
+ * Search products by title words (substring match, any order)
+ */
+async function searchProductsByTitle(shopDomain, adminToken, text, { first = 5 } = {}) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const query = words.map(word => `title:*${word.replace(/[^\p{L}\p{N}-]/gu, '')}*`).join(' ');
+
+  return (await getProducts(shopDomain, adminToken, { first, query: `status:active ${query}` })).products;
+}
+
+/**
+ * List every product id in the store (cheap query used to spot deletions)
+ */
+async function getAllProductIds(shopDomain, adminToken) {
+  const ids = [];
+  let after = null;
+
+  do {
+    const data = await graphql(shopDomain, adminToken, `
+      query ProductIds($after: String) {
+        products(first: 250, after: $after) {
+          nodes { legacyResourceId }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { after }, { estimatedCost: 10 });
+
+    ids.push(...data.products.nodes.map(node => toNumberId(node.legacyResourceId)));
+    after = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+  } while (after);
+
+  return ids;
+}
+
+async function getProductsCount(shopDomain, adminToken) {
+  const data = await graphql(shopDomain, adminToken, `
+    query ProductsCount {
+      productsCount { count }
+    }
+  `, {}, { estimatedCost: 1 });
+
+  return data.productsCount?.count || 0;
+}
+
+/**
+ * A product's metafields as [{ namespace, key, type, value }]. Fetched on
+ * demand rather than cached - product webhooks don't carry them.
+ */
+async function getProductMetafields(shopDomain, adminToken, productId, { first = 25 } = {}) {
+  const data = await graphql(shopDomain, adminToken, `
+    query ProductMetafields($id: ID!, $first: Int!) {
+      product(id: $id) {
+        metafields(first: $first) {
+          nodes { namespace key type value }
+        }
+      }
+    }
+  `, { id: `gid://shopify/Product/${productId}`, first });
+
+  return data.product?.metafields?.nodes || [];
+}
+
+// =====================================================
+// ORDERS
+// =====================================================
+
+/**
+ * Most recent orders for a customer email, newest first, as summaries
+ * (ORDER_LIST_FIELDS: no items, fulfillments or address - read one with
+ * getOrder for that)
+ */
+async function getOrdersByEmail(shopDomain, adminToken, email, { first = 5 } = {}) {
+  const pageSize = fitPageSize("orders", first, ORDER_LIST_NODE_COST);
+
+  const data = await graphql(shopDomain, adminToken, `
+    query OrdersByEmail($first: Int!, $query: String!) {
+      orders(first: $first, query: $query, sortKey: CREATED_AT, reverse: true) {
+        nodes { ${ORDER_LIST_FIELDS} }
+      }
+    }
+  `, { first: pageSize, query: `email:${quoteSearchValue(email)} status:any` }, {
+    estimatedCost: pageSize * getNodeCost("orders", ORDER_LIST_NODE_COST),
+    costKey: "orders",
+    nodes: pageSize
+  });
+
+  return data.orders.nodes.map(normalizeOrderSummary);
+}
+
+/**
+ * The products in the store's most recent orders, newest first, skipping
+ * cancelled orders: one [{ productId, quantity }] list per order
+ */
+async function getRecentOrderProducts(shopDomain, adminToken, { limit = 100 } = {}) {
+  const orders = [];
+  let fetched = 0;
+  let after = null;
+
+  do {
+    const first = fitPageSize("orderProducts", Math.min(25, limit - fetched), ORDER_PRODUCTS_NODE_COST);
+    const data = await graphql(shopDomain, adminToken, `
+      query RecentOrderProducts($first: Int!, $after: String) {
+        orders(first: $first, after: $after, sortKey: CREATED_AT, reverse: true, query: "status:any") {
+          nodes {
+            cancelledAt
+            lineItems(first: 20) {
+              nodes { quantity product { legacyResourceId } }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { first, after }, {
+      estimatedCost: first * getNodeCost("orderProducts", ORDER_PRODUCTS_NODE_COST),
+      costKey: "orderProducts",
+      nodes: first
+    });
+
+    fetched += data.orders.nodes.length;
+    for (const node of data.orders.nodes) {
+      if (node.cancelledAt) continue;
+      orders.push(node.lineItems.nodes
+        .filter(line => line.product)
+        .map(line => ({ productId: toNumberId(line.product.legacyResourceId), quantity: line.quantity })));
+    }
+
+    after = data.orders.pageInfo.hasNextPage ? data.orders.pageInfo.endCursor : null;
+  } while (after && fetched < limit);
+
+  return orders;
+}
+
+/**
+ * Find an order by its name ("#1001")
+ */
+async function getOrderByName(shopDomain, adminToken, orderName) {
+  const name = String(orderName).startsWith('#') ? orderName : `#${orderName}`;
+
+  const data = await graphql(shopDomain, adminToken, `
+    query OrderByName($query: String!) {
+      orders(first: 1, query: $query) {
+        nodes { ${ORDER_FIELDS} }
+      }
+    }
+  `, { query: `name:${quoteSearchValue(name)} status:any` }, { estimatedCost: ORDER_COST });
+
+  return normalizeOrder(data.orders.nodes[0]);
+}
+
+/**
+ * Fetch a single order by its numeric (REST) id
+ */
+async function getOrder(shopDomain, adminToken, orderId) {
+  const data = await graphql(shopDomain, adminToken, `
+    query Order($id: ID!) {
+      order(id: $id) { ${ORDER_FIELDS} }
+    }
+  `, { id: `gid://shopify/Order/${orderId}` }, { estimatedCost: ORDER_COST });
+
+  return normalizeOrder(data.order);
+}
+
+/**
+ * Cancel an order. Shopify runs the cancellation as a background job.
+ * options: { refund, restock, notifyCustomer, staffNote }
+ * Returns { jobId, done }.
+ */
+async function cancelOrder(shopDomain, adminToken, orderId, { refund = false, restock = false, notifyCustomer = true, staffNote = null } = {}) {
+  const data = await graphql(shopDomain, adminToken, `
+    mutation OrderCancel($orderId: ID!, $refund: Boolean!, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+      orderCancel(orderId: $orderId, reason: CUSTOMER, refund: $refund, restock: $restock, notifyCustomer: $notifyCustomer, staffNote: $staffNote) {
+        job { id done }
+        orderCancelUserErrors { field message code }
+      }
+    }
+  `, { orderId: `gid://shopify/Order/${orderId}`, refund, restock, notifyCustomer, staffNote });
+
+  throwUserErrors(shopDomain, data.orderCancel.orderCancelUserErrors);
+  return { jobId: data.orderCancel.job?.id || null, done: !!data.orderCancel.job?.done };
+}
+
+/**
+ * Replace an order's shipping address.
+ * address uses Shopify MailingAddressInput fields (address1, city, zip, countryCode, ...).
+ * Returns the updated order.
+ */
+async function updateOrderShippingAddress(shopDomain, adminToken, orderId, address) {
+  const data = await graphql(shopDomain, adminToken, `
+    mutation OrderUpdate($input: OrderInput!) {
+      orderUpdate(input: $input) {
+        order { ${ORDER_FIELDS} }
+        userErrors { field message }
+      }
+    }
+  `, { input: { id: `gid://shopify/Order/${orderId}`, shippingAddress: address } });
+
+  throwUserErrors(shopDomain, data.orderUpdate.userErrors);
+  return normalizeOrder(data.orderUpdate.order);
+}
+
+// =====================================================
+// CUSTOMERS
+// =====================================================
+
+/**
+ * The store's customer record for an email, with their default address
+ * in REST shape, or null
+ */
+async function getCustomerByEmail(shopDomain, adminToken, email) {
+  const data = await graphql(shopDomain, adminToken, `
+    query CustomerByEmail($query: String!) {
+      customers(first: 1, query: $query) {
+        nodes {
+          legacyResourceId
+          email
+          firstName
+          lastName
+          defaultAddress { firstName lastName company address1 address2 city province provinceCode zip country countryCodeV2 phone }
+        }
+      }
+    }
+  `, { query: `email:${quoteSearchValue(email)}` });
+
+  const node = data.customers.nodes[0];
+  if (!node) return null;
+
+  const address = node.defaultAddress;
+  return {
+    id: toNumberId(node.legacyResourceId),
+    email: node.email,
+    first_name: node.firstName,
+    last_name: node.lastName,
+    default_address: address
+      ? {
+        first_name: address.firstName,
+        last_name: address.lastName,
+        company: address.company,
+        address1: address.address1,
+        address2: address.address2,
+        city: address.city,
+        province: address.province,
+        province_code: address.provinceCode,
+        zip: address.zip,
+        country: address.country,
+        country_code: address.countryCodeV2,
+        phone: address.phone
+      }
+      : null
+  };
+}
+
+// =====================================================
+// RETURNS
+// =====================================================
+
+/**
+ * Fulfilled line items of an order that can still be returned, with the
+ * quantity left to return: [{ fulfillmentLineItemId, lineItemId, name, quantity, image_src }]
+ */
+async function getReturnableItems(shopDomain, adminToken, orderId) {
+  const data = await graphql(shopDomain, adminToken, `
+    query ReturnableItems($orderId: ID!) {
+      returnableFulfillments(orderId: $orderId, first: 10) {
+        nodes {
+          returnableFulfillmentLineItems(first: 50) {
+            nodes {
+              quantity
+              fulfillmentLineItem {
+                id
+                lineItem { id name image { url } }
+              }
+            }
+          }
+        }
+      }
+    }
+  `, { orderId: `gid://shopify/Order/${orderId}` });
+
+  return data.returnableFulfillments.nodes.flatMap(fulfillment =>
+    fulfillment.returnableFulfillmentLineItems.nodes
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        fulfillmentLineItemId: item.fulfillmentLineItem.id,
+        lineItemId: item.fulfillmentLineItem.lineItem.id,
+        name: item.fulfillmentLineItem.lineItem.name,
+        quantity: item.quantity,
+        image_src: item.fulfillmentLineItem.lineItem.image?.url || null
+      }))
+  );
+}
+
+/**
+ * Ask the merchant for a return (status REQUESTED until they approve it).
+ * items: [{ fulfillmentLineItemId, quantity, reason, note }], reason being a
+ * Shopify ReturnReason (DEFECTIVE, WRONG_ITEM, ...).
+ * Returns { id, name, status }.
+ */
+async function createReturnRequest(shopDomain, adminToken, orderId, items) {
+  const data = await graphql(shopDomain, adminToken, `
+    mutation ReturnRequest($input: ReturnRequestInput!) {
+      returnRequest(input: $input) {
+        return { id name status }
+        userErrors { field message }
+      }
+    }
+  `, {
+    input: {
+      orderId: `gid://shopify/Order/${orderId}`,
+      returnLineItems: items.map(item => ({
+        fulfillmentLineItemId: item.fulfillmentLineItemId,
+        quantity: item.quantity,
+        returnReason: item.reason,
+        customerNote: item.note || null
+      }))
+    }
+  });
+
+  throwUserErrors(shopDomain, data.returnRequest.userErrors);
+  return {
+    ...data.returnRequest.return,
+    status: lowerOrNull(data.returnRequest.return.status)
+  };
+}
+
+/**
+ * Current state of a return by its GraphQL id: { id, name, status }
+ */
+async function getReturn(shopDomain, adminToken, returnId) {
+  const data = await graphql(shopDomain, adminToken, `
+    query Return($id: ID!) {
+      return(id: $id) { id name status }
+    }
+  `, { id: returnId });
+
+  return data.return ? { ...data.return, status: lowerOrNull(data.return.status) } : null;
+}
+
+export default {
+  graphql,
+  getProducts,
+  getProduct,
+  completeProducts,
+  searchProductsByTitle,
+  getAllProductIds,
+  getProductsCount,
+  getProductMetafields,
+  getOrdersByEmail,
+  getOrderByName,
+  getRecentOrderProducts,
+  getOrder,
+  cancelOrder,
+  updateOrderShippingAddress,
+  getCustomerByEmail,
+  getReturnableItems,
+  createReturnRequest,
+  getReturn,
+  normalizeProduct,
+  normalizeOrder
+};
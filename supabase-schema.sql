@@ -0,0 +1,144 @@
+-- =====================================================
+-- supabase-schema.sql - Tables used by persistence.js
+-- =====================================================
+--
+-- Safe to run more than once (Supabase SQL editor or psql): tables are
+-- created if missing, and columns added since the first release are added
+-- to existing tables. Column names match persistence.js.
+
+-- =====================================================
+-- BUSINESSES
+-- =====================================================
+
+create table if not exists businesses (
+  business_id text primary key,
+  shop_domain text not null,
+  shop_name text,
+  shop_email text,
+  admin_token text,                          -- sealed by token-crypto.js; null once uninstalled
+  refresh_token text,                        -- sealed by token-crypto.js
+  scopes text,                               -- comma separated grant, e.g. "read_products,write_draft_orders"
+  expires_at timestamptz,
+  connected_at timestamptz not null default now(),
+  last_reconnected timestamptz,
+  status text not null default 'active',     -- active | inactive (uninstalled)
+  currency text not null default 'USD',
+  timezone text,
+  webhook_url text,
+  settings jsonb not null default '{}'::jsonb, -- { returns, discounts, inventory, ... }
+  catalog_synced_at timestamptz,             -- newest updated_at fetched by the last catalog sync
+  last_updated timestamptz not null default now()
+);
+
+alter table businesses add column if not exists refresh_token text;
+alter table businesses add column if not exists scopes text;
+alter table businesses add column if not exists expires_at timestamptz;
+alter table businesses add column if not exists last_reconnected timestamptz;
+alter table businesses add column if not exists status text not null default 'active';
+alter table businesses add column if not exists settings jsonb not null default '{}'::jsonb;
+alter table businesses add column if not exists catalog_synced_at timestamptz;
+
+-- Tokens are cleared on uninstall
+alter table businesses alter column admin_token drop not null;
+
+create index if not exists businesses_shop_domain_idx on businesses (shop_domain);
+create index if not exists businesses_status_idx on businesses (status);
+
+-- =====================================================
+-- CONVERSATIONS
+-- =====================================================
+
+create table if not exists conversations (
+  business_id text not null references businesses (business_id) on delete cascade,
+  user_id text not null,
+  messages jsonb not null default '[]'::jsonb,
+  context jsonb not null default '{}'::jsonb,
+  message_count integer not null default 0,
+  last_updated timestamptz not null default now(),
+  primary key (business_id, user_id)
+);
+
+-- GDPR lookups by the email remembered in the conversation
+create index if not exists conversations_context_email_idx on conversations (business_id, (context->>'email'));
+
+-- =====================================================
+-- OAUTH STATES
+-- =====================================================
+
+create table if not exists oauth_states (
+  state text primary key,
+  shop text not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists oauth_states_expires_at_idx on oauth_states (expires_at);
+
+-- =====================================================
+-- PRODUCTS (catalog cache)
+-- =====================================================
+
+create table if not exists products (
+  business_id text not null references businesses (business_id) on delete cascade,
+  product_id bigint not null,
+  title text,
+  handle text,
+  status text,
+  product jsonb not null,                    -- the shopify-graphql.js product shape
+  shopify_updated_at timestamptz,
+  synced_at timestamptz not null default now(),
+  primary key (business_id, product_id)
+);
+
+-- =====================================================
+-- VERIFICATION FAILURES
+-- =====================================================
+
+-- Wrong order number + ZIP answers, shared by every server process
+create table if not exists verification_failures (
+  business_id text not null references businesses (business_id) on delete cascade,
+  email text not null,                       -- lower-cased
+  attempts integer not null default 0,
+  first_failed_at timestamptz not null default now(),
+  primary key (business_id, email)
+);
+
+-- =====================================================
+-- RETURNS
+-- =====================================================
+
+create table if not exists returns (
+  return_id text primary key,                -- Shopify GraphQL id (gid://shopify/Return/...)
+  business_id text not null references businesses (business_id) on delete cascade,
+  email text not null,                       -- lower-cased
+  order_id bigint not null,
+  order_name text,
+  return_name text,
+  status text not null,                      -- requested | open | closed | declined | canceled
+  reason text,
+  line_items jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists returns_customer_idx on returns (business_id, email, created_at desc);
+
+-- =====================================================
+-- RESTOCK SUBSCRIPTIONS
+-- =====================================================
+
+create table if not exists restock_subscriptions (
+  id bigint generated by default as identity primary key,
+  business_id text not null references businesses (business_id) on delete cascade,
+  product_id bigint not null,
+  variant_id bigint,                         -- null = any variant of the product
+  email text not null,                       -- lower-cased
+  product_title text,
+  created_at timestamptz not null default now(),
+  notified_at timestamptz                    -- null until the email goes out
+);
+
+create index if not exists restock_subscriptions_pending_idx
+  on restock_subscriptions (business_id, product_id)
+  where notified_at is null;
+create index if not exists restock_subscriptions_customer_idx on restock_subscriptions (business_id, email);
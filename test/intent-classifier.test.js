@@ -0,0 +1,103 @@
+// =====================================================
+// intent-classifier.js - Suggestion buttons reach the right intent
+// =====================================================
+//
+// Every suggestion the bot offers is sent back as the customer's next
+// message, so each one must classify as the intent it stands for.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+
+import intentClassifierModule from "../intent-classifier.js";
+
+// Floor below which server-fixed.js treats a message as general_query
+const INTENT_MIN_CONFIDENCE = 0.45;
+
+const SUGGESTION_INTENTS = {
+  "Help": "general_query",
+  "Try Again": "general_query",
+  "Browse Deals": "browse_deals",
+  "Browse Products": "browse_deals",
+  "Browse More": "browse_deals",
+  "🛍️ Browse More": "browse_deals",
+  "Show More": "browse_deals",
+  "Track Order": "track_order",
+  "My Orders": "track_order",
+  "Cancel Order": "cancel_order",
+  "Change Address": "change_address",
+  "Return It": "return_order",
+  "Return an Item": "return_order",
+  "Return Status": "return_order",
+  "View Cart": "view_cart",
+  "📦 View Cart": "view_cart",
+  "Checkout": "buy_now",
+  "💳 Checkout": "buy_now",
+  "Email Me the Invoice": "buy_now",
+  "Add to Cart": "add_cart",
+  "Change Quantity": "update_quantity",
+  "Remove Item": "remove_item",
+  "Clear Cart": "clear_cart",
+  "Apply a Code": "apply_discount",
+  "Promotions": "show_promotions",
+  "Notify Me": "notify_restock",
+  "Product Details": "product_info"
+};
+
+// Only offered while a question is pending - the dialogue manager reads
+// them as the answer, they never reach the classifier
+const PENDING_ANSWERS = new Set([
+  "Cancel", "All", "1", "2", "3",
+  "Yes, Empty It", "Yes, Buy It", "Yes, Cancel It", "Yes, Update It",
+  "No, Keep It", "No, Keep Browsing"
+]);
+
+/**
+ * The literal suggestion labels in server-fixed.js: suggestions: [...]
+ * (including both arms of a ternary), INTENT_CLARIFY_OPTIONS suggestion
+ * values, and confirmation question buttons
+ */
+function readBotSuggestions() {
+  const source = readFileSync(new URL("../server-fixed.js", import.meta.url), "utf8");
+  const labels = new Set();
+  const addArrays = text => {
+    for (const [, items] of text.matchAll(/\[([^\]]*)\]/g)) {
+      for (const [, label] of items.matchAll(/"([^"]+)"/g)) labels.add(label);
+    }
+  };
+
+  for (const [, expression] of source.matchAll(/suggestions:\s*([^\n]*(?:\n\s*[?:][^\n]*)*)/g)) {
+    addArrays(expression);
+  }
+  for (const [, label] of source.matchAll(/suggestion:\s*"([^"]+)"/g)) {
+    labels.add(label);
+  }
+  for (const [, buttons] of source.matchAll(/buildConfirmationQuestion\([\s\S]*?\n\s*(\[[^\]]*\])\s*\)/g)) {
+    addArrays(buttons);
+  }
+
+  return Array.from(labels);
+}
+
+describe("suggestion labels", () => {
+  const classifier = intentClassifierModule.createIntentClassifier();
+  const suggestions = readBotSuggestions();
+
+  it("finds the bot's suggestions", () => {
+    assert.ok(suggestions.includes("Try Again"));
+    assert.ok(suggestions.length >= Object.keys(SUGGESTION_INTENTS).length / 2);
+  });
+
+  it("knows the intent of every suggestion the bot offers", () => {
+    const unknown = suggestions.filter(label => !(label in SUGGESTION_INTENTS) && !PENDING_ANSWERS.has(label));
+    assert.deepEqual(unknown, [], "add new suggestions to SUGGESTION_INTENTS or PENDING_ANSWERS");
+  });
+
+  for (const [label, intent] of Object.entries(SUGGESTION_INTENTS)) {
+    it(`"${label}" classifies as ${intent}`, () => {
+      const [best] = classifier.classify(label);
+      assert.equal(best.intent, intent);
+      assert.ok(best.confidence >= INTENT_MIN_CONFIDENCE, `confidence ${best.confidence.toFixed(2)}`);
+    });
+  }
+});
@@ -0,0 +1,40 @@
+// =====================================================
+// product-search.js - Stemming and catalog search
+// =====================================================
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import productSearch from "../product-search.js";
+
+describe("stem", () => {
+  it("brings plurals and their singulars together", () => {
+    for (const [plural, singular] of [
+      ["hoodies", "hoodie"],
+      ["berries", "berry"],
+      ["dresses", "dress"],
+      ["boxes", "box"],
+      ["jerseys", "jersey"],
+      ["jeans", "jean"]
+    ]) {
+      assert.equal(productSearch.stem(plural), productSearch.stem(singular), plural);
+    }
+  });
+
+  it("leaves short words and numbers alone", () => {
+    assert.equal(productSearch.stem("tee"), "tee");
+    assert.equal(productSearch.stem("1001"), "1001");
+  });
+});
+
+describe("search", () => {
+  const index = productSearch.buildIndex([
+    { id: 1, title: "Classic Hoodie", options: [], tags: [] },
+    { id: 2, title: "Canvas Tote Bag", options: [], tags: [] }
+  ]);
+
+  it("finds a singular title from a plural query", () => {
+    const [hit] = productSearch.search(index, "hoodies");
+    assert.equal(hit?.product.id, 1);
+  });
+});
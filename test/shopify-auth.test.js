@@ -0,0 +1,157 @@
+// =====================================================
+// shopify-auth.js - OAuth callback verification
+// =====================================================
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+import shopifyAuth from "../shopify-auth.js";
+
+const SECRET = "test-api-secret";
+const SHOP = "demo-store.myshopify.com";
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+const NOW = Date.parse("2026-01-15T12:00:00Z");
+
+// A callback query signed the way Shopify signs it
+function signedQuery(params, secret = SECRET) {
+  const hmac = crypto
+    .createHmac("sha256", secret)
+    .update(shopifyAuth.buildHmacMessage(params))
+    .digest("hex");
+  return { ...params, hmac };
+}
+
+function callbackQuery(overrides = {}) {
+  return signedQuery({
+    code: "auth-code-123",
+    shop: SHOP,
+    state: "nonce-abc",
+    timestamp: String(Math.floor(NOW / 1000)),
+    host: "ZGVtby1zdG9yZS5teXNob3BpZnkuY29tL2FkbWlu",
+    ...overrides
+  });
+}
+
+function verify(query, stateData = { shop: SHOP, timestamp: NOW - 60 * 1000 }, now = NOW) {
+  return shopifyAuth.verifyOAuthCallback(query, stateData, { secret: SECRET, maxAgeMs: STATE_MAX_AGE_MS, now });
+}
+
+describe("isValidShopDomain", () => {
+  it("accepts myshopify.com hostnames", () => {
+    assert.equal(shopifyAuth.isValidShopDomain("demo-store.myshopify.com"), true);
+    assert.equal(shopifyAuth.isValidShopDomain("store42.myshopify.com"), true);
+  });
+
+  it("rejects foreign domains and lookalikes", () => {
+    for (const shop of [
+      "evil.com",
+      "demo-store.myshopify.com.evil.com",
+      "evil.com/demo-store.myshopify.com",
+      "myshopify.com",
+      "-demo.myshopify.com",
+      "DEMO.myshopify.com"
+    ]) {
+      assert.equal(shopifyAuth.isValidShopDomain(shop), false, shop);
+    }
+  });
+
+  it("rejects schemes, ports, paths and non-strings", () => {
+    for (const shop of [
+      "https://demo-store.myshopify.com",
+      "demo-store.myshopify.com:443",
+      "demo-store.myshopify.com/admin",
+      "",
+      null,
+      undefined,
+      ["demo-store.myshopify.com"]
+    ]) {
+      assert.equal(shopifyAuth.isValidShopDomain(shop), false, String(shop));
+    }
+  });
+});
+
+describe("verifyOAuthHmac", () => {
+  it("accepts a correctly signed query", () => {
+    assert.equal(shopifyAuth.verifyOAuthHmac(callbackQuery(), SECRET), true);
+  });
+
+  it("accepts an upper-case hex digest", () => {
+    const query = callbackQuery();
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...query, hmac: query.hmac.toUpperCase() }, SECRET), true);
+  });
+
+  it("rejects a query signed with another secret", () => {
+    assert.equal(shopifyAuth.verifyOAuthHmac(signedQuery({ code: "x", shop: SHOP }, "wrong-secret"), SECRET), false);
+  });
+
+  it("rejects a tampered parameter", () => {
+    const query = callbackQuery();
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...query, shop: "other-store.myshopify.com" }, SECRET), false);
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...query, code: "stolen-code" }, SECRET), false);
+  });
+
+  it("rejects an added parameter", () => {
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...callbackQuery(), extra: "1" }, SECRET), false);
+  });
+
+  it("rejects a missing, malformed or truncated hmac", () => {
+    const { hmac, ...unsigned } = callbackQuery();
+    assert.equal(shopifyAuth.verifyOAuthHmac(unsigned, SECRET), false);
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...unsigned, hmac: "not-hex" }, SECRET), false);
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...unsigned, hmac: hmac.slice(0, 63) }, SECRET), false);
+  });
+
+  it("rejects repeated parameters", () => {
+    const query = callbackQuery();
+    assert.equal(shopifyAuth.verifyOAuthHmac({ ...query, shop: [SHOP, "evil.myshopify.com"] }, SECRET), false);
+  });
+
+  it("rejects when no secret is configured", () => {
+    assert.equal(shopifyAuth.verifyOAuthHmac(callbackQuery(), ""), false);
+    assert.equal(shopifyAuth.verifyOAuthHmac(callbackQuery(), undefined), false);
+  });
+
+  it("escapes & and = the way Shopify does", () => {
+    assert.equal(shopifyAuth.buildHmacMessage({ "a=b": "c&d", hmac: "ignored", z: "100%" }), "a%3Db=c%26d&z=100%25");
+    assert.equal(shopifyAuth.verifyOAuthHmac(callbackQuery({ host: "a&b=c" }), SECRET), true);
+  });
+});
+
+describe("verifyOAuthCallback", () => {
+  it("accepts a fresh, signed callback for the shop that started it", () => {
+    assert.deepEqual(verify(callbackQuery()), { ok: true });
+  });
+
+  it("rejects an invalid shop before anything else", () => {
+    assert.deepEqual(verify(callbackQuery({ shop: "evil.com" })), { ok: false, reason: "invalid_shop" });
+  });
+
+  it("rejects a forged signature", () => {
+    const query = signedQuery({ code: "x", shop: SHOP, state: "nonce-abc" }, "attacker-secret");
+    assert.deepEqual(verify(query), { ok: false, reason: "invalid_hmac" });
+  });
+
+  it("rejects a tampered callback", () => {
+    assert.deepEqual(verify({ ...callbackQuery(), code: "other-code" }), { ok: false, reason: "invalid_hmac" });
+  });
+
+  it("rejects an unknown or already used state", () => {
+    assert.deepEqual(verify(callbackQuery(), null), { ok: false, reason: "invalid_state" });
+  });
+
+  it("rejects an expired state", () => {
+    const stateData = { shop: SHOP, timestamp: NOW - STATE_MAX_AGE_MS - 1 };
+    assert.deepEqual(verify(callbackQuery(), stateData), { ok: false, reason: "state_expired" });
+  });
+
+  it("accepts a state right at its maximum age", () => {
+    const stateData = { shop: SHOP, timestamp: NOW - STATE_MAX_AGE_MS };
+    assert.deepEqual(verify(callbackQuery(), stateData), { ok: true });
+  });
+
+  it("rejects a state issued for another shop", () => {
+    const stateData = { shop: "other-store.myshopify.com", timestamp: NOW };
+    assert.deepEqual(verify(callbackQuery(), stateData), { ok: false, reason: "shop_mismatch" });
+  });
+});
@@ -0,0 +1,54 @@
+// =====================================================
+// shopify-client.js - Link header pagination
+// =====================================================
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import shopifyClient from "../shopify-client.js";
+
+const SHOP = "demo-store.myshopify.com";
+const PAGE_2 = `https://${SHOP}/admin/api/2024-10/price_rules.json?limit=2&page_info=page2`;
+const PAGE_3 = `https://${SHOP}/admin/api/2024-10/price_rules.json?limit=2&page_info=page3`;
+
+describe("getNextPageUrl", () => {
+  it("finds the next cursor among previous and next links", () => {
+    const header = `<https://${SHOP}/admin/api/2024-10/price_rules.json?limit=2&page_info=page1>; rel="previous", <${PAGE_3}>; rel="next"`;
+    assert.equal(shopifyClient.getNextPageUrl(header), PAGE_3);
+  });
+
+  it("returns null on the last page", () => {
+    assert.equal(shopifyClient.getNextPageUrl(`<${PAGE_2}>; rel="previous"`), null);
+    assert.equal(shopifyClient.getNextPageUrl(null), null);
+  });
+});
+
+describe("paginate", () => {
+  // Three pages of price rules, linked the way Shopify links them
+  const pages = {
+    "/price_rules.json?limit=2": { data: { price_rules: [{ id: 1 }, { id: 2 }] }, nextPageUrl: PAGE_2 },
+    [PAGE_2]: { data: { price_rules: [{ id: 3 }, { id: 4 }] }, nextPageUrl: PAGE_3 },
+    [PAGE_3]: { data: { price_rules: [{ id: 5 }] }, nextPageUrl: null }
+  };
+
+  it("follows rel=\"next\" until the last page", async () => {
+    const requested = [];
+    const sendPage = async (shopDomain, adminToken, endpoint) => {
+      requested.push(endpoint);
+      return pages[endpoint];
+    };
+
+    const rules = await shopifyClient.paginate(SHOP, "token", "/price_rules.json?limit=2", "price_rules", { sendPage });
+
+    assert.deepEqual(rules.map(rule => rule.id), [1, 2, 3, 4, 5]);
+    assert.deepEqual(requested, ["/price_rules.json?limit=2", PAGE_2, PAGE_3]);
+  });
+
+  it("stops after maxPages", async () => {
+    const sendPage = async (shopDomain, adminToken, endpoint) => pages[endpoint];
+
+    const rules = await shopifyClient.paginate(SHOP, "token", "/price_rules.json?limit=2", "price_rules", { sendPage, maxPages: 2 });
+
+    assert.deepEqual(rules.map(rule => rule.id), [1, 2, 3, 4]);
+  });
+});
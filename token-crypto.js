@@ -0,0 +1,184 @@
+// =====================================================
+// token-crypto.js - Envelope encryption for stored Shopify tokens
+// =====================================================
+//
+// Every token gets its own random data key (AES-256-GCM). The data key is
+// wrapped with a key-encryption key derived from TOKEN_ENCRYPTION_KEYS, so
+// rotating the secret only re-wraps data keys - token ciphertext is kept.
+//
+// TOKEN_ENCRYPTION_KEYS="2025-06:<secret>,2025-01:<old secret>"
+// The first entry encrypts; all entries can decrypt.
+
+import crypto from "crypto";
+
+const PREFIX = "enc:v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+let cachedKeyring = null;
+let cachedKeyringSource = null;
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS into an ordered keyring of derived KEKs
+ */
+function getKeyring() {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS || "";
+  if (cachedKeyring && cachedKeyringSource === source) {
+    return cachedKeyring;
+  }
+
+  const keys = new Map();
+  let activeKeyId = null;
+
+  for (const entry of source.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = separator > 0 ? entry.slice(0, separator) : null;
+    const secret = separator > 0 ? entry.slice(separator + 1) : null;
+
+    if (!keyId || !KEY_ID_PATTERN.test(keyId) || !secret) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like "<keyId>:<secret>"');
+    }
+
+    const kek = Buffer.from(crypto.hkdfSync('sha256', secret, 'zocie-token-kek', keyId, 32));
+    keys.set(keyId, kek);
+    activeKeyId = activeKeyId || keyId;
+  }
+
+  cachedKeyring = { keys, activeKeyId };
+  cachedKeyringSource = source;
+  return cachedKeyring;
+}
+
+function isConfigured() {
+  return getKeyring().activeKeyId !== null;
+}
+
+function encryptWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  return { iv, ciphertext };
+}
+
+function decryptWithKey(key, iv, payload) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(payload.subarray(payload.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(payload.subarray(0, payload.length - TAG_LENGTH)), decipher.final()]);
+}
+
+function wrapDataKey(dataKey) {
+  const { keys, activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set - refusing to store tokens unencrypted');
+  }
+
+  const { iv, ciphertext } = encryptWithKey(keys.get(activeKeyId), dataKey);
+  return { keyId: activeKeyId, iv, wrapped: ciphertext };
+}
+
+function unwrapDataKey(keyId, iv, wrapped) {
+  const kek = getKeyring().keys.get(keyId);
+  if (!kek) {
+    throw new Error(`Unknown token encryption key "${keyId}" - is it still in TOKEN_ENCRYPTION_KEYS?`);
+  }
+  return decryptWithKey(kek, iv, wrapped);
+}
+
+function parseSealed(value) {
+  const parts = value.split(':');
+  if (parts.length !== 7 || `${parts[0]}:${parts[1]}` !== PREFIX) {
+    throw new Error('Malformed encrypted token');
+  }
+
+  const [, , keyId, wrapIv, wrapped, dataIv, data] = parts;
+  return {
+    keyId,
+    wrapIv: Buffer.from(wrapIv, 'base64'),
+    wrapped: Buffer.from(wrapped, 'base64'),
+    dataIv: Buffer.from(dataIv, 'base64'),
+    data: Buffer.from(data, 'base64')
+  };
+}
+
+function serializeSealed({ keyId, wrapIv, wrapped, dataIv, data }) {
+  return [PREFIX, keyId, wrapIv, wrapped, dataIv, data]
+    .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+    .join(':');
+}
+
+/**
+ * True when a stored value is already an encrypted token
+ */
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt a token with a fresh data key. Already-sealed values and
+ * empty values are returned unchanged.
+ */
+function sealToken(token) {
+  if (token === null || token === undefined || token === '' || isSealed(token)) {
+    return token ?? null;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const { iv: dataIv, ciphertext: data } = encryptWithKey(dataKey, Buffer.from(String(token), 'utf8'));
+  const { keyId, iv: wrapIv, wrapped } = wrapDataKey(dataKey);
+
+  return serializeSealed({ keyId, wrapIv, wrapped, dataIv, data });
+}
+
+/**
+ * Decrypt a sealed token. Plaintext values written before encryption
+ * was introduced are returned as-is so they keep working until re-encrypted.
+ */
+function openToken(value) {
+  if (!isSealed(value)) {
+    return value ?? null;
+  }
+
+  const sealed = parseSealed(value);
+  const dataKey = unwrapDataKey(sealed.keyId, sealed.wrapIv, sealed.wrapped);
+  return decryptWithKey(dataKey, sealed.dataIv, sealed.data).toString('utf8');
+}
+
+/**
+ * True when a stored value is plaintext or wrapped with a non-active key
+ */
+function needsRotation(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (!isSealed(value)) return true;
+  return parseSealed(value).keyId !== getKeyring().activeKeyId;
+}
+
+/**
+ * Bring a stored value onto the active key: plaintext is sealed, and
+ * sealed values have their data key re-wrapped without touching the token.
+ */
+function rotateToken(value) {
+  if (!needsRotation(value)) {
+    return value;
+  }
+
+  if (!isSealed(value)) {
+    return sealToken(value);
+  }
+
+  const sealed = parseSealed(value);
+  const dataKey = unwrapDataKey(sealed.keyId, sealed.wrapIv, sealed.wrapped);
+  const { keyId, iv: wrapIv, wrapped } = wrapDataKey(dataKey);
+
+  return serializeSealed({ ...sealed, keyId, wrapIv, wrapped });
+}
+
+export default {
+  isConfigured,
+  isSealed,
+  sealToken,
+  openToken,
+  needsRotation,
+  rotateToken
+};
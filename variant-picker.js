@@ -0,0 +1,138 @@
+// =====================================================
+// variant-picker.js - Choosing a variant one option at a time
+// =====================================================
+//
+// A product with several variants is narrowed down option by option (Size,
+// then Colour, ...) in the order the product lists them. Only values that
+// still lead to an in-stock variant are offered, and an option with a single
+// such value is picked automatically.
+//
+// selections: { [option name]: value }, e.g. { Size: "L", Color: "Blue" }
+
+import productSearch from "./product-search.js";
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+// Entity option names ("color") for a product option name ("Colour")
+function canonicalName(name) {
+  const normalized = normalize(name);
+  return normalized === 'colour' ? 'color' : normalized;
+}
+
+function isAvailable(variant) {
+  return variant.available !== false;
+}
+
+function getOptionValue(variant, index) {
+  return variant[`option${index + 1}`];
+}
+
+/**
+ * Does this product need the customer to choose?
+ */
+function needsChoice(product) {
+  return (product?.variants?.length || 0) > 1;
+}
+
+/**
+ * In-stock variants that agree with every selection made so far
+ */
+function getMatchingVariants(product, selections) {
+  return product.variants.filter(variant =>
+    isAvailable(variant) &&
+    product.options.every((option, i) =>
+      !(option.name in selections) || normalize(getOptionValue(variant, i)) === normalize(selections[option.name])));
+}
+
+/**
+ * Turn what the customer already said ("large blue hoodie" →
+ * entities.options { size: "L", color: "blue" }) into selections for
+ * this product's options
+ */
+function selectionsFromEntities(product, entityOptions = {}) {
+  const selections = {};
+
+  product.options.forEach(option => {
+    const wanted = entityOptions[canonicalName(option.name)];
+    if (!wanted) return;
+
+    const value = option.values.find(value =>
+      normalize(value) === normalize(wanted) ||
+      productSearch.canonicalOptionValue(value) === productSearch.canonicalOptionValue(wanted));
+
+    if (value) {
+      selections[option.name] = value;
+    }
+  });
+
+  return selections;
+}
+
+/**
+ * The variant matching a value for every option, in stock or not - null
+ * while any option is still unchosen
+ */
+function findVariant(product, selections = {}) {
+  if (!product.options.every(option => option.name in selections)) {
+    return null;
+  }
+
+  return product.variants.find(variant =>
+    product.options.every((option, i) => normalize(getOptionValue(variant, i)) === normalize(selections[option.name]))) || null;
+}
+
+/**
+ * The next step for these selections:
+ *   { variant }                       - exactly one in-stock variant left
+ *   { option: { name, values } }      - ask for this option next
+ *   { soldOut: true }                 - nothing in stock at all
+ *   { unavailable: true }             - in stock, but not in the selected combination
+ */
+function resolve(product, selections = {}) {
+  if (!product.variants.some(isAvailable)) {
+    return { soldOut: true };
+  }
+
+  const chosen = { ...selections };
+  let matching = getMatchingVariants(product, chosen);
+
+  if (matching.length === 0) {
+    return { unavailable: true };
+  }
+
+  for (const [i, option] of product.options.entries()) {
+    if (option.name in chosen) continue;
+
+    const values = option.values.filter(value =>
+      matching.some(variant => normalize(getOptionValue(variant, i)) === normalize(value)));
+
+    if (values.length > 1) {
+      return { option: { name: option.name, values }, selections: chosen };
+    }
+
+    // Only one value still in stock - no need to ask
+    chosen[option.name] = values[0];
+    matching = getMatchingVariants(product, chosen);
+  }
+
+  return { variant: matching[0], selections: chosen };
+}
+
+/**
+ * "Hoodie - L / Blue", or just the title for single-variant products
+ */
+function describeVariant(product, variant) {
+  return variant.title && variant.title !== 'Default Title'
+    ? `${product.title} - ${variant.title}`
+    : product.title;
+}
+
+export default {
+  needsChoice,
+  selectionsFromEntities,
+  resolve,
+  findVariant,
+  describeVariant
+};